@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+// Runs the local leaderboard server.
+//
+// Usage:
+//   node scripts/leaderboard-server.js [options]
+//
+// Options:
+//   --port <n>           Port to listen on (default: 3001)
+//   --data <file>        JSON file scores are kept in (default: leaderboard-data.json)
+//   --memory             Keep scores in memory only
+
+import { readFileSync } from 'fs';
+import { Leaderboard, createLeaderboardServer } from '../server/leaderboard.js';
+
+const DEFAULT_PORT = 3001;
+const DEFAULT_DATA_FILE = 'leaderboard-data.json';
+
+function parseArgs(argv) {
+    const options = { port: DEFAULT_PORT, data: DEFAULT_DATA_FILE };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        switch (arg) {
+            case '--port': {
+                const port = Number(argv[++i]);
+                if (!Number.isInteger(port) || port < 0) {
+                    throw new Error(`--port expects a port number, got: ${argv[i]}`);
+                }
+                options.port = port;
+                break;
+            }
+            case '--data':
+                options.data = argv[++i];
+                break;
+            case '--memory':
+                options.data = null;
+                break;
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (options.help) {
+        console.log(readFileSync(new URL(import.meta.url), 'utf8').split('\n\nimport')[0]);
+        return;
+    }
+
+    const server = createLeaderboardServer(new Leaderboard(options.data));
+    server.listen(options.port, () => {
+        console.log(`Leaderboard listening on http://localhost:${server.address().port}`);
+        console.log(options.data ? `Scores are saved to ${options.data}` : 'Scores are kept in memory only');
+    });
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
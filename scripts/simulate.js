@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+// Runs games headlessly and prints the results as JSON.
+//
+// Usage:
+//   node scripts/simulate.js [options]
+//
+// Options:
+//   --seed <n>           Seed of the (first) game, random if omitted
+//   --ticks <n>          Maximum simulation ticks per game (default: 10 minutes)
+//   --games <n>          Number of games to run with consecutive seeds (default: 1)
+//   --input <source>     idle, spinner, bot:novice, bot:expert, a JSON script of
+//                        { ticks, keys } segments, or a replay file (which also
+//                        supplies the seed, playfield, rules and players, and
+//                        ends the game at its last tick)
+//   --set <KEY=VALUE>    Override a GAME_SETTINGS value, may be repeated
+//   --width <n>          Playfield width (default: 1024, or the replay's)
+//   --height <n>         Playfield height (default: 768, or the replay's)
+
+import { readFileSync } from 'fs';
+import { GAME_SETTINGS, TICK_RATE } from '../src/game.js';
+import {
+    INPUT_SCRIPTS,
+    createBotInput,
+    createScriptedInput,
+    createReplayInput,
+    getReplayOptions,
+    runSimulation,
+    runBatch
+} from '../src/headless.js';
+import { parseReplay } from '../src/replay.js';
+import { BOT_PROFILES } from '../src/bot.js';
+
+const DEFAULT_TICKS = 10 * 60 * TICK_RATE;
+
+function parseArgs(argv) {
+    const options = { settings: {} };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = argv[i + 1];
+
+        switch (arg) {
+            case '--seed':
+            case '--ticks':
+            case '--games':
+            case '--width':
+            case '--height':
+                options[arg.slice(2)] = parseNumber(arg, value);
+                i++;
+                break;
+            case '--input':
+                options.input = value;
+                i++;
+                break;
+            case '--set': {
+                const [key, setting] = (value || '').split('=');
+                if (!Object.hasOwn(GAME_SETTINGS, key)) {
+                    throw new Error(`Unknown setting: ${key}`);
+                }
+                options.settings[key] = parseNumber(arg, setting);
+                i++;
+                break;
+            }
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+function parseNumber(option, value) {
+    const number = Number(value);
+    if (value === undefined || Number.isNaN(number)) {
+        throw new Error(`${option} expects a number, got: ${value}`);
+    }
+    return number;
+}
+
+function loadInput(source) {
+    if (!source || INPUT_SCRIPTS[source]) {
+        const script = INPUT_SCRIPTS[source || 'idle'];
+        return { createInput: () => script };
+    }
+
+    if (source.startsWith('bot:')) {
+        const profile = source.slice('bot:'.length);
+        if (!BOT_PROFILES[profile]) {
+            throw new Error(`Unknown bot profile: ${profile}`);
+        }
+        return { createInput: () => createBotInput(profile) };
+    }
+
+    const contents = readFileSync(source, 'utf8');
+    const data = JSON.parse(contents);
+
+    // Replay files carry their own seed, playfield, rules and length
+    if (!Array.isArray(data)) {
+        const replay = parseReplay(contents);
+        return { ...getReplayOptions(replay), createInput: () => createReplayInput(replay) };
+    }
+
+    return { createInput: () => createScriptedInput(data) };
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (options.help) {
+        console.log(readFileSync(new URL(import.meta.url), 'utf8').split('\n\nimport')[0]);
+        return;
+    }
+
+    const input = loadInput(options.input);
+    const seed = options.seed ?? input.seed;
+    const ticks = options.ticks ?? input.ticks ?? DEFAULT_TICKS;
+    const common = {
+        ticks,
+        settings: options.settings,
+        gameplaySettings: input.gameplaySettings,
+        width: options.width ?? input.width,
+        height: options.height ?? input.height,
+        players: input.players
+    };
+
+    const output = options.games > 1
+        ? runBatch({ ...common, games: options.games, seed, createInput: input.createInput })
+        : runSimulation({ ...common, seed, input: input.createInput() });
+
+    console.log(JSON.stringify(output, null, 2));
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
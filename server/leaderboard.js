@@ -0,0 +1,248 @@
+// Local leaderboard service.
+//
+// Scores are only accepted with the replay that produced them. The server
+// re-runs every replay through the headless simulation and rejects any
+// submission whose claimed score does not match what actually happened.
+
+import { createServer } from 'http';
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { TICK_RATE, WORLD_SIZE } from '../src/game.js';
+import { runSimulation, createReplayInput } from '../src/headless.js';
+import { validateReplay } from '../src/replay.js';
+
+// Settings each mode is played (and therefore verified) with
+export const LEADERBOARD_MODES = {
+    classic: {}
+};
+
+export const DEFAULT_TOP_LIMIT = 10;
+const MAX_TOP_LIMIT = 100;
+const MAX_REPLAY_TICKS = 30 * 60 * TICK_RATE;  // Thirty minutes of play, re-simulated in a few seconds
+const MAX_BODY_BYTES = 1024 * 1024;
+const NAME_PATTERN = /^[A-Z]{3}$/;  // Arcade initials, as entered for the local table
+
+export class SubmissionError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'SubmissionError';
+        this.status = status;
+    }
+}
+
+export function verifySubmission({ name, mode, replay }) {
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+        throw new SubmissionError('Name must be three capital letters');
+    }
+    if (!Object.hasOwn(LEADERBOARD_MODES, mode)) {
+        throw new SubmissionError(`Unknown mode: ${mode}`);
+    }
+
+    try {
+        validateReplay(replay);
+    } catch (error) {
+        throw new SubmissionError(error.message);
+    }
+    if (replay.tickRate !== TICK_RATE) {
+        throw new SubmissionError(`Replay tick rate must be ${TICK_RATE}`);
+    }
+    if (replay.tickCount > MAX_REPLAY_TICKS) {
+        throw new SubmissionError('Replay is too long');
+    }
+    if (replay.width !== WORLD_SIZE.width || replay.height !== WORLD_SIZE.height) {
+        throw new SubmissionError(`Replay must be played on the ${WORLD_SIZE.width}x${WORLD_SIZE.height} playfield`);
+    }
+    if (!Number.isInteger(replay.score) || replay.score < 0) {
+        throw new SubmissionError('Replay is missing its score');
+    }
+
+    // Scores only rank against games played by the same rules
+    const modeSettings = LEADERBOARD_MODES[mode];
+    const replaySettings = replay.settings ?? {};
+    const names = new Set([...Object.keys(modeSettings), ...Object.keys(replaySettings)]);
+    if ([...names].some(name => modeSettings[name] !== replaySettings[name]) || replay.settingChanges?.length > 0) {
+        throw new SubmissionError(`Replay was not played with ${mode} settings`, 422);
+    }
+
+    // Players in a two player game share the replay, so only one player games are ranked
+    if ((replay.players ?? 1) !== 1) {
+        throw new SubmissionError('Only one player games are ranked', 422);
+    }
+
+    // Play the recorded input back from the recorded seed on the ranked playfield
+    const result = runSimulation({
+        seed: replay.seed,
+        ticks: replay.tickCount,
+        input: createReplayInput(replay),
+        settings: modeSettings,
+        width: WORLD_SIZE.width,
+        height: WORLD_SIZE.height
+    });
+
+    if (!result.gameOver || result.ticks !== replay.tickCount) {
+        throw new SubmissionError('Replay does not end in game over', 422);
+    }
+    if (result.score !== replay.score) {
+        throw new SubmissionError(`Claimed score ${replay.score} does not match replayed score ${result.score}`, 422);
+    }
+
+    return result;
+}
+
+export class Leaderboard {
+    constructor(dataFile = null) {
+        this.dataFile = dataFile;  // Without a file scores only last while the server runs
+        this.entries = this.load();
+    }
+
+    load() {
+        if (!this.dataFile || !existsSync(this.dataFile)) {
+            return [];
+        }
+
+        try {
+            const data = JSON.parse(readFileSync(this.dataFile, 'utf8'));
+            return Array.isArray(data.entries) ? data.entries : [];
+        } catch (error) {
+            console.error('Failed to read leaderboard data, starting empty:', error);
+            return [];
+        }
+    }
+
+    save() {
+        if (!this.dataFile) return;
+        writeFileSync(this.dataFile, JSON.stringify({ entries: this.entries }, null, 2));
+    }
+
+    submit(submission) {
+        const result = verifySubmission(submission);
+        const entry = {
+            name: submission.name,
+            mode: submission.mode,
+            score: result.score,
+            wave: result.wave,
+            seed: result.seed,
+            submittedAt: new Date().toISOString()
+        };
+
+        this.entries.push(entry);
+        this.save();
+
+        return { entry, rank: this.getRank(entry) };
+    }
+
+    getRank(entry) {
+        // 1-based position within the entry's mode
+        return this.getTop({ mode: entry.mode, limit: Infinity }).indexOf(entry) + 1;
+    }
+
+    getTop({ mode = null, limit = DEFAULT_TOP_LIMIT } = {}) {
+        // Highest first, earlier submissions win ties
+        return this.entries
+            .filter(entry => mode === null || entry.mode === mode)
+            .sort((a, b) => b.score - a.score || a.submittedAt.localeCompare(b.submittedAt))
+            .slice(0, limit);
+    }
+
+    getPlayerBest(name, mode = null) {
+        return this.getTop({ mode, limit: Infinity }).find(entry => entry.name === name) ?? null;
+    }
+}
+
+function sendJson(response, status, body) {
+    response.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    response.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+function readJsonBody(request) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+
+        const onData = chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                // The rest of the body is drained unread so the 413 still reaches the client
+                request.off('data', onData);
+                request.resume();
+                reject(new SubmissionError('Request body is too large', 413));
+                return;
+            }
+            chunks.push(chunk);
+        };
+        request.on('data', onData);
+        request.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (error) {
+                reject(new SubmissionError('Request body is not valid JSON'));
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+function decodePathSegment(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch (error) {
+        throw new SubmissionError('Malformed escape in path');
+    }
+}
+
+function parseLimit(value) {
+    if (value === null) {
+        return DEFAULT_TOP_LIMIT;
+    }
+
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1) {
+        throw new SubmissionError('limit must be a positive integer');
+    }
+    return Math.min(limit, MAX_TOP_LIMIT);
+}
+
+// Routes:
+//   POST /scores                  { name, mode, replay } -> { entry, rank }
+//   GET  /scores?mode=&limit=     Top scores, across all modes unless one is given
+//   GET  /players/:name/best?mode= A player's best score
+export function createLeaderboardServer(leaderboard = new Leaderboard()) {
+    return createServer(async (request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+        const mode = url.searchParams.get('mode');
+        const playerMatch = url.pathname.match(/^\/players\/([^/]+)\/best$/);
+
+        try {
+            if (request.method === 'OPTIONS') {
+                sendJson(response, 204);
+            } else if (request.method === 'POST' && url.pathname === '/scores') {
+                const submission = await readJsonBody(request);
+                sendJson(response, 201, leaderboard.submit(submission ?? {}));
+            } else if (request.method === 'GET' && url.pathname === '/scores') {
+                const limit = parseLimit(url.searchParams.get('limit'));
+                sendJson(response, 200, { mode, scores: leaderboard.getTop({ mode, limit }) });
+            } else if (request.method === 'GET' && playerMatch) {
+                const name = decodePathSegment(playerMatch[1]).toUpperCase();
+                const best = leaderboard.getPlayerBest(name, mode);
+                if (best) {
+                    sendJson(response, 200, best);
+                } else {
+                    sendJson(response, 404, { error: `No scores for ${name}` });
+                }
+            } else {
+                sendJson(response, 404, { error: 'Not found' });
+            }
+        } catch (error) {
+            if (error instanceof SubmissionError) {
+                sendJson(response, error.status, { error: error.message });
+            } else {
+                console.error('Leaderboard request failed:', error);
+                sendJson(response, 500, { error: 'Internal server error' });
+            }
+        }
+    });
+}
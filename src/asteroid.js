@@ -1,7 +1,9 @@
 import { wrapPosition } from './collision.js';
+import Random from './random.js';
 
 export default class Asteroid {
-    constructor(x, y, size, baseSpeed = null, angle = null, baseVelocity = null) {
+    constructor(x, y, size, baseSpeed = null, angle = null, baseVelocity = null, random = new Random()) {
+        this.random = random;
         this.x = x;
         this.y = y;
         this.size = size;
@@ -19,12 +21,12 @@ export default class Asteroid {
             // Use the base velocity as a starting point
             const speedMultiplier = 1.5;  // Increase speed for smaller asteroids
             const angleVariance = Math.PI / 4;  // 45 degree variance
-            const newAngle = angle || Math.random() * Math.PI * 2;
+            const newAngle = angle || this.random.next() * Math.PI * 2;
             
             // Calculate new velocity components
             const speed = Math.hypot(baseVelocity.x, baseVelocity.y) * speedMultiplier;
             const currentAngle = Math.atan2(baseVelocity.y, baseVelocity.x);
-            const finalAngle = currentAngle + (Math.random() * 2 - 1) * angleVariance;
+            const finalAngle = currentAngle + (this.random.next() * 2 - 1) * angleVariance;
             
             this.velocity = {
                 x: Math.cos(finalAngle) * speed,
@@ -32,8 +34,8 @@ export default class Asteroid {
             };
         } else {
             // Random velocity for new asteroids
-            const speed = baseSpeed || (Math.random() * 50 + 50);
-            const randomAngle = angle || Math.random() * Math.PI * 2;
+            const speed = baseSpeed || (this.random.next() * 50 + 50);
+            const randomAngle = angle || this.random.next() * Math.PI * 2;
             this.velocity = {
                 x: Math.cos(randomAngle) * speed,
                 y: Math.sin(randomAngle) * speed
@@ -42,6 +44,12 @@ export default class Asteroid {
         
         // Create vertices for irregular shape
         this.vertices = this.createVertices();
+        this.outlineRadius = Math.max(...this.vertices.map(vertex => Math.hypot(vertex.x, vertex.y)));
+    }
+    
+    getOutline() {
+        // Vertices in world space, as drawn by render()
+        return this.vertices.map(vertex => ({ x: this.x + vertex.x, y: this.y + vertex.y }));
     }
     
     createVertices() {
@@ -51,7 +59,7 @@ export default class Asteroid {
         
         for (let i = 0; i < numVertices; i++) {
             const angle = (i / numVertices) * Math.PI * 2;
-            const radiusVariance = 1 + (Math.random() * 2 - 1) * variance;
+            const radiusVariance = 1 + (this.random.next() * 2 - 1) * variance;
             vertices.push({
                 x: Math.cos(angle) * this.radius * radiusVariance,
                 y: Math.sin(angle) * this.radius * radiusVariance
@@ -1,8 +1,13 @@
+const BASE_GAIN = 0.5;  // Gain of every sound at full volume
+const BEAT_SOUNDS = ['beat1', 'beat2'];  // Follow the beat volume, everything else the effects volume
+
 export default class AudioManager {
     constructor(isTest = false) {
         this.isTest = isTest;
         this.initialized = false;
         this.initializationAttempted = false;
+        this.muted = false;
+        this.volumes = { master: 1, sfx: 1, beat: 1 };
         
         // Create audio context if not in test mode
         if (!isTest) {
@@ -34,7 +39,9 @@ export default class AudioManager {
             bangSmall: { url: 'sounds/bang-small.wav', size: 4 },
             waveEnd: { url: 'sounds/wave-end.wav', size: 2 },
             thrust: { url: 'sounds/thrust.wav', size: 2 },
-            extraLife: { url: 'sounds/extra-life.wav', size: 2 }
+            extraLife: { url: 'sounds/extra-life.wav', size: 2 },
+            saucerBig: { url: 'sounds/saucer-big.wav', size: 2 },
+            saucerSmall: { url: 'sounds/saucer-small.wav', size: 2 }
         };
     }
     
@@ -44,7 +51,11 @@ export default class AudioManager {
         this.beatInterval = this.baseInterval;
         this.beatTimer = null;
         this.currentBeat = 0;
+        this.nextBeatAt = 0;       // performance.now() time of the next beat
         this.thrustTimer = null;
+        this.saucerTimer = null;
+        this.saucerSize = null;
+        this.suspendedTimers = null;  // Looping sounds to pick up again after a pause
     }
     
     initializePools(isTest) {
@@ -201,7 +212,7 @@ export default class AudioManager {
             source.buffer = this.buffers[key];
             
             const gainNode = this.context.createGain();
-            gainNode.gain.value = 0.5;  // 50% volume
+            gainNode.gain.value = this.getGain(key);
             
             source.connect(gainNode);
             gainNode.connect(this.context.destination);
@@ -265,7 +276,28 @@ export default class AudioManager {
         };
     }
     
+    setMuted(muted) {
+        this.muted = muted;
+    }
+    
+    getGain(soundKey) {
+        const channel = BEAT_SOUNDS.includes(soundKey) ? this.volumes.beat : this.volumes.sfx;
+        return BASE_GAIN * this.volumes.master * channel;
+    }
+    
+    setVolumes(volumes) {
+        // Applies to sounds already playing as well, every pool node keeps its gain node
+        this.volumes = { ...this.volumes, ...volumes };
+        Object.entries(this.pools).forEach(([soundKey, pool]) => {
+            pool.forEach(node => {
+                node.gainNode.gain.value = this.getGain(soundKey);
+            });
+        });
+    }
+    
     playSound(soundKey) {
+        if (this.muted) return;
+        
         const pool = this.pools[soundKey];
         if (!pool) return;
         
@@ -340,6 +372,27 @@ export default class AudioManager {
         }
     }
     
+    playSaucerSound(size) {
+        const soundKey = size === 'small' ? 'saucerSmall' : 'saucerBig';
+        
+        // Only one saucer siren plays at a time
+        this.stopSaucerSound();
+        
+        // Loop the siren for as long as the saucer is on screen
+        this.saucerSize = size;
+        this.playSound(soundKey);
+        this.saucerTimer = setInterval(() => this.playSound(soundKey), 250);
+    }
+    
+    stopSaucerSound() {
+        if (this.saucerTimer) {
+            clearInterval(this.saucerTimer);
+            this.saucerTimer = null;
+        }
+        this.stopSoundInPool('saucerBig');
+        this.stopSoundInPool('saucerSmall');
+    }
+    
     playWaveEndSound() {
         this.playSound('waveEnd');
     }
@@ -386,6 +439,7 @@ export default class AudioManager {
         this.currentBeat = 1 - this.currentBeat;
         
         // Schedule next beat
+        this.nextBeatAt = performance.now() + this.beatInterval;
         this.beatTimer = setTimeout(() => this.playNextBeat(), this.beatInterval);
     }
     
@@ -402,9 +456,42 @@ export default class AudioManager {
     }
     
     stopTimers() {
-        // Stop background beat and thrust sound
+        // Stop background beat, thrust and saucer sounds
         this.stopBackgroundBeat();
         this.stopThrustSound();
+        this.stopSaucerSound();
+        this.suspendedTimers = null;
+    }
+    
+    suspendTimers() {
+        if (this.suspendedTimers) return;
+        
+        // Remember what was looping, and how long the beat had left to wait
+        const suspended = {
+            beatDelay: this.beatTimer ? Math.max(0, this.nextBeatAt - performance.now()) : null,
+            thrust: this.thrustTimer !== null,
+            saucerSize: this.saucerTimer ? this.saucerSize : null
+        };
+        this.stopTimers();
+        this.suspendedTimers = suspended;
+    }
+    
+    resumeTimers() {
+        const suspended = this.suspendedTimers;
+        if (!suspended) return;
+        this.suspendedTimers = null;
+        
+        // The beat carries on in step, as if the pause never happened
+        if (suspended.beatDelay !== null) {
+            this.nextBeatAt = performance.now() + suspended.beatDelay;
+            this.beatTimer = setTimeout(() => this.playNextBeat(), suspended.beatDelay);
+        }
+        if (suspended.thrust) {
+            this.playThrustSound();
+        }
+        if (suspended.saucerSize) {
+            this.playSaucerSound(suspended.saucerSize);
+        }
     }
     
     resetAudioContext() {
@@ -439,4 +526,33 @@ export default class AudioManager {
             this.baseInterval - (progress * (this.baseInterval - this.minInterval))
         );
     }
-} 
\ No newline at end of file
+} 
+
+// Drop-in replacement for AudioManager in headless simulations, where there is
+// no Web Audio API and no timers should keep the process alive
+export class SilentAudioManager {
+    constructor() {
+        this.initialized = true;
+        this.muted = true;
+    }
+    
+    async init() {}
+    setMuted() {}
+    setVolumes() {}
+    playSound() {}
+    playFireSound() {}
+    playThrustSound() {}
+    stopThrustSound() {}
+    playBangSound() {}
+    playSaucerSound() {}
+    stopSaucerSound() {}
+    playWaveEndSound() {}
+    playExtraLifeSound() {}
+    startBackgroundBeat() {}
+    stopBackgroundBeat() {}
+    updateBeatInterval() {}
+    stopTimers() {}
+    suspendTimers() {}
+    resumeTimers() {}
+    stopAllSounds() {}
+}
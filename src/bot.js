@@ -0,0 +1,201 @@
+import { BULLET_SPEED } from './ship.js';
+import { BULLET_MAX_DISTANCE } from './bullet.js';
+import Random from './random.js';
+import { wrappedDelta } from './collision.js';
+
+// Skill profiles, the bot reads the game state and holds keys like a player would
+export const BOT_PROFILES = {
+    novice: {
+        reactionTicks: 15,      // Ticks between re-reading the playfield
+        aimTolerance: 0.2,      // Radians off target at which the bot opens fire
+        aimError: 0.15,         // Random aiming error in radians
+        leadShots: false,       // Aim where targets will be rather than where they are
+        evadeTime: 0.4,         // Seconds of look-ahead when checking for collisions
+        useHyperspace: false
+    },
+    expert: {
+        reactionTicks: 1,
+        aimTolerance: 0.06,
+        aimError: 0,
+        leadShots: true,
+        evadeTime: 1,
+        useHyperspace: true
+    }
+};
+
+const EVADE_MARGIN = 10; // extra pixels of clearance the bot tries to keep
+const HYPERSPACE_PANIC_TIME = 0.15; // seconds before impact at which the bot jumps
+
+export function normalizeAngle(angle) {
+    return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
+
+export default class Bot {
+    constructor(profile = 'expert', random = new Random()) {
+        if (!BOT_PROFILES[profile]) {
+            throw new Error(`Unknown bot profile: ${profile}`);
+        }
+
+        this.profileName = profile;
+        this.profile = BOT_PROFILES[profile];
+        // The bot has its own generator so it never disturbs the game's random sequence
+        this.random = random;
+
+        this.reactionTimer = 0;
+        this.target = null;
+        this.threat = null;
+        this.aimOffset = 0;
+    }
+
+    // Returns the keys to hold for the current tick, usable as a game input provider
+    getInput(game) {
+        const ship = game.ship;
+        if (!ship.visible || ship.isDisintegrating || game.gameOver) {
+            return {};
+        }
+
+        // Decisions are only refreshed at the profile's reaction rate
+        this.reactionTimer--;
+        if (this.reactionTimer <= 0 || (this.target && this.isGone(this.target, game))) {
+            this.reactionTimer = this.profile.reactionTicks;
+            this.observe(game);
+        }
+
+        const input = {};
+
+        if (this.threat) {
+            if (this.profile.useHyperspace && this.threat.time < HYPERSPACE_PANIC_TIME && ship.canBeHit()) {
+                return { hyperspace: true };
+            }
+
+            // Thrust when roughly facing away from the incoming object
+            const awayAngle = Math.atan2(-this.threat.dy, -this.threat.dx);
+            if (Math.abs(normalizeAngle(awayAngle - ship.angle)) < Math.PI / 2) {
+                input.up = true;
+            }
+        }
+
+        if (this.target && !this.isGone(this.target, game)) {
+            const aim = this.getAimAngle(game, this.target);
+            const error = normalizeAngle(aim.angle + this.aimOffset - ship.angle);
+
+            // Stop turning once within a rotation step so the bot does not oscillate
+            const turnStep = Math.max(this.profile.aimTolerance / 2, 0.05);
+            if (error > turnStep) input.right = true;
+            else if (error < -turnStep) input.left = true;
+
+            // Every shot is a fresh press, so fire is let go while the gun reloads
+            if (Math.abs(error) < this.profile.aimTolerance && aim.inRange && ship.shootTimer <= 0) {
+                input.space = true;
+            }
+        }
+
+        return input;
+    }
+
+    observe(game) {
+        this.threat = this.findThreat(game);
+        this.target = this.chooseTarget(game);
+        this.aimOffset = (this.random.next() * 2 - 1) * this.profile.aimError;
+    }
+
+    isGone(object, game) {
+        return !game.asteroids.includes(object) && !game.saucers.includes(object);
+    }
+
+    getOffset(game, object) {
+        const { ship, world } = game;
+        return {
+            dx: wrappedDelta(ship.x, object.x, world.width),
+            dy: wrappedDelta(ship.y, object.y, world.height)
+        };
+    }
+
+    // Time and distance of closest approach between the ship and an object
+    getApproach(game, object) {
+        const ship = game.ship;
+        const { dx, dy } = this.getOffset(game, object);
+        const vx = object.velocity.x - ship.velocity.x;
+        const vy = object.velocity.y - ship.velocity.y;
+        const speedSquared = vx * vx + vy * vy;
+
+        const time = speedSquared > 0 ? Math.max(0, -(dx * vx + dy * vy) / speedSquared) : 0;
+        const closestX = dx + vx * time;
+        const closestY = dy + vy * time;
+
+        return { dx, dy, time, distance: Math.hypot(closestX, closestY) };
+    }
+
+    findThreat(game) {
+        const ship = game.ship;
+        const enemyBullets = game.bullets.filter(bullet => bullet.owner === 'saucer');
+        let threat = null;
+
+        for (const object of [...game.asteroids, ...game.saucers, ...enemyBullets]) {
+            const approach = this.getApproach(game, object);
+            const clearance = ship.radius + object.radius + EVADE_MARGIN;
+
+            if (approach.time < this.profile.evadeTime && approach.distance < clearance &&
+                (!threat || approach.time < threat.time)) {
+                threat = approach;
+            }
+        }
+
+        return threat;
+    }
+
+    chooseTarget(game) {
+        // Prefer whatever is closing in on the ship, then whatever is nearest
+        let best = null;
+        let bestScore = Infinity;
+
+        for (const object of [...game.saucers, ...game.asteroids]) {
+            const approach = this.getApproach(game, object);
+            const distance = Math.hypot(approach.dx, approach.dy);
+            const closing = approach.time > 0 ? 0.5 : 1;
+            const score = distance * closing;
+
+            if (score < bestScore) {
+                best = object;
+                bestScore = score;
+            }
+        }
+
+        return best;
+    }
+
+    getAimAngle(game, object) {
+        const { ship, world } = game;
+        const { dx, dy } = this.getOffset(game, object);
+        const range = Math.min(world.width, world.height) * BULLET_MAX_DISTANCE;
+
+        let time = Math.hypot(dx, dy) / BULLET_SPEED;
+        if (this.profile.leadShots) {
+            time = this.getInterceptTime(dx, dy, object.velocity) ?? time;
+        }
+
+        const aimX = this.profile.leadShots ? dx + object.velocity.x * time : dx;
+        const aimY = this.profile.leadShots ? dy + object.velocity.y * time : dy;
+
+        return {
+            angle: Math.atan2(aimY, aimX),
+            inRange: time * BULLET_SPEED < range - ship.radius
+        };
+    }
+
+    // Solves |offset + velocity * t| = BULLET_SPEED * t for the earliest hit
+    getInterceptTime(dx, dy, velocity) {
+        const a = velocity.x * velocity.x + velocity.y * velocity.y - BULLET_SPEED * BULLET_SPEED;
+        const b = 2 * (dx * velocity.x + dy * velocity.y);
+        const c = dx * dx + dy * dy;
+        const discriminant = b * b - 4 * a * c;
+
+        if (a === 0 || discriminant < 0) {
+            return null;
+        }
+
+        const root = Math.sqrt(discriminant);
+        const times = [(-b - root) / (2 * a), (-b + root) / (2 * a)].filter(t => t > 0);
+        return times.length > 0 ? Math.min(...times) : null;
+    }
+}
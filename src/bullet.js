@@ -4,7 +4,7 @@ export const BULLET_MAX_DISTANCE = 0.95; // As a fraction of screen dimension
 import { wrapPosition } from './collision.js';
 
 export default class Bullet {
-    constructor(x, y, velocityX, velocityY) {
+    constructor(x, y, velocityX, velocityY, owner = 'player') {
         // Position
         this.x = x;
         this.y = y;
@@ -16,6 +16,7 @@ export default class Bullet {
         this.radius = 2;
         
         // State
+        this.owner = owner;  // 'player' or 'saucer'
         this.distanceTraveled = 0;
         this.isDead = false;
     }
@@ -6,7 +6,286 @@ export function checkCollision(obj1, obj2) {
     return distance < obj1.radius + obj2.radius;
 }
 
+// Radius of the circle enclosing an object's whole outline, used for the broad phase
+export function getBoundingRadius(obj) {
+    return obj.outlineRadius ?? obj.radius;
+}
+
+// Shapes are checked in two steps: a cheap circle test first (broad phase), then an
+// exact test against the outlines the player actually sees (narrow phase). Objects
+// without a getOutline() method are treated as plain circles.
+export function checkPolygonCollision(obj1, obj2, width, height) {
+    obj2 = getNearestImage(obj1, obj2, width, height);
+    const dx = obj1.x - obj2.x;
+    const dy = obj1.y - obj2.y;
+    if (Math.hypot(dx, dy) >= getBoundingRadius(obj1) + getBoundingRadius(obj2)) {
+        return false;
+    }
+    
+    if (!obj1.getOutline || !obj2.getOutline) {
+        return checkCollision(obj1, obj2);
+    }
+    return polygonsIntersect(obj1.getOutline(), obj2.getOutline());
+}
+
+export function checkBulletCollision(bullet, target, width, height) {
+    // Bullets are tested along the whole path they took this step so they
+    // cannot slip through the narrow gaps between an outline's spikes
+    const { start, end } = getSweptSegment(bullet, width, height);
+    target = getNearestImage(bullet, target, width, height);
+    const reach = getBoundingRadius(target) + bullet.radius;
+    if (distanceToSegment(target, start, end) >= reach) {
+        return false;
+    }
+    
+    if (!target.getOutline) {
+        // Against a plain circle the swept test above is already exact
+        return true;
+    }
+    return segmentIntersectsPolygon(start, end, target.getOutline());
+}
+
+export function checkSweptCircleCollision(obj, target, width, height) {
+    // The closest the moving circle came to the target at any point during the step
+    const { start, end } = getSweptSegment(obj, width, height);
+    target = getNearestImage(obj, target, width, height);
+    return distanceToSegment(target, start, end) < obj.radius + target.radius;
+}
+
+export function checkSweptPolygonCollision(obj, target, width, height) {
+    // Like checkPolygonCollision, but covering everywhere obj was during the step so
+    // a fast ship cannot pass straight through an asteroid between two ticks
+    const { start, end } = getSweptSegment(obj, width, height);
+    target = getNearestImage(obj, target, width, height);
+    if (distanceToSegment(target, start, end) >= getBoundingRadius(obj) + getBoundingRadius(target)) {
+        return false;
+    }
+    
+    if (!obj.getOutline || !target.getOutline) {
+        return checkSweptCircleCollision(obj, target, width, height);
+    }
+    
+    const outline = obj.getOutline();
+    const targetOutline = target.getOutline();
+    if (polygonsIntersect(outline, targetOutline)) {
+        return true;
+    }
+    
+    // Moving outlines first touch where a corner of one meets an edge of the other,
+    // so trace each corner's path relative to the other outline over the step
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    return outline.some(vertex =>
+        segmentIntersectsPolygon({ x: vertex.x - dx, y: vertex.y - dy }, vertex, targetOutline)
+    ) || targetOutline.some(vertex =>
+        segmentIntersectsPolygon(vertex, { x: vertex.x + dx, y: vertex.y + dy }, outline)
+    );
+}
+
+// Objects near opposite edges touch across the wrap, so the target is moved to
+// its copy nearest obj before any distances or outlines are compared
+export function getNearestImage(obj, target, width, height) {
+    if (width === undefined || height === undefined) {
+        return target;
+    }
+    
+    const offsetX = wrappedDelta(obj.x, target.x, width) - (target.x - obj.x);
+    const offsetY = wrappedDelta(obj.y, target.y, height) - (target.y - obj.y);
+    if (offsetX === 0 && offsetY === 0) {
+        return target;
+    }
+    
+    return {
+        x: target.x + offsetX,
+        y: target.y + offsetY,
+        radius: target.radius,
+        outlineRadius: getBoundingRadius(target),
+        getOutline: target.getOutline && (() => target.getOutline().map(vertex => ({
+            x: vertex.x + offsetX,
+            y: vertex.y + offsetY
+        })))
+    };
+}
+
+export function getSweptSegment(obj, width, height) {
+    const end = { x: obj.x, y: obj.y };
+    if (obj.prevX === undefined || obj.prevY === undefined) {
+        return { start: end, end };
+    }
+    
+    // A step that wrapped around the screen is measured from beyond the edge it left
+    // through, rather than as a line straight across the playfield
+    return {
+        start: {
+            x: unwrapCoordinate(obj.prevX, obj.x, width),
+            y: unwrapCoordinate(obj.prevY, obj.y, height)
+        },
+        end
+    };
+}
+
+function unwrapCoordinate(previous, current, size) {
+    if (previous - current > size / 2) return previous - size;
+    if (current - previous > size / 2) return previous + size;
+    return previous;
+}
+
+export function distanceToSegment(point, start, end) {
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const lengthSquared = dx * dx + dy * dy;
+    
+    // Project the point onto the segment, clamped to its ends
+    const t = lengthSquared > 0
+        ? Math.max(0, Math.min(1, ((point.x - start.x) * dx + (point.y - start.y) * dy) / lengthSquared))
+        : 0;
+    return Math.hypot(point.x - (start.x + dx * t), point.y - (start.y + dy * t));
+}
+
+export function pointInPolygon(point, polygon) {
+    // Even-odd ray casting, which also handles concave outlines
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a.y > point.y) !== (b.y > point.y) &&
+            point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+export function segmentsIntersect(p1, p2, p3, p4) {
+    const denominator = (p2.x - p1.x) * (p4.y - p3.y) - (p2.y - p1.y) * (p4.x - p3.x);
+    if (denominator === 0) {
+        // Parallel segments, any overlap is caught by the point in polygon tests
+        return false;
+    }
+    
+    const t = ((p3.x - p1.x) * (p4.y - p3.y) - (p3.y - p1.y) * (p4.x - p3.x)) / denominator;
+    const u = ((p3.x - p1.x) * (p2.y - p1.y) - (p3.y - p1.y) * (p2.x - p1.x)) / denominator;
+    return t >= 0 && t <= 1 && u >= 0 && u <= 1;
+}
+
+export function segmentIntersectsPolygon(start, end, polygon) {
+    if (pointInPolygon(start, polygon) || pointInPolygon(end, polygon)) {
+        return true;
+    }
+    return polygon.some((vertex, i) => segmentsIntersect(start, end, vertex, polygon[(i + 1) % polygon.length]));
+}
+
+export function polygonsIntersect(polygon1, polygon2) {
+    // Crossing edges or a vertex of one inside the other cover every overlap,
+    // checking one vertex of the second catches it lying wholly inside the first
+    return polygon1.some((vertex, i) =>
+        segmentIntersectsPolygon(vertex, polygon1[(i + 1) % polygon1.length], polygon2)
+    ) || pointInPolygon(polygon2[0], polygon1);
+}
+
+// Broad phase: a uniform grid over the playfield, rebuilt every tick. Cells wrap
+// around the screen edges like the objects in them do, so anything hanging off
+// one edge shares cells with whatever is near the opposite edge.
+export const SPATIAL_HASH_CELL_SIZE = 100; // pixels, about the width of a large asteroid
+
+export class SpatialHash {
+    constructor(width, height, cellSize = SPATIAL_HASH_CELL_SIZE) {
+        this.cellSize = cellSize;
+        this.columns = Math.max(1, Math.ceil(width / cellSize));
+        this.rows = Math.max(1, Math.ceil(height / cellSize));
+        this.cells = new Map();
+    }
+    
+    clear() {
+        this.cells.clear();
+    }
+    
+    forEachCell(bounds, callback) {
+        const firstColumn = Math.floor(bounds.minX / this.cellSize);
+        const firstRow = Math.floor(bounds.minY / this.cellSize);
+        
+        // Bounds wider than the grid cover every column exactly once
+        const columnCount = Math.min(Math.floor(bounds.maxX / this.cellSize) - firstColumn + 1, this.columns);
+        const rowCount = Math.min(Math.floor(bounds.maxY / this.cellSize) - firstRow + 1, this.rows);
+        
+        for (let i = 0; i < columnCount; i++) {
+            const column = mod(firstColumn + i, this.columns);
+            for (let j = 0; j < rowCount; j++) {
+                const row = mod(firstRow + j, this.rows);
+                callback(row * this.columns + column);
+            }
+        }
+    }
+    
+    insert(obj, bounds = getBounds(obj)) {
+        this.forEachCell(bounds, key => {
+            if (!this.cells.has(key)) {
+                this.cells.set(key, []);
+            }
+            this.cells.get(key).push(obj);
+        });
+    }
+    
+    insertAll(objects) {
+        objects.forEach(obj => this.insert(obj));
+    }
+    
+    query(bounds) {
+        // Objects spanning several cells are only returned once
+        const found = new Set();
+        this.forEachCell(bounds, key => {
+            const cell = this.cells.get(key);
+            if (cell) {
+                cell.forEach(obj => found.add(obj));
+            }
+        });
+        return [...found];
+    }
+    
+    findPairs(objects, getObjectBounds = getBounds) {
+        // Candidate [object, other] pairs that share a cell, for the narrow phase to confirm
+        const pairs = [];
+        objects.forEach(obj => {
+            this.query(getObjectBounds(obj)).forEach(other => {
+                if (other !== obj) {
+                    pairs.push([obj, other]);
+                }
+            });
+        });
+        return pairs;
+    }
+}
+
+function mod(value, divisor) {
+    return ((value % divisor) + divisor) % divisor;
+}
+
+export function getBounds(obj) {
+    const r = getBoundingRadius(obj);
+    return { minX: obj.x - r, minY: obj.y - r, maxX: obj.x + r, maxY: obj.y + r };
+}
+
+export function getSweptBounds(obj, width, height) {
+    // Everything a moving object touched this step, wrapped steps included
+    const { start, end } = getSweptSegment(obj, width, height);
+    const r = getBoundingRadius(obj);
+    return {
+        minX: Math.min(start.x, end.x) - r,
+        minY: Math.min(start.y, end.y) - r,
+        maxX: Math.max(start.x, end.x) + r,
+        maxY: Math.max(start.y, end.y) + r
+    };
+}
+
 // Screen wrapping utilities
+// Shortest offset between two coordinates on the wrapping playfield
+export function wrappedDelta(from, to, size) {
+    let delta = to - from;
+    if (delta > size / 2) delta -= size;
+    else if (delta < -size / 2) delta += size;
+    return delta;
+}
+
 export function wrapPosition(obj, width, height, options = {}) {
     const {
         useRadius = false,      // Whether to use the object's radius for smoother wrapping
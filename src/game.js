@@ -1,33 +1,188 @@
 import Ship from './ship.js';
 import Asteroid from './asteroid.js';
-import { checkCollision, wrapPosition } from './collision.js';
-import { setupInput, keys } from './input.js';
-import AudioManager from './audio.js';
+import Saucer from './saucer.js';
+import Random from './random.js';
+import Bot from './bot.js';
+import { bounce, separateFragments } from './physics.js';
+import ParticleSystem, { MAX_PARTICLES } from './particles.js';
+import { createRenderStyle, RENDER_STYLES } from './renderstyles.js';
+import StateMachine from './statemachine.js';
+import Menu from './menu.js';
+import SettingsStore, { getGameplaySettings } from './settings.js';
+import TouchControls, { isTouchDevice, TOUCH_LAYOUTS } from './touch.js';
+import { CombinedInputSource, ScriptedInputSource, createInput } from './inputsource.js';
+import {
+    checkCollision,
+    checkBulletCollision,
+    checkSweptPolygonCollision,
+    getSweptBounds,
+    getSweptSegment,
+    SpatialHash,
+    wrapPosition
+} from './collision.js';
+import {
+    KeyboardInputSource,
+    GamepadInputSource,
+    bindKey,
+    findConflict,
+    formatCode,
+    ACTIONS,
+    ACTION_LABELS,
+    DEFAULT_BINDINGS,
+    RESERVED_CODES,
+    copyBindings,
+    GAMEPAD_BINDINGS,
+    GAMEPAD_MENU_KEYS
+} from './input.js';
+import AudioManager, { SilentAudioManager } from './audio.js';
+import { ReplayRecorder, ReplayInputSource, REPLAY_SPEEDS } from './replay.js';
+import HighScoreTable, { INITIALS_LENGTH } from './highscores.js';
 
-// Game constants
-const GAME_SETTINGS = {
+// Game constants, individual games can override these through options.settings
+export const GAME_SETTINGS = {
     INITIAL_LIVES: 3,
     GAME_OVER_DELAY: 3000,
     WAVE_CREATION_DELAY: 3000,
     BACKGROUND_BEAT_DELAY: 500,
+    TURN_CHANGE_DELAY: 2000,  // The ship breaks up before the next player's turn
+    PLAYER_BANNER_DELAY: 2000,  // How long the next player's banner shows before their ship appears
     BASE_ASTEROIDS: 3,
+    ASTEROID_MIN_SPEED: 50,  // Pixels per second for new wave asteroids
+    ASTEROID_MAX_SPEED: 100,
     EXTRA_LIFE_SCORE: 10000,  // Score needed for an extra life
-    DEFAULT_HIGH_SCORE: 7500
+    DEFAULT_HIGH_SCORE: 7500,
+    HYPERSPACE_FAILURE_CHANCE: 0.1,  // Chance of the ship exploding on hyperspace re-entry
+    SAUCER_SPAWN_INTERVAL: 20,  // Seconds between saucer appearances
+    SMALL_SAUCER_SCORE: 40000,  // Score from which only small saucers appear
+    SAUCER_ACCURACY_PER_WAVE: 0.1,  // Small saucer aim improvement per wave
+    SAUCER_MAX_ACCURACY_SCORE: 50000,  // Score at which small saucers aim perfectly
+    REPLAY_SEEK_STEP: 5,  // Seconds skipped by each replay seek
+    ATTRACT_SCREEN_DURATION: 8000,  // Title and high score screens in attract mode
+    ATTRACT_DEMO_DURATION: 30000,  // Longest bot demo game in attract mode
+    ATTRACT_DEMO_BOT: 'expert',
+    ASTEROID_PHYSICS: false,  // Asteroids bounce off each other rather than passing through
+    RENDER_STYLE: 'flat'  // 'flat' or 'vector', see renderstyles.js
 };
 
+// Game flow states and the states each one can change to. Pause is pushed on top
+// of any of them, settings on top of pause and controls on top of settings.
+// Attract mode and new games start over instead of changing state.
+export const GAME_TRANSITIONS = {
+    attract: [],
+    playing: ['respawning', 'waveTransition', 'turnChange', 'gameOver'],
+    respawning: ['playing', 'waveTransition', 'turnChange', 'gameOver'],
+    waveTransition: ['playing', 'respawning', 'waveTransition', 'turnChange', 'gameOver'],
+    turnChange: ['playing'],
+    gameOver: [],
+    paused: [],
+    settings: [],
+    controls: []
+};
+
+// Players take turns like on the arcade cabinet, each with their own score, lives and asteroid field
+export const MAX_PLAYERS = 2;
+
+const MENU_STATES = ['paused', 'settings', 'controls'];
+const MENU_MARGIN = 48;  // Space kept below the last line of a menu
+const CONTROLS_HINT = 'ENTER ADDS A KEY, BACKSPACE RESTORES THE DEFAULT';
+
+// Screen shake in pixels for each kind of explosion, dying away at SCREEN_SHAKE_DECAY pixels per second
+const SCREEN_SHAKE = { large: 6, medium: 4, small: 2, ship: 10 };
+const SCREEN_SHAKE_DECAY = 30;
+
+// Gamepad rumble for losing the ship and the biggest explosions, strength from 0 to 1
+const RUMBLE = {
+    ship: { strength: 1, duration: 400 },
+    large: { strength: 0.5, duration: 200 }
+};
+
+// Attract mode cycles through these screens until a game is started
+const ATTRACT_PHASES = ['title', 'highScores', 'demo'];
+
+const INITIALS_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const INITIALS_SPACING = 40;
+const INITIALS_TOUCH_SPACING = 110;  // Wide enough apart to tap each letter's arrows
+const INITIALS_TOUCH_REACH = 75;  // How far above and below a letter's middle its arrows can be tapped
+
+// Simulation timing
+export const FIXED_TIMESTEP = 1 / 120;  // Seconds of simulation per update step (120Hz)
+export const TICK_RATE = Math.round(1 / FIXED_TIMESTEP);  // Simulation steps per second
+const MAX_FRAME_TIME = 0.25;  // Longest frame gap simulated, in seconds
+
+// Logical playfield, the same size on every screen so a bigger window is not an easier game
+export const WORLD_SIZE = { width: 1024, height: 768 };
+
+function createPlayer(lives) {
+    return {
+        score: 0,
+        lives,
+        wave: 1,
+        initialAsteroidCount: 0,
+        lastExtraLifeScore: 0,  // Track when the last extra life was awarded
+        asteroids: null  // Asteroid field kept while another player has their turn, null before their first
+    };
+}
+
+function formatReplayTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const remainder = Math.floor(seconds % 60);
+    return `${minutes}:${remainder.toString().padStart(2, '0')}`;
+}
+
 export default class Game {
-    constructor(canvas, isTestMode = false) {
+    constructor(canvas, isTestMode = false, options = {}) {
+        this.canvas = canvas;
+        this.isTestMode = isTestMode;
+        this.headless = options.headless ?? false;  // Simulation only: no DOM, listeners, sound or game loop
+        // Headless games have no screen, the "canvas" passed in is just the world size
+        this.defaultWorld = options.world ?? (this.headless ? { width: canvas.width, height: canvas.height } : WORLD_SIZE);
+        this.world = { ...this.defaultWorld };
+        this.view = { scale: 1, offsetX: 0, offsetY: 0 };  // Where the world sits on the canvas
+        // Headless games play by the settings they are given, never the player's saved ones
+        this.playerSettings = new SettingsStore(this.headless ? null : options.settingsStorage);
+        this.baseSettings = { ...GAME_SETTINGS, RENDER_STYLE: this.playerSettings.get('renderStyle'), ...options.settings };
+        this.gameplaySettings = {};  // Rule changes from the player's settings, fixed for each game
+        this.settings = { ...this.baseSettings };
+        this.fixedSeed = options.seed ?? null;  // Replay every game from this seed when set
+        this.setPlayerCount(options.players ?? 1);  // Players in each new game, picked on the start screen
+        this.lastTime = performance.now();
+        this.accumulator = 0;  // Unsimulated time carried over between frames
+        this.state = new StateMachine(this.createStates(), GAME_TRANSITIONS);
+        // Headless games never touch the stored table
+        this.highScores = new HighScoreTable(this.headless ? null : options.highScoreStorage);
+        this.highScore = this.highScores.getTopScore() ?? this.settings.DEFAULT_HIGH_SCORE;
+        this.leaderboard = options.leaderboard ?? null;  // Online leaderboard, local scores only without it
+        this.mode = options.mode ?? 'classic';  // Leaderboard mode the game's scores are ranked in
+        this.lastInitials = null;  // Initials entered last, reused for scores that only go online
+        this.replay = null;  // Playback state while watching a replay
+        this.bot = null;  // Autopilot flying the ship while watching the bot
+        this.botInput = null;  // The bot's input source while it flies
+        this.attract = null;  // Attract mode state while waiting for a player
+        this.particles = new ParticleSystem(this.headless ? 0 : MAX_PARTICLES);  // Nothing to see headless
+        this.renderStyle = createRenderStyle(this.settings.RENDER_STYLE);
+        this.shakeRandom = new Random();  // Shake is cosmetic and stays out of the gameplay sequence
+        this.useTouchControls = options.touchControls ?? isTouchDevice();
+        this.keyboard = null;  // The player's own devices, none headless
+        this.gamepad = null;
+        this.touchControls = null;
+        if (!this.headless) {
+            this.createPlayerInput();
+        }
+        // Where the player's input comes from each tick, e.g. a script or the network instead of the devices
+        this.input = options.input ?? this.playerInput ?? new ScriptedInputSource(() => ({}));
+        
+        if (this.headless) {
+            this.context = null;
+            // Rule changes a headless game starts with, e.g. those a replay was recorded with
+            this.reset(undefined, undefined, options.gameplaySettings);
+            return;
+        }
+        
         console.log('Game constructor called with canvas:', {
             width: canvas.width,
             height: canvas.height
         });
-        
-        this.canvas = canvas;
         this.context = canvas.getContext('2d');
-        this.isTestMode = isTestMode;
-        this.lastTime = performance.now();
-        this.gameOverTimer = null;
-        this.highScore = GAME_SETTINGS.DEFAULT_HIGH_SCORE;
         
         // Create game over screen if it doesn't exist
         if (!document.getElementById('game-over-screen')) {
@@ -37,42 +192,59 @@ export default class Game {
         }
         
         // Initialize game state
+        this.playerSettings.onChange((name, value) => this.applyPlayerSetting(name, value));
         this.reset();
         
+        // Page listeners are kept so destroy() can remove them again
+        this.onResize = () => this.resize();
+        this.onKeyDown = e => this.handleKeyDown(e);
+        this.onClick = e => this.handleClick(e);
+        this.onVisibilityChange = () => {
+            if (document.hidden && this.canPause()) {
+                this.pause();
+            }
+        };
+        this.onBlur = () => {
+            if (this.canPause()) {
+                this.pause();
+            }
+        };
+        
         // Set up resize handling
-        window.addEventListener('resize', () => this.resize());
+        window.addEventListener('resize', this.onResize);
         this.resize();
         
         // Initialize game
         this.init();
     }
     
-    async reset() {
-        this.score = 0;
-        this.lives = GAME_SETTINGS.INITIAL_LIVES;
-        this.gameOver = false;
-        this.gameOverPending = false;
-        this.clearGameOverTimer();
-        this.paused = false;
-        this.wave = 1;
-        this.initialAsteroidCount = 0;
-        this.lastExtraLifeScore = 0;  // Track when the last extra life was awarded
-        
-        // Hide game over screen
-        const gameOverScreen = document.getElementById('game-over-screen');
-        if (gameOverScreen) {
-            gameOverScreen.classList.remove('visible');
+    async reset(
+        seed = this.fixedSeed ?? Random.generateSeed(),
+        world = this.defaultWorld,
+        gameplaySettings = getGameplaySettings(this.playerSettings.values),
+        playerCount = this.playerCount
+    ) {
+        // Hold the simulation until the first wave exists so every run starts identically
+        this.loading = true;
+        this.world = { width: world.width, height: world.height };
+        // The rules the game starts with, a replay records any change from them as it happens
+        this.gameplaySettings = { ...gameplaySettings };
+        this.settings = { ...this.baseSettings, ...gameplaySettings };
+        if (!this.headless) {
+            this.updateView();
         }
+        this.replay = null;
+        this.setBot(null);
+        this.attract = null;
+        this.resetState(seed, playerCount);
         
-        // Create game objects
-        this.ship = new Ship(this.canvas.width / 2, this.canvas.height / 2, this.canvas);
-        this.ship.setGameOver(false);  // Ensure ship's game over state is reset
-        this.asteroids = [];
-        this.bullets = [];
-        
-        // Initialize audio
-        this.audio = new AudioManager(this.isTestMode);
-        if (!this.isTestMode) {
+        // Initialize audio, silencing any looping sounds left over from the previous game
+        if (this.audio) {
+            this.audio.stopTimers();
+        }
+        this.audio = this.headless ? new SilentAudioManager() : new AudioManager(this.isTestMode);
+        this.applyVolumes();
+        if (!this.isTestMode && !this.headless) {
             try {
                 await this.audio.init();
             } catch (error) {
@@ -82,12 +254,325 @@ export default class Game {
         
         // Create initial asteroids
         this.createNewWave();
+        this.loading = false;
+    }
+    
+    resetState(seed, playerCount = this.players.length) {
+        // All gameplay randomness is derived from the seed so a run can be reproduced
+        this.seed = seed;
+        this.random = new Random(seed);
+        
+        this.players = Array.from({ length: playerCount }, () => createPlayer(this.settings.INITIAL_LIVES));
+        this.currentPlayer = 0;  // Index of the player whose turn it is
+        this.initialsEntry = null;  // Initials being entered for a new high score
+        this.freshKeys = new Set();  // Keys first pressed since initials entry or the game over screen came up
+        this.deaths = 0;
+        this.tick = 0;  // Number of fixed simulation steps since the game started
+        this.accumulator = 0;
+        this.scheduledTimers = [];
+        this.recorder = new ReplayRecorder(seed, TICK_RATE);
+        this.input.reset();
+        
+        this.hideGameOverScreen();
+        
+        // Create game objects
+        this.ship = new Ship(this.world.width / 2, this.world.height / 2, this.world, this.random,
+            this.settings.HYPERSPACE_FAILURE_CHANCE);
+        this.ship.setGameOver(false);  // Ensure ship's game over state is reset
+        this.asteroids = [];
+        this.bullets = [];
+        this.saucers = [];
+        this.particles.clear();
+        this.shake = 0;  // Current screen shake in pixels
+        this.resetSaucerSpawnTimer();
+        
+        // Leaving the old state drops its timers, so nothing from the last game fires into this one.
+        // With more than one player the first turn opens with its banner.
+        if (playerCount > 1) {
+            this.ship.visible = false;
+            this.state.start('turnChange', { playerOut: null, switched: true });
+        } else {
+            this.state.start('playing');
+        }
+    }
+    
+    // The score, lives and wave of the player whose turn it is
+    get player() {
+        return this.players[this.currentPlayer];
+    }
+    
+    get score() {
+        return this.player.score;
+    }
+    
+    set score(score) {
+        this.player.score = score;
+    }
+    
+    get lives() {
+        return this.player.lives;
+    }
+    
+    set lives(lives) {
+        this.player.lives = lives;
+    }
+    
+    get wave() {
+        return this.player.wave;
+    }
+    
+    set wave(wave) {
+        this.player.wave = wave;
+    }
+    
+    get initialAsteroidCount() {
+        return this.player.initialAsteroidCount;
+    }
+    
+    set initialAsteroidCount(count) {
+        this.player.initialAsteroidCount = count;
+    }
+    
+    get lastExtraLifeScore() {
+        return this.player.lastExtraLifeScore;
+    }
+    
+    set lastExtraLifeScore(score) {
+        this.player.lastExtraLifeScore = score;
+    }
+    
+    setPlayerCount(count) {
+        if (!Number.isInteger(count) || count < 1 || count > MAX_PLAYERS) {
+            throw new Error(`Unsupported number of players: ${count}`);
+        }
+        this.playerCount = count;
+    }
+    
+    getNextPlayer() {
+        // The next player round with lives left, the current one again when they are the last, null when none are
+        for (let offset = 1; offset <= this.players.length; offset++) {
+            const index = (this.currentPlayer + offset) % this.players.length;
+            if (this.players[index].lives > 0) {
+                return index;
+            }
+        }
+        return null;
+    }
+    
+    switchPlayer(index) {
+        // The field is put away as it is and comes back out on the player's next turn
+        this.player.asteroids = this.asteroids;
+        this.currentPlayer = index;
+        
+        this.bullets = [];
+        this.clearSaucers();
+        this.resetSaucerSpawnTimer();
+        this.particles.clear();
+        this.ship.reset(this.world.width / 2, this.world.height / 2);
+        this.ship.visible = false;
+        
+        // A first turn, or one lost while the next wave was on its way or with the field cleared, starts a new wave
+        if (this.player.asteroids?.length > 0) {
+            this.asteroids = this.player.asteroids;
+        } else {
+            this.createNewWave();
+        }
+        this.player.asteroids = null;
+    }
+    
+    showPlayerBanner() {
+        this.state.data.switched = true;
+        this.state.after(this.settings.PLAYER_BANNER_DELAY, () => this.startTurn());
+    }
+    
+    startTurn() {
+        this.ship.reset(this.world.width / 2, this.world.height / 2);
+        this.audio.startBackgroundBeat(this.wave);
+        this.audio.updateBeatInterval(this.asteroids.length, this.initialAsteroidCount);
+        this.state.transition('playing');
+    }
+    
+    createStates() {
+        return {
+            attract: {
+                // Title and high score screens, the asteroids drift behind them
+                enter: ({ phase }) => {
+                    this.ship.visible = false;
+                    if (phase === 'title') {
+                        this.showStartScreen();
+                    } else {
+                        this.hideStartScreen();
+                    }
+                },
+                exit: () => this.hideStartScreen()
+            },
+            playing: {},
+            respawning: {
+                // The ship runs its own disintegration and respawn countdown
+                update: () => {
+                    if (!this.isShipDown()) {
+                        this.state.transition('playing');
+                    }
+                }
+            },
+            waveTransition: {
+                enter: () => {
+                    this.wave++;
+                    this.audio.stopBackgroundBeat();
+                    this.audio.playWaveEndSound();
+                    
+                    this.state.after(this.settings.WAVE_CREATION_DELAY, () => {
+                        this.createNewWave();
+                        // Start the beat for the new wave once the wave end sound has finished
+                        this.state.after(this.settings.BACKGROUND_BEAT_DELAY, () => {
+                            this.audio.startBackgroundBeat(this.wave);
+                            this.state.transition(this.isShipDown() ? 'respawning' : 'playing');
+                        });
+                    });
+                }
+            },
+            turnChange: {
+                // The ship breaks up, then the next player's field comes out under their banner
+                enter: ({ switched, next }) => {
+                    if (switched) {
+                        this.showPlayerBanner();
+                        return;
+                    }
+                    this.audio.stopBackgroundBeat();
+                    this.state.after(this.settings.TURN_CHANGE_DELAY, () => {
+                        this.switchPlayer(next);
+                        this.showPlayerBanner();
+                    });
+                }
+            },
+            gameOver: {
+                // The ship breaks up for GAME_OVER_DELAY before the game over message
+                enter: () => {
+                    this.ship.setGameOver(true);
+                    this.audio.stopBackgroundBeat();
+                    this.state.after(this.settings.GAME_OVER_DELAY, () => this.endGame());
+                }
+            },
+            paused: {
+                // Looping sounds pick up where they left off on resume
+                enter: () => this.audio.suspendTimers(),
+                exit: () => this.audio.resumeTimers()
+            },
+            settings: {
+                // Opened from the title screen the menu takes the start screen's place
+                enter: () => this.hideStartScreen(),
+                exit: () => {
+                    if (this.attract?.phase === 'title') {
+                        this.showStartScreen();
+                    }
+                }
+            },
+            controls: {}
+        };
+    }
+    
+    // Flow flags read across the game, derived from the state machine
+    get gameOver() {
+        return this.state.dataFor('gameOver')?.ended === true;
+    }
+    
+    get gameOverPending() {
+        const gameOver = this.state.dataFor('gameOver');
+        return gameOver !== null && !gameOver.ended;
+    }
+    
+    get paused() {
+        // Still paused while the settings are open from the pause menu
+        return this.state.includes('paused');
+    }
+    
+    isMenuOpen() {
+        // Settings can also be opened from the title screen without pausing a game
+        return MENU_STATES.some(name => this.state.includes(name));
+    }
+    
+    isShipDown() {
+        // Between losing a life and the ship reappearing
+        return this.ship.isDisintegrating || this.ship.respawnTimer > 0;
     }
     
-    clearGameOverTimer() {
-        if (this.gameOverTimer) {
-            clearTimeout(this.gameOverTimer);
-            this.gameOverTimer = null;
+    schedule(callback, delay) {
+        // Like setTimeout, but driven by simulation time so replays stay in sync
+        const timer = { callback, remaining: delay };
+        this.scheduledTimers.push(timer);
+        return timer;
+    }
+    
+    updateScheduled(deltaTime) {
+        this.scheduledTimers.forEach(timer => {
+            timer.remaining -= deltaTime * 1000;
+        });
+        
+        // Remove due timers before running them, as callbacks may schedule new ones
+        const due = this.scheduledTimers.filter(timer => timer.remaining <= 0);
+        this.scheduledTimers = this.scheduledTimers.filter(timer => timer.remaining > 0);
+        due.forEach(timer => timer.callback());
+        
+        this.state.update(deltaTime);
+    }
+    
+    showGameOverScreen() {
+        this.freshKeys.clear();
+        if (this.headless) return;
+        
+        const gameOverScreen = document.getElementById('game-over-screen');
+        document.getElementById('final-score').textContent = this.players.length > 1
+            ? this.players.map((player, index) => `Player ${index + 1} ${player.score}`).join(', ')
+            : this.score;
+        this.showHighScoreList(this.highScores.entries);
+        this.setLeaderboardStatus('');
+        gameOverScreen.classList.add('visible');
+    }
+    
+    showHighScoreList(entries) {
+        if (this.headless) return;
+        
+        const highScoreList = document.getElementById('high-score-list');
+        if (highScoreList) {
+            highScoreList.innerHTML = entries
+                .map(entry => `<li>${entry.initials} ${entry.score}</li>`)
+                .join('');
+        }
+    }
+    
+    setLeaderboardStatus(message) {
+        if (this.headless) return;
+        
+        const status = document.getElementById('leaderboard-status');
+        if (status) {
+            status.textContent = message;
+        }
+    }
+    
+    showStartScreen() {
+        if (this.headless) return;
+        
+        const startScreen = document.getElementById('start-screen');
+        if (startScreen) {
+            startScreen.classList.remove('hidden');
+        }
+    }
+    
+    hideStartScreen() {
+        if (this.headless) return;
+        
+        const startScreen = document.getElementById('start-screen');
+        if (startScreen) {
+            startScreen.classList.add('hidden');
+        }
+    }
+    
+    hideGameOverScreen() {
+        if (this.headless) return;
+        
+        const gameOverScreen = document.getElementById('game-over-screen');
+        if (gameOverScreen) {
+            gameOverScreen.classList.remove('visible');
         }
     }
     
@@ -95,35 +580,59 @@ export default class Game {
         // Get the display size of the canvas
         const rect = this.canvas.getBoundingClientRect();
         
-        // Set the canvas resolution to match its display size
-        this.canvas.width = rect.width;
-        this.canvas.height = rect.height;
-        
-        // Update ship position if needed
-        if (this.ship) {
-            this.ship.x = Math.min(this.ship.x, this.canvas.width);
-            this.ship.y = Math.min(this.ship.y, this.canvas.height);
-        }
+        // Back it with one pixel per device pixel so lines stay sharp on high-DPI screens
+        const pixelRatio = window.devicePixelRatio || 1;
+        this.canvas.width = Math.round(rect.width * pixelRatio);
+        this.canvas.height = Math.round(rect.height * pixelRatio);
+        this.updateView();
         
         console.log('Canvas resized to:', {
             width: this.canvas.width,
-            height: this.canvas.height
+            height: this.canvas.height,
+            pixelRatio
         });
     }
     
+    toWorld(clientX, clientY) {
+        // From page coordinates, through the canvas backing store, into the playfield
+        const rect = this.canvas.getBoundingClientRect();
+        const x = (clientX - rect.left) * (this.canvas.width / rect.width);
+        const y = (clientY - rect.top) * (this.canvas.height / rect.height);
+        return {
+            x: (x - this.view.offsetX) / this.view.scale,
+            y: (y - this.view.offsetY) / this.view.scale
+        };
+    }
+    
+    updateView() {
+        // Fit the whole world on the canvas, centred with black bars along the spare sides.
+        // Entities keep their world positions, only the view changes with the window.
+        const scale = Math.min(this.canvas.width / this.world.width, this.canvas.height / this.world.height);
+        this.view = {
+            scale,
+            offsetX: (this.canvas.width - this.world.width * scale) / 2,
+            offsetY: (this.canvas.height - this.world.height * scale) / 2
+        };
+    }
+    
     init() {
         console.log('Creating initial asteroids...');
         
-        // Set up input handling
-        setupInput();
+        // The listeners are the same functions every time, so an init that runs
+        // again does not add them twice
+        this.input.detach();
+        this.input.attach();
         
-        // Add keydown listener for game over restart
-        window.addEventListener('keydown', async () => {
-            if (this.gameOver) {
-                await this.reset();
-                document.getElementById('game-over-screen').classList.remove('visible');
-            }
-        });
+        // Replay controls, menus, initials and game over restart
+        window.addEventListener('keydown', this.onKeyDown);
+        
+        // Pause when the player switches away, keys released meanwhile would otherwise stick
+        document.addEventListener('visibilitychange', this.onVisibilityChange);
+        window.addEventListener('blur', this.onBlur);
+        
+        // Clicking anywhere but the start screen controls also leaves attract mode,
+        // chooses menu items and confirms initials, so a touch screen can get everywhere
+        window.addEventListener('click', this.onClick);
         
         this.setupAudioHandling();
         
@@ -135,6 +644,82 @@ export default class Game {
         }
     }
     
+    destroy() {
+        // Stop the loop and remove every listener, e.g. before another game takes over the canvas
+        cancelAnimationFrame(this.animationFrame);
+        window.removeEventListener('resize', this.onResize);
+        window.removeEventListener('keydown', this.onKeyDown);
+        document.removeEventListener('visibilitychange', this.onVisibilityChange);
+        window.removeEventListener('blur', this.onBlur);
+        window.removeEventListener('click', this.onClick);
+        window.removeEventListener('load', this.onLoad);
+        this.removeAudioListeners(this.startAudio);
+        
+        this.input.detach();
+        this.playerInput?.detach();
+        this.botInput?.detach();
+        this.audio.stopBackgroundBeat();
+    }
+    
+    async handleKeyDown(e) {
+        if (this.replay) {
+            this.handleReplayKey(e.key);
+            return;
+        }
+        
+        if (this.isMenuOpen()) {
+            this.handleMenuKey(e.key, e.code);
+            return;
+        }
+        
+        if (this.attract) {
+            await this.exitAttractMode();
+            return;
+        }
+        
+        // Initials and the game over screen only take fresh presses, so a key held down
+        // when they came up (e.g. fire) cannot pick "AAA" or restart through key repeat
+        if (this.initialsEntry || this.gameOver) {
+            if (!e.repeat) {
+                this.freshKeys.add(e.code);
+            } else if (!this.freshKeys.has(e.code)) {
+                return;
+            }
+        }
+        
+        if (this.initialsEntry) {
+            this.handleInitialsKey(e.key);
+            return;
+        }
+        
+        if (this.bot && e.key === 'Escape') {
+            await this.stopBot();
+            return;
+        }
+        
+        if (this.isPauseKey(e.key, e.code) && this.canPause()) {
+            this.pause();
+            return;
+        }
+        
+        if (this.gameOver) {
+            await this.reset();
+            document.getElementById('game-over-screen').classList.remove('visible');
+        }
+    }
+    
+    async handleClick(e) {
+        if (e.target.closest && e.target.closest('button, select, input')) return;
+        
+        if (this.isMenuOpen()) {
+            this.handleMenuTap(e.clientX, e.clientY);
+        } else if (this.attract) {
+            await this.exitAttractMode();
+        } else if (this.initialsEntry && this.touchControls) {
+            this.handleInitialsTap(e.clientX, e.clientY);
+        }
+    }
+    
     setupAudioHandling() {
         const startAudio = async () => {
             if (this.isTestMode) {
@@ -177,78 +762,813 @@ export default class Game {
         
         // Add event listeners for user interaction
         console.log('Adding audio event listeners for user interaction');
+        this.removeAudioListeners(this.startAudio);
+        this.startAudio = startAudio;
         document.addEventListener('keydown', startAudio);
         document.addEventListener('click', startAudio);
         document.addEventListener('touchstart', startAudio);
         
-        // Also try to initialize on window load
-        window.addEventListener('load', () => {
-            console.log('Window loaded, checking if we can initialize audio');
-            if (this.audio && this.audio.context && !this.audio.initialized) {
-                startAudio();
-            }
-        });
+        // Also try to initialize on window load
+        window.removeEventListener('load', this.onLoad);
+        this.onLoad = () => {
+            console.log('Window loaded, checking if we can initialize audio');
+            if (this.audio && this.audio.context && !this.audio.initialized) {
+                startAudio();
+            }
+        };
+        window.addEventListener('load', this.onLoad);
+    }
+    
+    removeAudioListeners(handler) {
+        document.removeEventListener('keydown', handler);
+        document.removeEventListener('click', handler);
+        document.removeEventListener('touchstart', handler);
+    }
+    
+    createPlayerInput() {
+        // One player on every device at once
+        this.keyboard = new KeyboardInputSource(this.playerSettings.get('bindings'));
+        this.gamepad = new GamepadInputSource();
+        const sources = [this.keyboard, this.gamepad];
+        if (this.useTouchControls) {
+            this.touchControls = new TouchControls(this.canvas.parentElement, {
+                layout: this.playerSettings.get('touchLayout'),
+                onPause: () => {
+                    if (this.canPause()) {
+                        this.pause();
+                    }
+                }
+            });
+            sources.push(this.touchControls);
+        }
+        this.playerInput = new CombinedInputSource(sources);
+    }
+    
+    isPauseKey(key, code) {
+        // Escape cannot be rebound, so there is always a way back out
+        return key === 'Escape' || this.keyboard?.getAction(code) === 'pause';
+    }
+    
+    canPause() {
+        // Replays have their own pause and the other screens wait for input anyway
+        return !this.isMenuOpen() && !this.loading && !this.replay && !this.attract &&
+            !this.initialsEntry && !this.gameOver;
+    }
+    
+    pause() {
+        if (this.paused) return;
+        
+        this.input.release();
+        this.state.push('paused', { menu: this.createPauseMenu() });
+    }
+    
+    resume() {
+        if (!this.paused) return;
+        
+        // Closes the settings too when they are open
+        while (this.paused) {
+            this.state.pop();
+        }
+    }
+    
+    createPauseMenu() {
+        return new Menu('PAUSED', [
+            { label: 'RESUME', action: () => this.resume() },
+            { label: 'RESTART', action: () => this.reset() },
+            { label: 'SETTINGS', action: () => this.openSettings() },
+            { label: 'QUIT TO TITLE', action: () => this.startAttractMode() }
+        ]);
+    }
+    
+    openSettings() {
+        if (this.state.is('settings')) return;
+        
+        this.state.push('settings', { menu: this.createSettingsMenu() });
+    }
+    
+    closeSettings() {
+        if (this.state.is('settings')) {
+            this.state.pop();
+        }
+    }
+    
+    createSettingsMenu() {
+        const percent = value => `${Math.round(value * 100)}%`;
+        const upperCase = value => value.toUpperCase();
+        const rows = [
+            ['masterVolume', 'MASTER VOLUME', percent],
+            ['sfxVolume', 'EFFECTS VOLUME', percent],
+            ['beatVolume', 'BEAT VOLUME', percent],
+            ['renderStyle', 'RENDER STYLE', value => upperCase(RENDER_STYLES[value])],
+            ['startingLives', 'STARTING LIVES', String],
+            ['difficulty', 'DIFFICULTY', upperCase],
+            ['screenShake', 'SCREEN SHAKE', value => (value ? 'ON' : 'OFF')],
+            ['touchLayout', 'TOUCH CONTROLS', value => upperCase(TOUCH_LAYOUTS[value])]
+        ];
+        
+        return new Menu('SETTINGS', [
+            ...rows.map(([name, label, format]) => ({
+                label,
+                value: () => format(this.playerSettings.get(name)),
+                change: direction => this.playerSettings.step(name, direction)
+            })),
+            { label: 'CONTROLS', action: () => this.openControls() },
+            { label: 'BACK', action: () => this.closeSettings() }
+        ], 'CHANGING LIVES OR DIFFICULTY KEEPS A GAME OFF THE LEADERBOARD');
+    }
+    
+    openControls() {
+        if (this.state.is('controls')) return;
+        
+        // capture is the action waiting for a key to be pressed, if any
+        this.state.push('controls', { menu: this.createControlsMenu(), capture: null });
+    }
+    
+    closeControls() {
+        if (this.state.is('controls')) {
+            this.state.pop();
+        }
+    }
+    
+    createControlsMenu() {
+        return new Menu('CONTROLS', [
+            ...ACTIONS.map(action => ({
+                label: ACTION_LABELS[action],
+                binding: action,
+                value: () => this.playerSettings.get('bindings')[action].map(formatCode).join(' / ') || 'NONE',
+                action: () => this.startCapture(action)
+            })),
+            { label: 'RESET TO DEFAULTS', action: () => this.playerSettings.set('bindings', copyBindings(DEFAULT_BINDINGS)) },
+            { label: 'BACK', action: () => this.closeControls() }
+        ], CONTROLS_HINT);
+    }
+    
+    startCapture(action) {
+        this.state.data.capture = { action, code: null };
+        this.state.data.menu.hint = `PRESS A KEY FOR ${ACTION_LABELS[action]}, ESCAPE TO CANCEL`;
+    }
+    
+    endCapture() {
+        this.state.data.capture = null;
+        this.state.data.menu.hint = CONTROLS_HINT;
+    }
+    
+    handleCaptureKey(code) {
+        const { capture, menu } = this.state.data;
+        if (!code || RESERVED_CODES.includes(code)) {
+            this.endCapture();
+            return;
+        }
+        
+        // Taking a key away from another action has to be confirmed by pressing it again
+        const bindings = this.playerSettings.get('bindings');
+        const conflict = findConflict(bindings, capture.action, code);
+        if (conflict && capture.code !== code) {
+            capture.code = code;
+            menu.hint = `${formatCode(code)} IS USED FOR ${ACTION_LABELS[conflict]}, PRESS AGAIN TO MOVE IT`;
+            return;
+        }
+        
+        this.playerSettings.set('bindings', bindKey(bindings, capture.action, code));
+        this.endCapture();
+    }
+    
+    resetBinding(action) {
+        // Default keys now used elsewhere are taken back
+        let bindings = { ...this.playerSettings.get('bindings'), [action]: [] };
+        DEFAULT_BINDINGS[action].forEach(code => {
+            bindings = bindKey(bindings, action, code);
+        });
+        this.playerSettings.set('bindings', bindings);
+    }
+    
+    applyPlayerSetting(name, value) {
+        switch (name) {
+            case 'masterVolume':
+            case 'sfxVolume':
+            case 'beatVolume':
+                this.applyVolumes();
+                break;
+            case 'renderStyle':
+                this.setRenderStyle(value);
+                break;
+            case 'bindings':
+                this.keyboard?.setBindings(value);
+                break;
+            case 'touchLayout':
+                this.touchControls?.setLayout(value);
+                break;
+            case 'startingLives':
+            case 'difficulty':
+                // Replays keep the rules they were recorded with
+                if (!this.replay) {
+                    this.changeGameplaySettings(getGameplaySettings(this.playerSettings.values));
+                }
+                break;
+            // Screen shake is read when drawing
+        }
+    }
+    
+    changeGameplaySettings(gameplaySettings) {
+        // New rules apply to the running game from the next tick, and go in its replay
+        // so playing it back changes them on the same tick
+        const previousLives = this.settings.INITIAL_LIVES;
+        this.settings = { ...this.baseSettings, ...gameplaySettings };
+        this.ship.setHyperspaceFailureChance(this.settings.HYPERSPACE_FAILURE_CHANCE);
+        
+        // Players still in the game gain or lose the change in starting lives, down to their last
+        const extraLives = this.settings.INITIAL_LIVES - previousLives;
+        this.players.forEach(player => {
+            if (player.lives > 0) {
+                player.lives = Math.max(1, player.lives + extraLives);
+            }
+        });
+        
+        if (!this.replay && !this.gameOver) {
+            this.recorder.recordSettings(gameplaySettings);
+        }
+    }
+    
+    hasCustomRules() {
+        // Set before the game or changed part way through
+        return Object.keys(this.gameplaySettings).length > 0 || this.recorder.settingChanges.length > 0;
+    }
+    
+    applyVolumes() {
+        this.audio.setVolumes({
+            master: this.playerSettings.get('masterVolume'),
+            sfx: this.playerSettings.get('sfxVolume'),
+            beat: this.playerSettings.get('beatVolume')
+        });
+    }
+    
+    getMenuTop(menu) {
+        // Long menus move up to stay on screen
+        return Math.min(this.world.height / 3, this.world.height - menu.height - MENU_MARGIN);
+    }
+    
+    handleMenuTap(clientX, clientY) {
+        const { menu } = this.state.data;
+        const index = menu.itemAt(this.toWorld(clientX, clientY).y, this.getMenuTop(menu));
+        if (index === null) return;
+        
+        // A tap cannot be bound to an action, it stops waiting for a key instead
+        if (this.state.data.capture) {
+            this.endCapture();
+            return;
+        }
+        menu.selected = index;
+        menu.handleKey('Enter');
+    }
+    
+    handleMenuKey(key, code) {
+        if (this.state.data.capture) {
+            this.handleCaptureKey(code);
+            return;
+        }
+        
+        if (this.isPauseKey(key, code)) {
+            // Backs out one menu at a time
+            if (this.state.is('controls')) {
+                this.closeControls();
+            } else if (this.state.is('settings')) {
+                this.closeSettings();
+            } else {
+                this.resume();
+            }
+            return;
+        }
+        
+        const { menu } = this.state.data;
+        if (key === 'Backspace' && menu.current.binding) {
+            this.resetBinding(menu.current.binding);
+            return;
+        }
+        
+        menu.handleKey(key);
+    }
+    
+    readGamepads() {
+        // Held buttons are read with the rest of the input, presses work the menus and screens
+        this.gamepad?.pollButtons().forEach(button => this.handleGamepadButton(button));
+    }
+    
+    async handleGamepadButton(button) {
+        const key = GAMEPAD_MENU_KEYS[button];
+        if (this.replay || !key) return;
+        
+        if (this.isMenuOpen()) {
+            // Only keys can be bound, so a gamepad button cancels waiting for one
+            if (this.state.data.capture) {
+                this.endCapture();
+            } else {
+                this.handleMenuKey(key, null);
+            }
+            return;
+        }
+        
+        if (this.attract) {
+            await this.exitAttractMode();
+            return;
+        }
+        
+        if (this.initialsEntry) {
+            this.handleInitialsKey(key);
+            return;
+        }
+        
+        if (this.bot && key === 'Escape') {
+            await this.stopBot();
+            return;
+        }
+        
+        if (GAMEPAD_BINDINGS.pause.includes(button) && this.canPause()) {
+            this.pause();
+            return;
+        }
+        
+        if (this.gameOver) {
+            await this.reset();
+            this.hideGameOverScreen();
+        }
+    }
+    
+    gameLoop() {
+        // Measure real time elapsed since the last frame
+        const currentTime = performance.now();
+        const frameTime = (currentTime - this.lastTime) / 1000;
+        this.lastTime = currentTime;
+        
+        if (!this.loading) {
+            this.readGamepads();
+            // Touch controls only show while there is a ship to fly
+            this.touchControls?.setVisible(this.canPause() && !this.bot);
+            
+            // The game holds its last frame under a menu
+            if (!this.isMenuOpen() && this.isSimulationRunning()) {
+                this.advance(frameTime * this.getTimeScale());
+            }
+            
+            // Render part way between the last two simulation steps
+            this.render(this.accumulator / FIXED_TIMESTEP);
+        }
+        
+        this.animationFrame = requestAnimationFrame(() => this.gameLoop());
+    }
+    
+    advance(frameTime) {
+        // Clamp long gaps (e.g. after switching tabs) so objects cannot jump through each other
+        this.accumulator += Math.min(frameTime, MAX_FRAME_TIME);
+        
+        // Run the simulation in fixed steps so physics is identical at any frame rate
+        let steps = 0;
+        while (this.accumulator >= FIXED_TIMESTEP) {
+            this.step(FIXED_TIMESTEP);
+            this.accumulator -= FIXED_TIMESTEP;
+            steps++;
+        }
+        return steps;
+    }
+    
+    isSimulationRunning() {
+        // Replays hold still while paused and once the recorded input runs out
+        return !this.replay || (!this.replay.paused && !this.replay.player.isFinished);
+    }
+    
+    getTimeScale() {
+        return this.replay ? this.replay.speed : 1;
+    }
+    
+    step(deltaTime) {
+        const input = this.readInput();
+        this.savePreviousPositions();
+        
+        // Attract screens other than the demo only drift the asteroids
+        if (!this.gameOver && !this.isAttractBackdrop()) {
+            this.update(deltaTime, input);
+        } else {
+            this.updateGameOver(deltaTime);
+        }
+        this.particles.update(deltaTime, this.world.width, this.world.height);
+        this.shake = Math.max(0, this.shake - SCREEN_SHAKE_DECAY * deltaTime);
+        
+        this.updateScheduled(deltaTime);
+        this.tick++;
+    }
+    
+    getInputSource() {
+        // Replays feed back the recorded input, the bot flies in place of the player
+        if (this.replay) {
+            return this.replay.input;
+        }
+        return this.botInput ?? this.input;
+    }
+    
+    readInput() {
+        // Replays change the rules on the tick they were changed while recording
+        const source = this.getInputSource();
+        const settings = source.getSettingsChange?.();
+        if (settings) {
+            this.changeGameplaySettings(settings);
+        }
+        
+        const input = source.read(this);
+        
+        // Live games record their input until the game is over
+        if (!this.replay && !this.gameOver) {
+            this.recorder.record(input);
+        }
+        return input;
+    }
+    
+    getReplay() {
+        if (this.replay) {
+            return this.replay.player.replay;
+        }
+        
+        // Each player of a two player game ends on a score and wave of their own
+        const results = this.players.length > 1
+            ? { scores: this.players.map(player => player.score), waves: this.players.map(player => player.wave) }
+            : { score: this.score, wave: this.wave };
+        
+        return this.recorder.toReplay({
+            ...results,
+            players: this.players.length,
+            width: this.world.width,
+            height: this.world.height,
+            settings: { ...this.gameplaySettings }
+        });
+    }
+    
+    async startReplay(replay) {
+        // Validate before touching any game state
+        const input = new ReplayInputSource(replay);
+        if (replay.tickRate !== TICK_RATE) {
+            throw new Error(`Replay was recorded at ${replay.tickRate} ticks per second, expected ${TICK_RATE}`);
+        }
+        if ((replay.players ?? 1) > MAX_PLAYERS) {
+            throw new Error(`Replay has ${replay.players} players, at most ${MAX_PLAYERS} can play`);
+        }
+        
+        // Play back on the playfield and with the rules the replay was recorded with
+        await this.reset(
+            replay.seed,
+            { width: replay.width ?? WORLD_SIZE.width, height: replay.height ?? WORLD_SIZE.height },
+            replay.settings ?? {},
+            replay.players ?? 1
+        );
+        this.replay = {
+            input,
+            player: input.player,
+            speed: 1,
+            paused: false
+        };
+    }
+    
+    async stopReplay() {
+        await this.reset();
+    }
+    
+    async startAttractMode() {
+        await this.reset();
+        this.audio.setMuted(true);
+        this.attract = { phase: null };
+        this.showAttractPhase(0);
+    }
+    
+    showAttractPhase(index) {
+        const phase = ATTRACT_PHASES[index % ATTRACT_PHASES.length];
+        const seed = Random.generateSeed();
+        
+        // Every screen starts from a fresh asteroid field, the demo has one player
+        this.resetState(seed, 1);
+        this.audio.stopTimers();
+        this.createNewWave();
+        this.attract = { phase, index };
+        
+        // The demo moves through the play states, so attract timing is kept outside them
+        if (phase === 'demo') {
+            this.setBot(new Bot(this.settings.ATTRACT_DEMO_BOT, new Random(seed)));
+            this.hideStartScreen();
+            this.schedule(() => this.showAttractPhase(index + 1), this.settings.ATTRACT_DEMO_DURATION);
+        } else {
+            this.setBot(null);
+            this.state.start('attract', { phase });
+            this.schedule(() => this.showAttractPhase(index + 1), this.settings.ATTRACT_SCREEN_DURATION);
+        }
+    }
+    
+    isAttractBackdrop() {
+        return this.state.includes('attract');
+    }
+    
+    async exitAttractMode() {
+        // Hand over to a real game, reset also unmutes by creating fresh audio
+        this.audio.stopTimers();
+        this.hideStartScreen();
+        await this.reset();
+        this.resyncAudio();
+    }
+    
+    canEnterInitials(score = this.score) {
+        // Replays and bot games replay or fake a score, so they never enter the table
+        return !this.headless && !this.replay && !this.bot && this.highScores.qualifies(score);
+    }
+    
+    canSubmitOnline() {
+        // Live one player games by the standard rules are ranked online whatever their score
+        return Boolean(this.leaderboard) && !this.headless && !this.replay && !this.bot &&
+            this.players.length === 1 && !this.hasCustomRules();
+    }
+    
+    askForInitials(first = 0) {
+        // Each player from first on whose score makes the table enters initials in turn,
+        // the game over screen follows the last of them
+        const index = this.players.findIndex((player, i) => i >= first && this.canEnterInitials(player.score));
+        if (index >= 0) {
+            this.startInitialsEntry(index);
+        } else {
+            this.showGameOverScreen();
+        }
+    }
+    
+    startInitialsEntry(player = this.currentPlayer) {
+        this.freshKeys.clear();
+        this.initialsEntry = {
+            letters: Array(INITIALS_LENGTH).fill('A'),
+            position: 0,
+            player
+        };
+    }
+    
+    handleInitialsKey(key) {
+        const entry = this.initialsEntry;
+        const letterIndex = INITIALS_ALPHABET.indexOf(entry.letters[entry.position]);
+        const cycleLetter = direction => {
+            const index = (letterIndex + direction + INITIALS_ALPHABET.length) % INITIALS_ALPHABET.length;
+            entry.letters[entry.position] = INITIALS_ALPHABET[index];
+        };
+        
+        // Arcade style: up and down pick a letter, typing a letter works too
+        if (key.length === 1 && /[a-z]/i.test(key)) {
+            entry.letters[entry.position] = key.toUpperCase();
+            this.advanceInitials();
+            return;
+        }
+        
+        switch (key) {
+            case 'ArrowUp':
+                cycleLetter(1);
+                break;
+            case 'ArrowDown':
+                cycleLetter(-1);
+                break;
+            case 'ArrowRight':
+            case 'Enter':
+            case ' ':
+                this.advanceInitials();
+                break;
+            case 'ArrowLeft':
+            case 'Backspace':
+                entry.position = Math.max(0, entry.position - 1);
+                break;
+        }
+    }
+    
+    getInitialsX(index) {
+        // Centre of a letter, INITIALS_LENGTH is the OK button after them on touch screens
+        const spacing = this.touchControls ? INITIALS_TOUCH_SPACING : INITIALS_SPACING;
+        return this.world.width / 2 + (index - (INITIALS_LENGTH - 1) / 2) * spacing;
+    }
+    
+    handleInitialsTap(clientX, clientY) {
+        // The arrows above and below a letter pick it and step through the alphabet, OK confirms
+        const { x, y } = this.toWorld(clientX, clientY);
+        const middle = this.world.height / 2 + 12;
+        const column = Math.round((x - this.getInitialsX(0)) / INITIALS_TOUCH_SPACING);
+        if (column < 0 || column > INITIALS_LENGTH || Math.abs(y - middle) > INITIALS_TOUCH_REACH) return;
+        
+        if (column === INITIALS_LENGTH) {
+            this.submitInitials();
+            return;
+        }
+        this.initialsEntry.position = column;
+        this.handleInitialsKey(y < middle ? 'ArrowUp' : 'ArrowDown');
+    }
+    
+    advanceInitials() {
+        this.initialsEntry.position++;
+        if (this.initialsEntry.position >= INITIALS_LENGTH) {
+            this.submitInitials();
+        }
+    }
+    
+    submitInitials() {
+        const { letters, player } = this.initialsEntry;
+        const initials = letters.join('');
+        const { score } = this.players[player];
+        this.initialsEntry = null;
+        this.lastInitials = initials;
+        
+        if (this.canEnterInitials(score)) {
+            this.highScores.add(initials, score);
+            this.highScore = Math.max(this.highScore, this.highScores.getTopScore());
+        }
+        this.askForInitials(player + 1);
+        this.submitToLeaderboard(initials);
+    }
+    
+    async submitToLeaderboard(name) {
+        // The local table is already saved, so an unreachable server only loses the online ranking
+        if (!this.leaderboard) return null;
+        
+        // Only one player games are ranked online
+        if (this.players.length > 1) {
+            this.setLeaderboardStatus('Two player game, showing local scores');
+            return null;
+        }
+        
+        // Leaderboard modes fix their rules, games with other lives or difficulty stay local
+        if (this.hasCustomRules()) {
+            this.setLeaderboardStatus('Custom settings, showing local scores');
+            return null;
+        }
+        
+        this.setLeaderboardStatus('Submitting score...');
+        try {
+            const { rank } = await this.leaderboard.submitScore({
+                name,
+                mode: this.mode,
+                replay: this.getReplay()
+            });
+            const scores = await this.leaderboard.getTopScores({ mode: this.mode });
+            
+            this.showHighScoreList(scores.map(entry => ({ initials: entry.name, score: entry.score })));
+            this.setLeaderboardStatus(`Leaderboard rank ${rank}`);
+            return rank;
+        } catch (error) {
+            console.error('Failed to submit score to the leaderboard:', error);
+            this.setLeaderboardStatus('Leaderboard unavailable, showing local scores');
+            return null;
+        }
+    }
+    
+    async watchBot(profile = 'expert') {
+        // Seed the bot from the game so a bot game is reproducible from its seed,
+        // creating it first so an unknown profile leaves the game untouched
+        const seed = this.fixedSeed ?? Random.generateSeed();
+        const bot = new Bot(profile, new Random(seed));
+        await this.reset(seed, undefined, undefined, 1);
+        this.setBot(bot);
+    }
+    
+    setBot(bot) {
+        // The bot plays through its own input source, fresh for each game it flies
+        this.bot = bot;
+        this.botInput = bot ? new ScriptedInputSource(game => bot.getInput(game)) : null;
+    }
+    
+    async stopBot() {
+        await this.reset();
+    }
+    
+    setReplaySpeed(speed) {
+        if (this.replay && REPLAY_SPEEDS.includes(speed)) {
+            this.replay.speed = speed;
+        }
+    }
+    
+    changeReplaySpeed(direction) {
+        if (!this.replay) return;
+        
+        const index = REPLAY_SPEEDS.indexOf(this.replay.speed) + direction;
+        this.setReplaySpeed(REPLAY_SPEEDS[Math.max(0, Math.min(index, REPLAY_SPEEDS.length - 1))]);
     }
     
-    removeAudioListeners(handler) {
-        document.removeEventListener('keydown', handler);
-        document.removeEventListener('click', handler);
-        document.removeEventListener('touchstart', handler);
+    toggleReplayPause() {
+        if (!this.replay) return;
+        
+        this.replay.paused = !this.replay.paused;
+        if (this.replay.paused) {
+            this.audio.stopTimers();
+        } else {
+            this.resyncAudio();
+        }
     }
     
-    stop() {
-        this.paused = true;
-        this.audio.stopBackgroundBeat();
+    seekReplay(targetTick) {
+        if (!this.replay) return;
+        
+        const { player } = this.replay;
+        const target = Math.max(0, Math.min(Math.round(targetTick), player.tickCount));
+        
+        // The simulation only runs forwards, so seeking backwards restarts from the seed
+        if (target < this.tick) {
+            // Rule changes made during the replay are played back again from its starting rules
+            this.settings = { ...this.baseSettings, ...this.gameplaySettings };
+            this.resetState(this.seed);
+            this.createNewWave();
+            this.replay.input.rewind();
+        }
+        
+        // Fast-forward silently to the target tick
+        this.audio.setMuted(true);
+        while (this.tick < target && !player.isFinished) {
+            this.step(FIXED_TIMESTEP);
+        }
+        this.audio.setMuted(false);
+        
+        this.accumulator = 0;
+        this.resyncAudio();
     }
     
-    gameLoop() {
-        // Calculate delta time for consistent motion
-        const currentTime = performance.now();
-        const deltaTime = (currentTime - this.lastTime) / 1000;
-        this.lastTime = currentTime;
+    handleReplayKey(key) {
+        const seekTicks = this.settings.REPLAY_SEEK_STEP * TICK_RATE;
         
-        if (!this.paused) {
-            if (!this.gameOver) {
-                this.update(deltaTime);
-            } else {
-                this.updateGameOver(deltaTime);
-            }
-            this.render();
+        switch (key) {
+            case 'ArrowUp':
+                this.changeReplaySpeed(1);
+                break;
+            case 'ArrowDown':
+                this.changeReplaySpeed(-1);
+                break;
+            case 'ArrowLeft':
+                this.seekReplay(this.tick - seekTicks);
+                break;
+            case 'ArrowRight':
+                this.seekReplay(this.tick + seekTicks);
+                break;
+            case ' ':
+            case 'p':
+                this.toggleReplayPause();
+                break;
+            case 'Escape':
+                this.stopReplay();
+                break;
         }
+    }
+    
+    resyncAudio() {
+        // Restart looping sounds to match the current simulation state
+        this.audio.stopTimers();
+        if (this.gameOver) return;
         
-        requestAnimationFrame(() => this.gameLoop());
+        if (this.ship.thrust) {
+            this.audio.playThrustSound();
+        }
+        if (this.saucers.length > 0) {
+            this.audio.playSaucerSound(this.saucers[0].size);
+        }
+        if (!this.gameOverPending && this.asteroids.length > 0) {
+            this.audio.startBackgroundBeat(this.wave);
+            this.audio.updateBeatInterval(this.asteroids.length, this.initialAsteroidCount);
+        }
+    }
+    
+    savePreviousPositions() {
+        // Remember where everything was so rendering can interpolate between steps
+        [this.ship, ...this.bullets, ...this.asteroids, ...this.saucers].forEach(obj => {
+            obj.previousX = obj.x;
+            obj.previousY = obj.y;
+            obj.previousAngle = obj.angle;
+        });
     }
     
     updateGameOver(deltaTime) {
         // Only update and wrap asteroids during game over
         this.asteroids.forEach(asteroid => {
-            asteroid.update(deltaTime, this.canvas.width, this.canvas.height);
+            asteroid.update(deltaTime, this.world.width, this.world.height);
             this.wrapObject(asteroid);
         });
+        this.bounceAsteroids();
     }
     
     wrapObject(obj) {
         // Use the central wrapping utility
         // Simple wrapping for generic objects without radius consideration
         const options = {};
-        wrapPosition(obj, this.canvas.width, this.canvas.height, options);
+        wrapPosition(obj, this.world.width, this.world.height, options);
     }
     
-    update(deltaTime) {
-        this.updateShip(deltaTime);
+    update(deltaTime, input = createInput()) {
+        this.updateShip(deltaTime, input);
         this.updateBullets(deltaTime);
         this.updateAsteroids(deltaTime);
+        this.updateSaucers(deltaTime);
         this.checkCollisions();
         
         // Wrap all objects around screen edges
         [this.ship, ...this.bullets, ...this.asteroids].forEach(obj => this.wrapObject(obj));
     }
     
-    updateShip(deltaTime) {
+    updateShip(deltaTime, input = createInput()) {
         if (this.gameOverPending || this.gameOver) return;
         
         const prevThrust = this.ship.thrust;
-        this.ship.update(deltaTime, keys, this.canvas.width, this.canvas.height);
+        this.ship.update(deltaTime, input, this.world.width, this.world.height);
+        if (this.ship.thrust) {
+            this.particles.emitExhaust(this.ship, deltaTime);
+        }
         
         // Handle thrust sound
         if (this.ship.thrust && !prevThrust) {
@@ -257,8 +1577,8 @@ export default class Game {
             this.audio.stopThrustSound();
         }
         
-        // Handle shooting
-        if (keys.space && this.ship.shootTimer <= 0) {
+        // Each shot takes a fresh press of fire
+        if (input.pressed?.space && this.ship.shootTimer <= 0) {
             const bullet = this.ship.shoot();
             if (bullet) {
                 this.bullets.push(bullet);
@@ -269,49 +1589,376 @@ export default class Game {
     
     updateBullets(deltaTime) {
         this.bullets = this.bullets.filter(bullet => !bullet.isDead);
-        this.bullets.forEach(bullet => bullet.update(deltaTime, this.canvas.width, this.canvas.height));
+        this.bullets.forEach(bullet => bullet.update(deltaTime, this.world.width, this.world.height));
     }
     
     updateAsteroids(deltaTime) {
-        this.asteroids.forEach(asteroid => asteroid.update(deltaTime, this.canvas.width, this.canvas.height));
+        this.asteroids.forEach(asteroid => asteroid.update(deltaTime, this.world.width, this.world.height));
+        this.bounceAsteroids();
+    }
+    
+    bounceAsteroids() {
+        if (!this.settings.ASTEROID_PHYSICS) return;
+        
+        const { width, height } = this.world;
+        const grid = new SpatialHash(width, height);
+        grid.insertAll(this.asteroids);
+        
+        // Every pair is found from both sides, only bounce it once
+        const order = new Map(this.asteroids.map((asteroid, index) => [asteroid, index]));
+        grid.findPairs(this.asteroids).forEach(([asteroid, other]) => {
+            if (order.get(asteroid) < order.get(other)) {
+                bounce(asteroid, other, width, height);
+            }
+        });
+    }
+    
+    updateSaucers(deltaTime) {
+        if (this.gameOver) return;
+        
+        // Saucers keep flying while the game over delay runs, but stop attacking
+        const inPlay = !this.gameOverPending;
+        
+        // Count down to the next saucer while none is on screen
+        if (inPlay && this.saucers.length === 0) {
+            this.saucerSpawnTimer -= deltaTime;
+            if (this.saucerSpawnTimer <= 0) {
+                this.spawnSaucer();
+            }
+        }
+        
+        this.saucers.forEach(saucer => {
+            saucer.update(deltaTime, this.world.width, this.world.height);
+            
+            if (inPlay && !saucer.isDead) {
+                // Aim at the ship while it is in play, otherwise fire at random
+                const target = this.ship.visible && !this.ship.isDisintegrating ? this.ship : null;
+                const bullet = saucer.shoot(target, this.getSaucerAccuracy());
+                if (bullet) {
+                    this.bullets.push(bullet);
+                    this.audio.playFireSound();
+                }
+            }
+        });
+        
+        // Remove saucers that have left the screen
+        this.removeDeadSaucers();
+    }
+    
+    spawnSaucer() {
+        const size = this.chooseSaucerSize();
+        
+        // Enter from the left or right edge at a random height
+        const direction = this.random.next() < 0.5 ? 1 : -1;
+        const x = direction > 0 ? 0 : this.world.width;
+        const y = this.random.next() * this.world.height;
+        
+        const saucer = new Saucer(x, y, size, direction, this.random);
+        this.saucers.push(saucer);
+        this.audio.playSaucerSound(size);
+        return saucer;
+    }
+    
+    chooseSaucerSize() {
+        if (this.score >= this.settings.SMALL_SAUCER_SCORE) {
+            return 'small';
+        }
+        
+        // Small saucers become more common as the score rises
+        const smallChance = 0.2 + 0.6 * (this.score / this.settings.SMALL_SAUCER_SCORE);
+        return this.random.next() < smallChance ? 'small' : 'large';
+    }
+    
+    getSaucerAccuracy() {
+        // Small saucers aim better on later waves and as the score rises
+        const waveAccuracy = (this.wave - 1) * this.settings.SAUCER_ACCURACY_PER_WAVE;
+        const scoreAccuracy = this.score / this.settings.SAUCER_MAX_ACCURACY_SCORE;
+        return Math.min(1, waveAccuracy + scoreAccuracy);
+    }
+    
+    resetSaucerSpawnTimer() {
+        this.saucerSpawnTimer = this.settings.SAUCER_SPAWN_INTERVAL;
+    }
+    
+    removeDeadSaucers() {
+        const remaining = this.saucers.filter(saucer => !saucer.isDead);
+        if (remaining.length === this.saucers.length) return;
+        
+        this.saucers = remaining;
+        
+        // Silence the siren and wait for the next saucer once the screen is clear
+        if (this.saucers.length === 0) {
+            this.audio.stopSaucerSound();
+            this.resetSaucerSpawnTimer();
+        }
+    }
+    
+    clearSaucers() {
+        this.saucers.forEach(saucer => {
+            saucer.isDead = true;
+        });
+        this.removeDeadSaucers();
+    }
+    
+    setRenderStyle(name) {
+        // Takes effect from the next frame, nothing else holds on to the style
+        this.renderStyle = createRenderStyle(name);
+        this.baseSettings.RENDER_STYLE = name;
+        this.settings.RENDER_STYLE = name;
+    }
+    
+    addShake(amount) {
+        this.shake = Math.max(this.shake, amount);
+    }
+    
+    addRumble(kind) {
+        // Only for someone playing, never for a replay or a demo
+        if (this.headless || this.replay || this.bot || this.attract || !RUMBLE[kind]) return;
+        
+        this.input.rumble(RUMBLE[kind].strength, RUMBLE[kind].duration);
     }
     
-    render() {
+    getShakeOffset() {
+        if (this.shake <= 0 || !this.playerSettings.get('screenShake')) {
+            return { x: 0, y: 0 };
+        }
+        return {
+            x: (this.shakeRandom.next() * 2 - 1) * this.shake,
+            y: (this.shakeRandom.next() * 2 - 1) * this.shake
+        };
+    }
+    
+    render(alpha = 1) {
+        const { context, view } = this;
+        
+        // Clearing and post-processing cover the whole canvas, letterbox bars included
+        context.setTransform(1, 0, 0, 1, 0, 0);
         this.clearCanvas();
-        this.renderGameObjects();
+        
+        // Everything else is drawn in world units and kept inside the world
+        context.save();
+        context.setTransform(view.scale, 0, 0, view.scale, view.offsetX, view.offsetY);
+        context.beginPath();
+        context.rect(0, 0, this.world.width, this.world.height);
+        context.clip();
+        const shake = this.getShakeOffset();
+        context.translate(shake.x, shake.y);
+        this.renderStyle.draw(context, () => this.renderFrame(alpha));
+        context.restore();
+        
+        this.renderStyle.finish(context, this.canvas);
+    }
+    
+    renderFrame(alpha) {
+        this.renderGameObjects(alpha);
+        if (this.isMenuOpen()) {
+            // Menus cover the attract and game over text, but the score stays in view
+            if (!this.attract) {
+                this.renderHUD();
+            }
+            const { menu } = this.state.data;
+            menu.render(this.context, this.world.width / 2, this.getMenuTop(menu));
+            return;
+        }
+        if (this.attract) {
+            this.renderAttract();
+            return;
+        }
         this.renderHUD();
-        if (this.gameOver) {
+        if (this.state.is('turnChange')) {
+            this.renderTurnChange();
+        } else if (this.initialsEntry) {
+            this.renderInitialsEntry();
+        } else if (this.gameOver) {
             this.renderGameOver();
         }
     }
     
+    renderAttract() {
+        const centerX = this.world.width / 2;
+        
+        if (this.attract.phase === 'demo') {
+            this.renderHUD();
+        } else {
+            this.context.fillStyle = 'white';
+            this.context.font = '20px Arial';
+            this.context.textAlign = 'center';
+            this.context.fillText(`High Score  ${this.highScore}`, centerX, 30);
+        }
+        
+        if (this.attract.phase === 'highScores') {
+            this.renderHighScoreTable();
+        }
+        
+        // The title screen has its own overlay with instructions
+        if (this.attract.phase !== 'title') {
+            this.context.fillStyle = 'white';
+            this.context.font = '20px Arial';
+            this.context.textAlign = 'center';
+            this.context.fillText('PRESS ANY KEY TO PLAY', centerX, this.world.height - 20);
+        }
+    }
+    
+    renderHighScoreTable() {
+        const centerX = this.world.width / 2;
+        const top = this.world.height / 5;
+        const rowHeight = 32;
+        
+        this.context.fillStyle = 'white';
+        this.context.textAlign = 'center';
+        this.context.font = '32px Arial';
+        this.context.fillText('HIGH SCORES', centerX, top);
+        
+        this.context.font = '24px Arial';
+        if (this.highScores.entries.length === 0) {
+            this.context.fillText('NO SCORES YET', centerX, top + 50);
+            return;
+        }
+        
+        this.highScores.entries.forEach((entry, index) => {
+            const rank = `${index + 1}.`.padStart(3, ' ');
+            this.context.fillText(`${rank}  ${entry.initials}  ${entry.score}`, centerX, top + 50 + index * rowHeight);
+        });
+    }
+    
+    renderInitialsEntry() {
+        const centerX = this.world.width / 2;
+        const centerY = this.world.height / 2;
+        const { letters, position, player } = this.initialsEntry;
+        
+        this.context.fillStyle = 'white';
+        this.context.textAlign = 'center';
+        this.context.font = '32px Arial';
+        let title = this.canEnterInitials(this.players[player].score) ? 'NEW HIGH SCORE' : 'LEADERBOARD ENTRY';
+        if (this.players.length > 1) {
+            title = `PLAYER ${player + 1}  ${title}`;
+        }
+        this.context.fillText(title, centerX, centerY - 80);
+        
+        // Touch screens have arrows to tap where the hint would be in the way
+        this.context.font = '20px Arial';
+        if (this.touchControls) {
+            this.context.fillText('Enter your initials: tap the arrows to choose, OK to confirm', centerX, centerY + 140);
+        } else {
+            this.context.fillText('Enter your initials: up/down to choose, right or enter to confirm', centerX, centerY - 40);
+        }
+        
+        // Underline the letter being edited
+        letters.forEach((letter, index) => {
+            const x = this.getInitialsX(index);
+            this.context.font = '48px Arial';
+            this.context.fillText(letter, x, centerY + 30);
+            if (index === position) {
+                this.context.fillRect(x - 15, centerY + 40, 30, 3);
+            }
+            if (this.touchControls) {
+                this.context.font = '28px Arial';
+                this.context.fillText('▲', x, centerY - 15);
+                this.context.fillText('▼', x, centerY + 80);
+            }
+        });
+        if (this.touchControls) {
+            this.context.font = '32px Arial';
+            this.context.fillText('OK', this.getInitialsX(INITIALS_LENGTH), centerY + 28);
+        }
+    }
+    
     clearCanvas() {
-        this.context.fillStyle = 'black';
-        this.context.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        this.renderStyle.clear(this.context, this.canvas);
     }
     
-    renderGameObjects() {
+    renderGameObjects(alpha = 1) {
+        // Effects sit behind everything else
+        this.particles.render(this.context);
+        
         // Render the ship if it's visible, including during game over
         if (this.ship.visible) {
-            this.ship.render(this.context);
+            this.renderInterpolated(this.ship, alpha);
+        }
+        this.bullets.forEach(bullet => {
+            this.renderStyle.drawBullet(this.context, () => this.renderInterpolated(bullet, alpha));
+        });
+        this.asteroids.forEach(asteroid => this.renderInterpolated(asteroid, alpha));
+        this.saucers.forEach(saucer => this.renderInterpolated(saucer, alpha));
+    }
+    
+    renderInterpolated(obj, alpha) {
+        const { x, y, angle } = obj;
+        
+        // Draw the object between its previous and current step positions, unless it
+        // has just been created or has wrapped around the screen since the last step
+        if (alpha < 1 && obj.previousX !== undefined) {
+            const dx = x - obj.previousX;
+            const dy = y - obj.previousY;
+            if (Math.abs(dx) < this.world.width / 2 && Math.abs(dy) < this.world.height / 2) {
+                obj.x = obj.previousX + dx * alpha;
+                obj.y = obj.previousY + dy * alpha;
+                if (angle !== undefined && obj.previousAngle !== undefined) {
+                    obj.angle = obj.previousAngle + (angle - obj.previousAngle) * alpha;
+                }
+            }
+        }
+        
+        obj.render(this.context);
+        
+        // Restore the simulated state
+        obj.x = x;
+        obj.y = y;
+        if (angle !== undefined) {
+            obj.angle = angle;
         }
-        this.bullets.forEach(bullet => bullet.render(this.context));
-        this.asteroids.forEach(asteroid => asteroid.render(this.context));
     }
     
     renderHUD() {
-        // Render player 1 score on the left
+        // Render player 1 score on the left, player 2 on the right
         this.context.fillStyle = 'white';
         this.context.font = '20px Arial';
         this.context.textAlign = 'left';
-        this.context.fillText(`Player 1  ${this.score}`, 20, 30);
+        this.context.fillText(`Player 1  ${this.players[0].score}`, 20, 30);
+        if (this.players.length > 1) {
+            this.context.textAlign = 'right';
+            this.context.fillText(`Player 2  ${this.players[1].score}`, this.world.width - 20, 30);
+        }
         
         // Render high score in the middle
         this.context.textAlign = 'center';
-        this.context.fillText(`High Score  ${this.highScore}`, this.canvas.width / 2, 30);
+        this.context.fillText(`High Score  ${this.highScore}`, this.world.width / 2, 30);
         
         // Render lives as small ships
         this.renderLives();
+        
+        // Label replays so they cannot be mistaken for a live game
+        if (this.replay) {
+            this.renderReplayStatus();
+        } else if (this.bot && !this.attract) {
+            this.renderBotStatus();
+        }
+    }
+    
+    renderBotStatus() {
+        this.context.fillStyle = 'white';
+        this.context.font = '20px Arial';
+        this.context.textAlign = 'center';
+        this.context.fillText(`BOT  ${this.bot.profileName.toUpperCase()}  (Esc to play)`, this.world.width / 2, this.world.height - 20);
+    }
+    
+    renderReplayStatus() {
+        const { player, speed, paused } = this.replay;
+        
+        let status = `${speed}x`;
+        if (player.isFinished) {
+            status = 'ENDED';
+        } else if (paused) {
+            status = 'PAUSED';
+        }
+        
+        const elapsed = formatReplayTime(this.tick / TICK_RATE);
+        const total = formatReplayTime(player.tickCount / TICK_RATE);
+        
+        this.context.fillStyle = 'white';
+        this.context.font = '20px Arial';
+        this.context.textAlign = 'center';
+        this.context.fillText(`REPLAY  ${status}  ${elapsed} / ${total}`, this.world.width / 2, this.world.height - 20);
     }
     
     renderLives() {
@@ -323,22 +1970,44 @@ export default class Game {
         this.context.strokeStyle = 'white';
         this.context.lineWidth = 1;
         
-        // Draw a small ship for each life
-        for (let i = 0; i < this.lives; i++) {
-            this.context.save();
-            this.context.translate(startX + i * shipSpacing, startY);
-            this.context.rotate(-Math.PI / 2); // Rotate 90 degrees counterclockwise to face up
-            
-            // Draw small ship
-            this.context.beginPath();
-            this.context.moveTo(shipSize, 0);               // Front tip
-            this.context.lineTo(-shipSize/2, -shipSize/2);  // Top back
-            this.context.lineTo(-shipSize/3, 0);            // Back indent
-            this.context.lineTo(-shipSize/2, shipSize/2);   // Bottom back
-            this.context.closePath();
-            this.context.stroke();
-            
-            this.context.restore();
+        // Draw a small ship for each life under each player's score, player 2's from the right
+        this.players.forEach((player, index) => {
+            const x = index === 0 ? startX : this.world.width - startX;
+            const direction = index === 0 ? 1 : -1;
+            for (let i = 0; i < player.lives; i++) {
+                this.renderLife(x + direction * i * shipSpacing, startY, shipSize);
+            }
+        });
+    }
+    
+    renderLife(x, y, shipSize) {
+        this.context.save();
+        this.context.translate(x, y);
+        this.context.rotate(-Math.PI / 2); // Rotate 90 degrees counterclockwise to face up
+        
+        // Draw small ship
+        this.context.beginPath();
+        this.context.moveTo(shipSize, 0);               // Front tip
+        this.context.lineTo(-shipSize/2, -shipSize/2);  // Top back
+        this.context.lineTo(-shipSize/3, 0);            // Back indent
+        this.context.lineTo(-shipSize/2, shipSize/2);   // Bottom back
+        this.context.closePath();
+        this.context.stroke();
+        
+        this.context.restore();
+    }
+    
+    renderTurnChange() {
+        const { playerOut, switched } = this.state.data;
+        
+        this.context.fillStyle = 'white';
+        this.context.textAlign = 'center';
+        this.context.font = '32px Arial';
+        if (playerOut !== null) {
+            this.context.fillText(`GAME OVER  PLAYER ${playerOut + 1}`, this.world.width / 2, this.world.height / 2 - 50);
+        }
+        if (switched) {
+            this.context.fillText(`PLAYER ${this.currentPlayer + 1}`, this.world.width / 2, this.world.height / 2);
         }
     }
     
@@ -346,108 +2015,254 @@ export default class Game {
         this.context.fillStyle = 'white';
         this.context.font = '48px Arial';
         this.context.textAlign = 'center';
-        this.context.fillText('GAME OVER', this.canvas.width / 2, this.canvas.height / 2 - 50);
+        this.context.fillText('GAME OVER', this.world.width / 2, this.world.height / 2 - 50);
         this.context.font = '24px Arial';
-        this.context.fillText('Press Any Key to Play Again', this.canvas.width / 2, this.canvas.height / 2 + 50);
+        this.context.fillText('Press Any Key to Play Again', this.world.width / 2, this.world.height / 2 + 50);
     }
     
     checkCollisions() {
-        // Always check bullet-asteroid collisions
-        this.bullets.forEach(bullet => {
-            this.asteroids.forEach((asteroid, index) => {
-                if (checkCollision(bullet, asteroid)) {
-                    bullet.isDead = true;
-                    this.handleAsteroidDestruction(asteroid);
-                }
-            });
+        // A failed hyperspace re-entry costs a life like any other collision
+        if (this.ship.hyperspaceFailed) {
+            this.ship.hyperspaceFailed = false;
+            if (!this.gameOver && !this.gameOverPending) {
+                this.handleShipDestruction();
+            }
+        }
+        
+        // Every hit is found from this tick's positions before any is resolved, so
+        // destroying or splitting one object can never change what else gets hit
+        this.resolveCollisions(this.findCollisions());
+    }
+    
+    findCollisions() {
+        const { width, height } = this.world;
+        const asteroids = new Set(this.asteroids);
+        const saucers = new Set(this.saucers.filter(saucer => !saucer.isDead));
+        // There is no ship to hit between turns
+        const shipCanBeHit = this.ship.canBeHit() && !this.gameOver && !this.state.is('turnChange');
+        
+        const grid = new SpatialHash(width, height);
+        grid.insertAll(asteroids);
+        grid.insertAll(saucers);
+        const shipBounds = getSweptBounds(this.ship, width, height);
+        if (shipCanBeHit) {
+            grid.insert(this.ship, shipBounds);
+        }
+        
+        const hits = [];
+        
+        // Each bullet hits at most one target, the first one along its path.
+        // Asteroids shot by saucers are destroyed without scoring.
+        const bulletHits = new Map();
+        const liveBullets = this.bullets.filter(bullet => !bullet.isDead);
+        grid.findPairs(liveBullets, bullet => getSweptBounds(bullet, width, height)).forEach(([bullet, target]) => {
+            const targetType = this.getBulletTargetType(bullet, target, asteroids, saucers);
+            if (!targetType || !checkBulletCollision(bullet, target, width, height)) return;
+            
+            const { start } = getSweptSegment(bullet, width, height);
+            const distance = Math.hypot(target.x - start.x, target.y - start.y);
+            const current = bulletHits.get(bullet);
+            if (!current || distance < current.distance) {
+                bulletHits.set(bullet, { type: 'bullet', bullet, target, targetType, distance });
+            }
         });
+        hits.push(...bulletHits.values());
         
-        // Check ship-asteroid collisions if ship is not invulnerable
-        if (!this.ship.isInvulnerable && !this.gameOver) {
-            this.asteroids.forEach((asteroid, index) => {
-                if (checkCollision(this.ship, asteroid)) {
-                    this.lives--;
-                    
-                    // Stop thrust sound immediately if ship was thrusting
-                    if (this.ship.thrust) {
-                        this.audio.stopThrustSound();
-                    }
-                    
-                    if (this.lives <= 0) {
-                        this.gameOverPending = true;
-                        this.ship.startDisintegration();
-                        this.ship.setGameOver(true);  // Set ship's game over state
-                        this.audio.stopBackgroundBeat(); // Stop background beat immediately
-                        
-                        setTimeout(() => {
-                            this.gameOver = true;
-                            this.gameOverPending = false;
-                            this.audio.stopBackgroundBeat(); // Ensure background beat is stopped when game over message appears
-                            const gameOverScreen = document.getElementById('game-over-screen');
-                            document.getElementById('final-score').textContent = this.score;
-                            gameOverScreen.classList.add('visible');
-                        }, GAME_SETTINGS.GAME_OVER_DELAY);
-                        
-                        // Handle asteroid destruction after setting game over state
-                        this.handleAsteroidDestruction(asteroid);
+        // Saucers flying into asteroids destroy both, flying into the ship destroys both too
+        grid.findPairs([...saucers]).forEach(([saucer, other]) => {
+            if (asteroids.has(other) && checkCollision(saucer, other)) {
+                hits.push({ type: 'saucerAsteroid', saucer, asteroid: other });
+            } else if (other === this.ship && checkSweptPolygonCollision(this.ship, saucer, width, height)) {
+                hits.push({ type: 'shipSaucer', saucer });
+            }
+        });
+        
+        // The ship can only crash into one asteroid at a time
+        if (shipCanBeHit) {
+            const asteroid = grid.query(shipBounds)
+                .find(other => asteroids.has(other) && checkSweptPolygonCollision(this.ship, other, width, height));
+            if (asteroid) {
+                hits.push({ type: 'shipAsteroid', asteroid });
+            }
+        }
+        
+        return hits;
+    }
+    
+    getBulletTargetType(bullet, target, asteroids, saucers) {
+        // Saucers only get shot by the player and the ship only by saucers
+        if (asteroids.has(target)) return 'asteroid';
+        if (saucers.has(target) && bullet.owner === 'player') return 'saucer';
+        if (target === this.ship && bullet.owner === 'saucer') return 'ship';
+        return null;
+    }
+    
+    resolveCollisions(hits) {
+        const destroyed = new Set();
+        let shipDestroyed = false;
+        
+        const destroyShip = () => {
+            if (!shipDestroyed) {
+                shipDestroyed = true;
+                this.handleShipDestruction();
+            }
+        };
+        const destroyAsteroid = (asteroid, awardPoints) => {
+            if (!destroyed.has(asteroid)) {
+                destroyed.add(asteroid);
+                this.handleAsteroidDestruction(asteroid, awardPoints);
+            }
+        };
+        const destroySaucer = (saucer, awardPoints) => {
+            if (!destroyed.has(saucer)) {
+                destroyed.add(saucer);
+                this.handleSaucerDestruction(saucer, awardPoints);
+            }
+        };
+        
+        hits.forEach(hit => {
+            switch (hit.type) {
+                case 'bullet':
+                    hit.bullet.isDead = true;
+                    this.particles.emitSparks(hit.bullet.x, hit.bullet.y, hit.bullet.velocity);
+                    if (hit.targetType === 'ship') {
+                        destroyShip();
+                    } else if (hit.targetType === 'saucer') {
+                        destroySaucer(hit.target, true);
                     } else {
-                        // Start disintegration animation
-                        this.ship.startDisintegration();
-                        
-                        // Handle asteroid destruction
-                        this.handleAsteroidDestruction(asteroid);
+                        destroyAsteroid(hit.target, hit.bullet.owner === 'player');
                     }
-                }
-            });
+                    break;
+                case 'saucerAsteroid':
+                    // A saucer already shot down this tick cannot also ram an asteroid
+                    if (!destroyed.has(hit.saucer)) {
+                        destroySaucer(hit.saucer, false);
+                        destroyAsteroid(hit.asteroid, false);
+                    }
+                    break;
+                case 'shipSaucer':
+                    destroyShip();
+                    destroySaucer(hit.saucer, true);
+                    break;
+                case 'shipAsteroid':
+                    // Handle asteroid destruction after any game over state has been set
+                    destroyShip();
+                    destroyAsteroid(hit.asteroid, true);
+                    break;
+            }
+        });
+    }
+    
+    handleShipDestruction() {
+        this.lives--;
+        this.deaths++;
+        this.particles.emitDebris(this.ship);
+        this.addShake(SCREEN_SHAKE.ship);
+        this.addRumble('ship');
+        
+        // Stop thrust sound immediately if ship was thrusting
+        if (this.ship.thrust) {
+            this.audio.stopThrustSound();
+        }
+        
+        // Start disintegration animation
+        this.ship.startDisintegration();
+        
+        // Game over comes for each player in turn, the game ends with the last of them
+        const next = this.getNextPlayer();
+        if (next === null) {
+            this.state.transition('gameOver');
+        } else if (next !== this.currentPlayer) {
+            // Shots still in flight would score for a player whose turn is over
+            this.bullets = this.bullets.filter(bullet => bullet.owner !== 'player');
+            this.state.transition('turnChange', { next, playerOut: this.lives <= 0 ? this.currentPlayer : null });
+        } else if (this.state.is('playing')) {
+            // Losing a life during a wave transition leaves the transition running
+            this.state.transition('respawning');
+        }
+    }
+    
+    endGame() {
+        // A lost demo game just moves attract mode on to its next screen
+        if (this.attract) {
+            this.showAttractPhase(this.attract.index + 1);
+            return;
+        }
+        
+        this.state.dataFor('gameOver').ended = true;
+        this.clearSaucers();
+        this.audio.stopBackgroundBeat(); // Ensure background beat is stopped when game over message appears
+        
+        // Ask for initials first when a score makes the table. A score that only goes
+        // online reuses the initials entered last, or asks for them when there are none
+        if (!this.canEnterInitials() && this.canSubmitOnline()) {
+            if (this.lastInitials) {
+                this.showGameOverScreen();
+                this.submitToLeaderboard(this.lastInitials);
+            } else {
+                this.startInitialsEntry(0);
+            }
+            return;
+        }
+        this.askForInitials();
+    }
+    
+    handleSaucerDestruction(saucer, awardPoints = true) {
+        // Saucers explode with the matching asteroid bang
+        const explosionSize = saucer.size === 'small' ? 'medium' : 'large';
+        this.audio.playBangSound(explosionSize);
+        this.particles.emitExplosion(saucer.x, saucer.y, explosionSize, saucer.velocity);
+        this.addShake(SCREEN_SHAKE[explosionSize]);
+        this.addRumble(explosionSize);
+        
+        if (awardPoints) {
+            const scores = {
+                large: 200,
+                small: 1000
+            };
+            this.addScore(scores[saucer.size]);
         }
+        
+        saucer.isDead = true;
+        this.removeDeadSaucers();
     }
     
-    handleAsteroidDestruction(asteroid) {
+    handleAsteroidDestruction(asteroid, awardPoints = true) {
         // Play explosion sound (allow during game over)
         this.audio.playBangSound(asteroid.size);
+        this.particles.emitExplosion(asteroid.x, asteroid.y, asteroid.size, asteroid.velocity);
+        this.addShake(SCREEN_SHAKE[asteroid.size]);
+        this.addRumble(asteroid.size);
 
         // Update score based on asteroid size
-        const scores = {
-            large: 20,
-            medium: 50,
-            small: 100
-        };
-        this.score += scores[asteroid.size];
-
-        // Update high score if current score is higher
-        if (this.score > this.highScore) {
-            this.highScore = this.score;
+        if (awardPoints) {
+            const scores = {
+                large: 20,
+                medium: 50,
+                small: 100
+            };
+            this.addScore(scores[asteroid.size]);
         }
 
-        // Check for extra life
-        this.checkExtraLife();
-
         // Create new asteroids based on size if not in game over
-        if (!this.gameOverPending && !this.gameOver) {
-            if (asteroid.size === 'large') {
-                for (let i = 0; i < 2; i++) {
-                    this.asteroids.push(new Asteroid(
-                        asteroid.x,
-                        asteroid.y,
-                        'medium',
-                        null,
-                        null,
-                        asteroid.velocity
-                    ));
-                }
-            } else if (asteroid.size === 'medium') {
-                for (let i = 0; i < 2; i++) {
-                    this.asteroids.push(new Asteroid(
-                        asteroid.x,
-                        asteroid.y,
-                        'small',
-                        null,
-                        null,
-                        asteroid.velocity
-                    ));
-                }
+        // Small asteroids don't create new asteroids when destroyed
+        const fragmentSizes = { large: 'medium', medium: 'small' };
+        if (!this.gameOverPending && !this.gameOver && fragmentSizes[asteroid.size]) {
+            const fragments = [0, 1].map(() => new Asteroid(
+                asteroid.x,
+                asteroid.y,
+                fragmentSizes[asteroid.size],
+                null,
+                null,
+                asteroid.velocity,
+                this.random
+            ));
+            
+            // With physics on, overlapping fragments would immediately bounce off each other
+            if (this.settings.ASTEROID_PHYSICS) {
+                separateFragments(...fragments);
             }
-            // Small asteroids don't create new asteroids when destroyed
+            this.asteroids.push(...fragments);
         }
 
         // Remove the original asteroid
@@ -458,23 +2273,12 @@ export default class Game {
 
         // Check if all asteroids are destroyed
         if (this.asteroids.length === 0 && !this.gameOver && !this.gameOverPending) {
-            this.wave++;
-
-            // Stop background beat and play wave end sound
-            this.audio.stopBackgroundBeat();
-            this.audio.playWaveEndSound();
-
-            // Create new wave after delay
-            setTimeout(() => {
-                this.createNewWave();
-                // Start the background beat for the new wave with a slight delay
-                // to ensure the wave end sound has finished, but only if game isn't over
-                setTimeout(() => {
-                    if (!this.gameOver && !this.gameOverPending) {
-                        this.audio.startBackgroundBeat(this.wave);
-                    }
-                }, GAME_SETTINGS.BACKGROUND_BEAT_DELAY);
-            }, GAME_SETTINGS.WAVE_CREATION_DELAY);
+            if (this.state.is('turnChange')) {
+                // The field is put away empty and the player's next turn starts the next wave
+                this.wave++;
+            } else {
+                this.state.transition('waveTransition');
+            }
         }
     }
     
@@ -483,54 +2287,67 @@ export default class Game {
         this.asteroids = [];
         
         // Create new asteroids based on wave number
-        const numAsteroids = GAME_SETTINGS.BASE_ASTEROIDS + this.wave;  // Increase asteroids with each wave
+        const numAsteroids = this.settings.BASE_ASTEROIDS + this.wave;  // Increase asteroids with each wave
         this.initialAsteroidCount = numAsteroids;  // Store initial count
         
         for (let i = 0; i < numAsteroids; i++) {
             // Calculate position on the perimeter
             let x, y;
-            const side = Math.floor(Math.random() * 4);  // 0: top, 1: right, 2: bottom, 3: left
+            const side = Math.floor(this.random.next() * 4);  // 0: top, 1: right, 2: bottom, 3: left
             
             switch (side) {
                 case 0:  // Top
-                    x = Math.random() * this.canvas.width;
+                    x = this.random.next() * this.world.width;
                     y = 0;
                     break;
                 case 1:  // Right
-                    x = this.canvas.width;
-                    y = Math.random() * this.canvas.height;
+                    x = this.world.width;
+                    y = this.random.next() * this.world.height;
                     break;
                 case 2:  // Bottom
-                    x = Math.random() * this.canvas.width;
-                    y = this.canvas.height;
+                    x = this.random.next() * this.world.width;
+                    y = this.world.height;
                     break;
                 case 3:  // Left
                     x = 0;
-                    y = Math.random() * this.canvas.height;
+                    y = this.random.next() * this.world.height;
                     break;
             }
             
             // Calculate angle to point somewhat towards the center
-            const centerX = this.canvas.width / 2;
-            const centerY = this.canvas.height / 2;
+            const centerX = this.world.width / 2;
+            const centerY = this.world.height / 2;
             const angleToCenter = Math.atan2(centerY - y, centerX - x);
             // Add some randomness to the angle (±45 degrees)
-            const angle = angleToCenter + (Math.random() - 0.5) * Math.PI / 2;
+            const angle = angleToCenter + (this.random.next() - 0.5) * Math.PI / 2;
             
-            // Create asteroid with initial speed between 50 and 100
-            const speed = Math.random() * 50 + 50;
-            this.asteroids.push(new Asteroid(x, y, 'large', speed, angle));
+            // Create asteroid with initial speed between the configured minimum and maximum
+            const speedRange = this.settings.ASTEROID_MAX_SPEED - this.settings.ASTEROID_MIN_SPEED;
+            const speed = this.random.next() * speedRange + this.settings.ASTEROID_MIN_SPEED;
+            this.asteroids.push(new Asteroid(x, y, 'large', speed, angle, null, this.random));
         }
     }
     
+    addScore(points) {
+        this.score += points;
+
+        // Update high score if current score is higher, demo games do not count
+        if (this.score > this.highScore && !this.attract) {
+            this.highScore = this.score;
+        }
+
+        // Check for extra life
+        this.checkExtraLife();
+    }
+    
     checkExtraLife() {
         // Check if player has earned an extra life
-        const extraLivesEarned = Math.floor(this.score / GAME_SETTINGS.EXTRA_LIFE_SCORE);
-        const newExtraLives = extraLivesEarned - Math.floor(this.lastExtraLifeScore / GAME_SETTINGS.EXTRA_LIFE_SCORE);
+        const extraLivesEarned = Math.floor(this.score / this.settings.EXTRA_LIFE_SCORE);
+        const newExtraLives = extraLivesEarned - Math.floor(this.lastExtraLifeScore / this.settings.EXTRA_LIFE_SCORE);
         
         if (newExtraLives > 0) {
             this.lives += newExtraLives;
-            this.lastExtraLifeScore = extraLivesEarned * GAME_SETTINGS.EXTRA_LIFE_SCORE;
+            this.lastExtraLifeScore = extraLivesEarned * this.settings.EXTRA_LIFE_SCORE;
             this.audio.playExtraLifeSound();
         }
     }
@@ -0,0 +1,123 @@
+import Game, { FIXED_TIMESTEP, TICK_RATE, WORLD_SIZE } from './game.js';
+import { ReplayInputSource } from './replay.js';
+import InputSource, { ScriptedInputSource } from './inputsource.js';
+import Bot from './bot.js';
+import Random from './random.js';
+
+// Built-in input scripts, each returns the keys held for the current tick
+export const INPUT_SCRIPTS = {
+    idle: () => ({}),
+    // Spin in place firing as fast as the gun reloads, a cheap baseline strategy
+    spinner: game => ({ left: true, space: game.ship.shootTimer <= 0 })
+};
+
+export function createScriptedInput(segments) {
+    // Segments of { ticks, keys } are played in order and looped
+    const totalTicks = segments.reduce((total, segment) => total + segment.ticks, 0);
+    if (!(totalTicks > 0)) {
+        throw new Error('Input script must contain at least one tick');
+    }
+
+    return game => {
+        let tick = game.tick % totalTicks;
+        for (const segment of segments) {
+            if (tick < segment.ticks) {
+                return segment.keys;
+            }
+            tick -= segment.ticks;
+        }
+        return {};
+    };
+}
+
+export function createReplayInput(replay) {
+    return new ReplayInputSource(replay);
+}
+
+export function getReplayOptions(replay) {
+    // A replay runs on the playfield, rules and players it was recorded with, and only as long as it lasts
+    return {
+        seed: replay.seed,
+        ticks: replay.tickCount,
+        gameplaySettings: replay.settings ?? {},
+        width: replay.width ?? WORLD_SIZE.width,
+        height: replay.height ?? WORLD_SIZE.height,
+        players: replay.players ?? 1
+    };
+}
+
+export function createBotInput(profile) {
+    // The bot is seeded from the game it plays so batches stay reproducible
+    let bot = null;
+    return game => {
+        bot ??= new Bot(profile, new Random(game.seed));
+        return bot.getInput(game);
+    };
+}
+
+export function runSimulation({
+    seed,
+    ticks,
+    input = INPUT_SCRIPTS.idle,
+    settings = {},
+    gameplaySettings,
+    width = WORLD_SIZE.width,
+    height = WORLD_SIZE.height,
+    players = 1
+}) {
+    const game = new Game({ width, height }, false, {
+        headless: true,
+        seed,
+        settings,
+        gameplaySettings,
+        players,
+        // Scripts are played through a scripted input source
+        input: input instanceof InputSource ? input : new ScriptedInputSource(input)
+    });
+
+    const startTime = performance.now();
+    // A replay has nothing to play past its last tick
+    while (game.tick < ticks && !game.gameOver && !input.isFinished) {
+        game.step(FIXED_TIMESTEP);
+    }
+    const elapsedMs = performance.now() - startTime;
+
+    return {
+        seed: game.seed,
+        ticks: game.tick,
+        simulatedSeconds: game.tick / TICK_RATE,
+        score: game.score,
+        wave: game.wave,
+        deaths: game.deaths,
+        lives: game.lives,
+        gameOver: game.gameOver,
+        elapsedMs,
+        ticksPerSecond: elapsedMs > 0 ? game.tick / (elapsedMs / 1000) : null
+    };
+}
+
+export function runBatch({ games, seed, createInput = () => INPUT_SCRIPTS.idle, ...options }) {
+    const results = [];
+    for (let i = 0; i < games; i++) {
+        // Consecutive seeds keep a batch reproducible from its first seed
+        const gameSeed = seed === undefined ? undefined : (seed + i) >>> 0;
+        results.push(runSimulation({ ...options, seed: gameSeed, input: createInput() }));
+    }
+
+    const total = key => results.reduce((sum, result) => sum + result[key], 0);
+    const max = key => Math.max(...results.map(result => result[key]));
+
+    return {
+        summary: {
+            games,
+            meanScore: total('score') / games,
+            maxScore: max('score'),
+            meanWave: total('wave') / games,
+            maxWave: max('wave'),
+            meanDeaths: total('deaths') / games,
+            gamesOver: results.filter(result => result.gameOver).length,
+            elapsedMs: total('elapsedMs')
+        },
+        results
+    };
+}
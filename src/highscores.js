@@ -0,0 +1,109 @@
+// Persistent top ten high score table.
+//
+// Stored in localStorage as { version, entries: [{ initials, score }] }. Anything
+// that does not match the current schema is discarded rather than trusted, so a
+// corrupt or hand-edited table can never break the game.
+
+import { getDefaultStorage } from './storage.js';
+
+export const HIGH_SCORE_STORAGE_KEY = 'asteroids.highScores';
+export const HIGH_SCORE_VERSION = 1;
+export const MAX_HIGH_SCORES = 10;
+export const INITIALS_LENGTH = 3;
+
+export function normalizeInitials(initials) {
+    const letters = String(initials ?? '').toUpperCase().replace(/[^A-Z]/g, '');
+    return letters.slice(0, INITIALS_LENGTH).padEnd(INITIALS_LENGTH, 'A');
+}
+
+function isValidEntry(entry) {
+    return entry !== null && typeof entry === 'object' &&
+        typeof entry.initials === 'string' && /^[A-Z]{3}$/.test(entry.initials) &&
+        Number.isInteger(entry.score) && entry.score > 0;
+}
+
+export default class HighScoreTable {
+    constructor(storage = getDefaultStorage()) {
+        this.storage = storage;  // Without storage the table only lasts for the session
+        this.entries = this.load();
+    }
+
+    load() {
+        if (!this.storage) {
+            return [];
+        }
+
+        let data;
+        try {
+            const json = this.storage.getItem(HIGH_SCORE_STORAGE_KEY);
+            if (json === null) {
+                return [];
+            }
+            data = JSON.parse(json);
+        } catch (error) {
+            console.error('Failed to read high scores, starting a new table:', error);
+            return [];
+        }
+
+        if (!data || data.version !== HIGH_SCORE_VERSION || !Array.isArray(data.entries)) {
+            console.error('Ignoring high scores with an unknown format:', data);
+            return [];
+        }
+
+        // Keep whatever valid entries survive, in order
+        return data.entries
+            .filter(isValidEntry)
+            .map(({ initials, score }) => ({ initials, score }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, MAX_HIGH_SCORES);
+    }
+
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(HIGH_SCORE_STORAGE_KEY, JSON.stringify({
+                version: HIGH_SCORE_VERSION,
+                entries: this.entries
+            }));
+        } catch (error) {
+            console.error('Failed to save high scores:', error);
+        }
+    }
+
+    getTopScore() {
+        return this.entries.length > 0 ? this.entries[0].score : null;
+    }
+
+    qualifies(score) {
+        if (!(score > 0)) {
+            return false;
+        }
+        return this.entries.length < MAX_HIGH_SCORES || score > this.entries[this.entries.length - 1].score;
+    }
+
+    add(initials, score) {
+        // Returns the entry's place in the table, or -1 if it did not make the cut
+        if (!this.qualifies(score)) {
+            return -1;
+        }
+
+        const entry = { initials: normalizeInitials(initials), score };
+
+        // Equal scores rank below those already in the table
+        let rank = this.entries.findIndex(existing => score > existing.score);
+        if (rank === -1) {
+            rank = this.entries.length;
+        }
+
+        this.entries.splice(rank, 0, entry);
+        this.entries = this.entries.slice(0, MAX_HIGH_SCORES);
+        this.save();
+        return rank;
+    }
+
+    clear() {
+        this.entries = [];
+        this.save();
+    }
+}
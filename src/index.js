@@ -1,4 +1,7 @@
 import Game from './game.js';
+import { downloadReplay, readReplayFile } from './replay.js';
+import LeaderboardClient, { DEFAULT_LEADERBOARD_URL } from './leaderboard.js';
+import { RENDER_STYLES } from './renderstyles.js';
 
 console.log('Game script loading...');
 
@@ -19,25 +22,36 @@ document.addEventListener('DOMContentLoaded', () => {
     
     console.log('Found canvas and container elements');
     
-    // Set canvas size to match container
-    function resizeCanvas() {
-        console.log('Resizing canvas to:', {
-            width: container.clientWidth,
-            height: container.clientHeight
-        });
-        canvas.width = container.clientWidth;
-        canvas.height = container.clientHeight;
+    // The game sizes the canvas itself, scaling its fixed playfield to fit the window
+    
+    // Allow a run to be reproduced by passing ?seed=<number> in the URL, only whole numbers from 0 up
+    const params = new URLSearchParams(window.location.search);
+    const seedParam = params.get('seed');
+    const seed = seedParam ? Number(seedParam) : NaN;
+    const options = Number.isInteger(seed) && seed >= 0 ? { seed } : {};
+    if (seedParam !== null && options.seed === undefined) {
+        console.warn(`Ignoring invalid seed: ${seedParam}`);
     }
     
-    // Initial resize
-    resizeCanvas();
+    // Scores go to the local leaderboard server, or ?leaderboard=<url> for another one
+    options.leaderboard = new LeaderboardClient(params.get('leaderboard') ?? DEFAULT_LEADERBOARD_URL);
     
-    // Resize canvas when window is resized
-    window.addEventListener('resize', resizeCanvas);
+    // On-screen touch controls show on touch screens, ?touch=1 or ?touch=0 overrides that
+    if (params.has('touch')) {
+        options.touchControls = params.get('touch') !== '0';
+    }
     
     // Create game instance
     console.log('Creating game instance...');
-    const game = new Game(canvas);
+    const game = new Game(canvas, false, options);
+    
+    // ?style=vector switches to the vector monitor look, and keeps it like picking it in the settings
+    if (Object.hasOwn(RENDER_STYLES, params.get('style') ?? '')) {
+        game.playerSettings.set('renderStyle', params.get('style'));
+    }
+    
+    // Show the attract mode demo loop until a game is started
+    game.startAttractMode();
     
     // Add event listeners for buttons
     const startButton = document.getElementById('start-button');
@@ -51,10 +65,19 @@ document.addEventListener('DOMContentLoaded', () => {
         return;
     }
     
+    // Two players take turns, every way of starting a game uses the number picked here
+    const playerCountSelect = document.getElementById('player-count-select');
+    
+    if (playerCountSelect) {
+        playerCountSelect.addEventListener('change', () => {
+            game.setPlayerCount(Number(playerCountSelect.value));
+            playerCountSelect.blur();  // Keep the keyboard for starting the game
+        });
+    }
+    
     startButton.addEventListener('click', () => {
         console.log('Starting game...');
-        document.getElementById('start-screen').classList.add('hidden');
-        game.reset();
+        game.exitAttractMode();
     });
     
     restartButton.addEventListener('click', () => {
@@ -63,5 +86,59 @@ document.addEventListener('DOMContentLoaded', () => {
         game.reset();
     });
     
+    // Replay export and import
+    const saveReplayButton = document.getElementById('save-replay-button');
+    const loadReplayButton = document.getElementById('load-replay-button');
+    const replayFileInput = document.getElementById('replay-file-input');
+    
+    if (saveReplayButton) {
+        saveReplayButton.addEventListener('click', () => {
+            downloadReplay(game.getReplay());
+        });
+    }
+    
+    if (loadReplayButton && replayFileInput) {
+        loadReplayButton.addEventListener('click', () => replayFileInput.click());
+        
+        replayFileInput.addEventListener('change', async () => {
+            const file = replayFileInput.files[0];
+            if (!file) return;
+            
+            try {
+                const replay = await readReplayFile(file);
+                document.getElementById('start-screen').classList.add('hidden');
+                await game.startReplay(replay);
+            } catch (error) {
+                console.error('Failed to load replay:', error);
+                alert(error.message);
+            } finally {
+                // Allow the same file to be loaded again
+                replayFileInput.value = '';
+            }
+        });
+    }
+    
+    // Autopilot demo
+    const watchBotButton = document.getElementById('watch-bot-button');
+    const botProfileSelect = document.getElementById('bot-profile-select');
+    
+    if (watchBotButton) {
+        watchBotButton.addEventListener('click', async () => {
+            const profile = botProfileSelect ? botProfileSelect.value : 'expert';
+            document.getElementById('start-screen').classList.add('hidden');
+            await game.watchBot(profile);
+        });
+    }
+    
+    // Settings are also in the pause menu during a game
+    const settingsButton = document.getElementById('settings-button');
+    
+    if (settingsButton) {
+        settingsButton.addEventListener('click', () => {
+            game.openSettings();
+            settingsButton.blur();  // Keep the keyboard for the menu
+        });
+    }
+    
     console.log('Game initialization complete');
 }); 
\ No newline at end of file
@@ -1,43 +1,257 @@
-export const keys = {
-    left: false,
-    right: false,
-    up: false,
-    space: false
+// Keyboard and gamepad input sources, and the player's key bindings.
+
+import InputSource, { PLAYER_ACTIONS, TURN_STEPS } from './inputsource.js';
+
+// Actions that can be bound, all but pause are held down to play
+export const ACTIONS = ['left', 'right', 'up', 'space', 'hyperspace', 'pause'];
+
+export const ACTION_LABELS = {
+    left: 'ROTATE LEFT',
+    right: 'ROTATE RIGHT',
+    up: 'THRUST',
+    space: 'FIRE',
+    hyperspace: 'HYPERSPACE',
+    pause: 'PAUSE'
 };
 
-export function setupInput() {
-    window.addEventListener('keydown', (e) => {
-        switch (e.key) {
-            case 'ArrowLeft':
-                keys.left = true;
-                break;
-            case 'ArrowRight':
-                keys.right = true;
-                break;
-            case 'ArrowUp':
-                keys.up = true;
-                break;
-            case ' ':
-                keys.space = true;
-                e.preventDefault(); // Prevent page scrolling
-                break;
-        }
+export const MAX_BINDINGS_PER_ACTION = 2;
+
+// Bindings are KeyboardEvent.code values, so they stay on the same physical keys
+// whatever the keyboard layout
+export const DEFAULT_BINDINGS = {
+    left: ['ArrowLeft'],
+    right: ['ArrowRight'],
+    up: ['ArrowUp'],
+    space: ['Space'],
+    hyperspace: ['ArrowDown'],
+    pause: ['KeyP']
+};
+
+export const WASD_BINDINGS = {
+    ...DEFAULT_BINDINGS,
+    left: ['KeyA'],
+    right: ['KeyD'],
+    up: ['KeyW'],
+    hyperspace: ['KeyS']
+};
+
+// Never bound, it cancels capturing a key and always pauses
+export const RESERVED_CODES = ['Escape'];
+
+// Standard gamepad layout button indices for each action
+// (https://w3c.github.io/gamepad/#remapping)
+export const GAMEPAD_BINDINGS = {
+    left: [14],            // D-pad left
+    right: [15],           // D-pad right
+    up: [7, 12],           // Right trigger, d-pad up
+    space: [0, 5],         // A, right bumper
+    hyperspace: [1, 6, 13],  // B, left trigger, d-pad down
+    pause: [9]             // Start
+};
+
+// Gamepad buttons that drive menus and the other screens
+export const GAMEPAD_MENU_KEYS = {
+    0: 'Enter',       // A
+    1: 'Escape',      // B
+    9: 'Escape',      // Start
+    12: 'ArrowUp',
+    13: 'ArrowDown',
+    14: 'ArrowLeft',
+    15: 'ArrowRight'
+};
+
+export const STICK_DEAD_ZONE = 0.2;
+export const STICK_THRUST = -0.6;  // Pushing the left stick this far up thrusts
+const TRIGGER_THRESHOLD = 0.5;
+
+export function isValidBindings(bindings) {
+    if (!bindings || typeof bindings !== 'object') {
+        return false;
+    }
+
+    const seen = new Set();
+    return ACTIONS.every(action => {
+        const codes = bindings[action];
+        return Array.isArray(codes) && codes.length <= MAX_BINDINGS_PER_ACTION && codes.every(code => {
+            // A key can only drive one action
+            if (typeof code !== 'string' || code === '' || RESERVED_CODES.includes(code) || seen.has(code)) {
+                return false;
+            }
+            seen.add(code);
+            return true;
+        });
     });
-    
-    window.addEventListener('keyup', (e) => {
-        switch (e.key) {
-            case 'ArrowLeft':
-                keys.left = false;
-                break;
-            case 'ArrowRight':
-                keys.right = false;
-                break;
-            case 'ArrowUp':
-                keys.up = false;
-                break;
-            case ' ':
-                keys.space = false;
-                break;
-        }
+}
+
+export function copyBindings(bindings) {
+    return Object.fromEntries(ACTIONS.map(action => [action, [...bindings[action]]]));
+}
+
+export function findConflict(bindings, action, code) {
+    // The other action a key is already bound to, if any
+    return ACTIONS.find(other => other !== action && bindings[other].includes(code)) ?? null;
+}
+
+export function bindKey(bindings, action, code) {
+    if (RESERVED_CODES.includes(code)) {
+        throw new Error(`${code} cannot be bound`);
+    }
+
+    // Taking a key from another action unbinds it there, the oldest binding makes room
+    const updated = copyBindings(bindings);
+    ACTIONS.forEach(other => {
+        updated[other] = updated[other].filter(existing => existing !== code);
     });
-} 
\ No newline at end of file
+    updated[action] = [...updated[action], code].slice(-MAX_BINDINGS_PER_ACTION);
+    return updated;
+}
+
+export function formatCode(code) {
+    const match = /^(Key|Digit|Arrow)(.+)$/.exec(code);
+    return (match ? match[2] : code).toUpperCase();
+}
+
+export class KeyboardInputSource extends InputSource {
+    constructor(bindings = DEFAULT_BINDINGS, target = window) {
+        super();
+        this.target = target;  // Where key events are listened for
+        this.held = {};
+        this.setBindings(bindings);
+
+        this.onKeyDown = e => {
+            const action = this.getAction(e.code);
+            if (PLAYER_ACTIONS.includes(action)) {
+                this.held[action] = true;
+                e.preventDefault(); // Prevent page scrolling
+            }
+        };
+        this.onKeyUp = e => {
+            const action = this.getAction(e.code);
+            if (PLAYER_ACTIONS.includes(action)) {
+                this.held[action] = false;
+            }
+        };
+    }
+
+    attach() {
+        if (!this.attached) {
+            this.target.addEventListener('keydown', this.onKeyDown);
+            this.target.addEventListener('keyup', this.onKeyUp);
+        }
+        return super.attach();
+    }
+
+    detach() {
+        this.target.removeEventListener('keydown', this.onKeyDown);
+        this.target.removeEventListener('keyup', this.onKeyUp);
+        this.release();
+        super.detach();
+    }
+
+    setBindings(bindings) {
+        // Keys held under the old bindings would never see their release
+        this.release();
+        this.actionsByCode = new Map();
+        ACTIONS.forEach(action => {
+            bindings[action].forEach(code => this.actionsByCode.set(code, action));
+        });
+    }
+
+    getAction(code) {
+        return this.actionsByCode.get(code) ?? null;
+    }
+
+    poll() {
+        return this.held;
+    }
+
+    release() {
+        // Key releases are missed while the window is in the background
+        this.held = {};
+    }
+}
+
+function getGamepads() {
+    if (typeof navigator === 'undefined' || !navigator.getGamepads) {
+        return [];
+    }
+    return [...navigator.getGamepads()].filter(Boolean);
+}
+
+function isButtonDown(button) {
+    // Analog triggers only count once pulled part way
+    return Boolean(button?.pressed) || (button?.value ?? 0) > TRIGGER_THRESHOLD;
+}
+
+export function readStick(value) {
+    // Rescaled past the dead zone so turning starts gently, then rounded to TURN_STEPS
+    const magnitude = Math.max(0, (Math.abs(value) - STICK_DEAD_ZONE) / (1 - STICK_DEAD_ZONE));
+    return Math.sign(value) * Math.round(Math.min(1, magnitude) * TURN_STEPS) / TURN_STEPS;
+}
+
+export class GamepadInputSource extends InputSource {
+    // Gamepads are polled, so there is nothing to attach. index picks one
+    // gamepad for a player, by default any connected gamepad plays.
+    constructor(index = null) {
+        super();
+        this.index = index;
+        this.previousButtons = new Map();  // Gamepad index -> buttons held at the last pollButtons
+        this.activeGamepad = index;  // Index of the gamepad used last, which gets the rumble
+    }
+
+    getGamepads() {
+        return getGamepads().filter(gamepad => this.index === null || gamepad.index === this.index);
+    }
+
+    poll() {
+        const held = {};
+        let turn = 0;
+        this.getGamepads().forEach(gamepad => {
+            const buttons = gamepad.buttons.map(isButtonDown);
+            Object.entries(GAMEPAD_BINDINGS).forEach(([action, indices]) => {
+                if (PLAYER_ACTIONS.includes(action) && indices.some(button => buttons[button])) {
+                    held[action] = true;
+                }
+            });
+
+            const [stickX = 0, stickY = 0] = gamepad.axes;
+            if (turn === 0) {
+                turn = readStick(stickX);
+            }
+            if (stickY <= STICK_THRUST) {
+                held.up = true;
+            }
+        });
+        held.turn = turn;
+        return held;
+    }
+
+    pollButtons() {
+        // Called once a frame for the menus, returns the buttons pressed since the last call
+        const pressed = [];
+        const seen = new Map();
+        this.getGamepads().forEach(gamepad => {
+            const buttons = gamepad.buttons.map(isButtonDown);
+            const before = this.previousButtons.get(gamepad.index) ?? [];
+            buttons.forEach((down, button) => {
+                if (down && !before[button]) {
+                    pressed.push(button);
+                    this.activeGamepad = gamepad.index;
+                }
+            });
+            seen.set(gamepad.index, buttons);
+        });
+        this.previousButtons = seen;
+        return pressed;
+    }
+
+    rumble(strength, duration) {
+        // Not every browser or gamepad can vibrate
+        const gamepad = this.getGamepads().find(pad => pad.index === this.activeGamepad);
+        gamepad?.vibrationActuator?.playEffect?.('dual-rumble', {
+            duration,
+            strongMagnitude: strength,
+            weakMagnitude: strength / 2
+        })?.catch(() => {});
+    }
+}
@@ -0,0 +1,118 @@
+// Input sources: where a player's actions come from each simulation tick.
+//
+// A source is read once a tick and returns the actions held that tick as
+// { left, right, up, space, hyperspace, turn }, with pressed and released
+// listing the actions that changed since the last read. turn is analog rotation
+// from -1 (full left) to 1 (full right), used when no rotate button is held.
+//
+// Sources that listen to a device add their listeners in attach() and remove
+// them in detach(), so each game or player owns its own and nothing is left
+// listening after it is done. The keyboard, gamepad and touch sources live next
+// to their devices in input.js and touch.js, replays and network play in
+// replay.js and network.js.
+
+export const PLAYER_ACTIONS = ['left', 'right', 'up', 'space', 'hyperspace'];
+
+// Analog turning is rounded to this many steps each way so replays can store it exactly
+export const TURN_STEPS = 15;
+
+export function createInput(held = {}) {
+    const input = { turn: held.turn ?? 0 };
+    PLAYER_ACTIONS.forEach(action => {
+        input[action] = Boolean(held[action]);
+    });
+    return input;
+}
+
+export default class InputSource {
+    constructor() {
+        this.attached = false;
+        this.previous = createInput();  // Last tick's input, for the edges
+    }
+
+    attach() {
+        this.attached = true;
+        return this;
+    }
+
+    detach() {
+        this.attached = false;
+    }
+
+    // The actions held right now, each kind of source overrides this
+    poll() {
+        return {};
+    }
+
+    read(game) {
+        const input = createInput(this.poll(game));
+        input.pressed = {};
+        input.released = {};
+        PLAYER_ACTIONS.forEach(action => {
+            input.pressed[action] = input[action] && !this.previous[action];
+            input.released[action] = !input[action] && this.previous[action];
+        });
+        this.previous = input;
+        return input;
+    }
+
+    reset() {
+        // Every game starts from nothing held, so an action held into a game counts
+        // as pressed on its first tick, the same as when its replay is played back
+        this.previous = createInput();
+    }
+
+    // Let go of everything, for when releases could have been missed
+    release() {}
+
+    // Vibrate where the device can, strength from 0 to 1
+    rumble() {}
+}
+
+export class ScriptedInputSource extends InputSource {
+    constructor(script) {
+        super();
+        this.script = script;  // game -> actions held, e.g. a bot or a test
+    }
+
+    poll(game) {
+        return this.script(game);
+    }
+}
+
+export class CombinedInputSource extends InputSource {
+    // One player on several devices at once, e.g. keyboard, gamepad and touch
+    constructor(sources) {
+        super();
+        this.sources = sources;
+    }
+
+    attach() {
+        this.sources.forEach(source => source.attach());
+        return super.attach();
+    }
+
+    detach() {
+        this.sources.forEach(source => source.detach());
+        super.detach();
+    }
+
+    poll(game) {
+        // Held on any device counts, the first one turning steers
+        const polled = this.sources.map(source => createInput(source.poll(game)));
+        const held = createInput();
+        PLAYER_ACTIONS.forEach(action => {
+            held[action] = polled.some(input => input[action]);
+        });
+        held.turn = polled.find(input => input.turn !== 0)?.turn ?? 0;
+        return held;
+    }
+
+    release() {
+        this.sources.forEach(source => source.release());
+    }
+
+    rumble(strength, duration) {
+        this.sources.forEach(source => source.rumble(strength, duration));
+    }
+}
@@ -0,0 +1,52 @@
+// Client for the local leaderboard server (see server/leaderboard.js)
+
+export const DEFAULT_LEADERBOARD_URL = 'http://localhost:3001';
+const REQUEST_TIMEOUT = 3000; // ms before an unreachable server is given up on
+
+export default class LeaderboardClient {
+    constructor(baseUrl = DEFAULT_LEADERBOARD_URL, fetchImpl = (...args) => fetch(...args)) {
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+        this.fetch = fetchImpl;
+    }
+
+    async request(path, options = {}) {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+
+        try {
+            const response = await this.fetch(`${this.baseUrl}${path}`, {
+                ...options,
+                signal: controller.signal
+            });
+            const body = await response.json();
+            if (!response.ok) {
+                throw new Error(body.error || `Leaderboard request failed with status ${response.status}`);
+            }
+            return body;
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    submitScore({ name, mode, replay }) {
+        return this.request('/scores', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name, mode, replay })
+        });
+    }
+
+    async getTopScores({ mode = null, limit = 10 } = {}) {
+        const params = new URLSearchParams({ limit: String(limit) });
+        if (mode) {
+            params.set('mode', mode);
+        }
+        const { scores } = await this.request(`/scores?${params}`);
+        return scores;
+    }
+
+    getPlayerBest(name, mode = null) {
+        const query = mode ? `?mode=${encodeURIComponent(mode)}` : '';
+        return this.request(`/players/${encodeURIComponent(name)}/best${query}`);
+    }
+}
@@ -0,0 +1,90 @@
+// Keyboard driven menus drawn over the playfield, such as the pause menu.
+//
+// Items are { label, action } for choices, or { label, value, change } for
+// options that are stepped through with left and right.
+
+const TITLE_FONT = '48px Arial';
+const ITEM_FONT = '28px Arial';
+const HINT_FONT = '18px Arial';
+const ITEM_SPACING = 44;
+const ITEM_HIT_OFFSET = 10;  // From an item's baseline up to the middle of its text
+
+export default class Menu {
+    constructor(title, items, hint = null) {
+        this.title = title;
+        this.items = items;
+        this.hint = hint;  // Small print under the items
+        this.selected = 0;
+    }
+
+    get current() {
+        return this.items[this.selected];
+    }
+
+    // From the title's baseline to the last line's, the hint takes another item's space
+    get height() {
+        return 80 + (this.items.length - (this.hint ? 0 : 1)) * ITEM_SPACING;
+    }
+
+    itemAt(y, top) {
+        // The item whose line covers y when the menu is drawn from top, or null
+        const index = Math.round((y - (top + 80 - ITEM_HIT_OFFSET)) / ITEM_SPACING);
+        return index >= 0 && index < this.items.length ? index : null;
+    }
+
+    move(direction) {
+        this.selected = (this.selected + direction + this.items.length) % this.items.length;
+    }
+
+    handleKey(key) {
+        switch (key) {
+            case 'ArrowUp':
+                this.move(-1);
+                break;
+            case 'ArrowDown':
+                this.move(1);
+                break;
+            case 'ArrowLeft':
+                this.current.change?.(-1);
+                break;
+            case 'ArrowRight':
+                this.current.change?.(1);
+                break;
+            case 'Enter':
+            case ' ':
+                // Choosing an option steps it forward, so every item works with enter alone
+                if (this.current.action) {
+                    this.current.action();
+                } else {
+                    this.current.change?.(1);
+                }
+                break;
+            default:
+                return false;
+        }
+        return true;
+    }
+
+    getText(item) {
+        return item.value ? `${item.label}: ${item.value()}` : item.label;
+    }
+
+    render(ctx, centerX, top) {
+        ctx.fillStyle = 'white';
+        ctx.textAlign = 'center';
+        ctx.font = TITLE_FONT;
+        ctx.fillText(this.title, centerX, top);
+
+        ctx.font = ITEM_FONT;
+        this.items.forEach((item, index) => {
+            const text = this.getText(item);
+            const y = top + 80 + index * ITEM_SPACING;
+            ctx.fillText(index === this.selected ? `> ${text} <` : text, centerX, y);
+        });
+
+        if (this.hint) {
+            ctx.font = HINT_FONT;
+            ctx.fillText(this.hint, centerX, top + 80 + this.items.length * ITEM_SPACING);
+        }
+    }
+}
@@ -0,0 +1,74 @@
+// Input from a player on another machine.
+//
+// Each tick's input travels as its replay bitmask, so a remote player costs a few
+// bytes a tick. The channel can be anything that sends strings and raises message
+// events with them, e.g. a WebSocket or an RTCDataChannel.
+
+import InputSource from './inputsource.js';
+import { encodeInput, decodeInput } from './replay.js';
+
+export function sendInput(channel, tick, input) {
+    channel.send(JSON.stringify({ tick, input: encodeInput(input) }));
+}
+
+export default class NetworkInputSource extends InputSource {
+    constructor(channel) {
+        super();
+        this.channel = channel;
+        this.inputs = new Map();  // Tick -> input received for it
+        this.latest = {};  // Newest input played, held on while the next is still on its way
+        this.latestTick = -1;
+        this.onMessage = e => {
+            try {
+                this.receive(JSON.parse(e.data));
+            } catch (error) {
+                console.error('Ignoring network input:', error);
+            }
+        };
+    }
+
+    attach() {
+        if (!this.attached) {
+            this.channel.addEventListener('message', this.onMessage);
+        }
+        return super.attach();
+    }
+
+    detach() {
+        this.channel.removeEventListener('message', this.onMessage);
+        super.detach();
+    }
+
+    receive({ tick, input }) {
+        if (!Number.isInteger(tick) || tick < 0 || !Number.isInteger(input) || input < 0) {
+            throw new Error('Invalid network input');
+        }
+        this.inputs.set(tick, decodeInput(input));
+    }
+
+    poll(game) {
+        // This tick's input, or the newest one before it while it is still on its way.
+        // Ticks are read in order, so older ones are never needed again.
+        this.inputs.forEach((input, tick) => {
+            if (tick > game.tick) return;
+
+            if (tick >= this.latestTick) {
+                this.latest = input;
+                this.latestTick = tick;
+            }
+            this.inputs.delete(tick);
+        });
+        return this.latest;
+    }
+
+    reset() {
+        super.reset();
+        this.inputs.clear();
+        this.latest = {};
+        this.latestTick = -1;
+    }
+
+    release() {
+        this.latest = {};
+    }
+}
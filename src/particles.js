@@ -0,0 +1,158 @@
+// Particle effects: asteroid explosions, thrust exhaust, bullet impact sparks and
+// ship debris.
+//
+// Particles are purely cosmetic. They draw from their own random generator so an
+// effect can never shift the gameplay random sequence and desync a replay, and
+// they live in a fixed size pool so busy waves do not allocate every frame.
+
+import { wrapPosition } from './collision.js';
+import Random from './random.js';
+
+export const MAX_PARTICLES = 600;
+
+// speed in pixels per second, lifetime in seconds, spread in radians around the emit angle
+export const PARTICLE_EFFECTS = {
+    explosion: {
+        large: { count: 24, speed: [30, 140], lifetime: [0.6, 1.2], size: 2 },
+        medium: { count: 16, speed: [30, 120], lifetime: [0.5, 1.0], size: 2 },
+        small: { count: 10, speed: [30, 100], lifetime: [0.4, 0.8], size: 1.5 }
+    },
+    exhaust: { rate: 60, speed: [60, 120], lifetime: [0.15, 0.35], size: 1.5, spread: 0.4 },
+    spark: { count: 6, speed: [60, 180], lifetime: [0.1, 0.3], size: 1 },
+    debris: { count: 30, speed: [20, 90], lifetime: [1.0, 2.0], size: 1.5, friction: 0.5 }
+};
+
+function createParticle() {
+    return {
+        x: 0,
+        y: 0,
+        velocity: { x: 0, y: 0 },
+        life: 0,
+        lifetime: 0,
+        size: 1,
+        friction: 0
+    };
+}
+
+export default class ParticleSystem {
+    constructor(maxParticles = MAX_PARTICLES, random = new Random()) {
+        this.random = random;
+        this.particles = [];  // Live particles, oldest first
+        this.pool = Array.from({ length: maxParticles }, createParticle);
+        this.exhaustCarry = 0;  // Fraction of an exhaust particle owed from the last tick
+    }
+
+    get count() {
+        return this.particles.length;
+    }
+
+    emit(x, y, options) {
+        const {
+            count,
+            speed: [minSpeed, maxSpeed],
+            lifetime: [minLifetime, maxLifetime],
+            size = 1,
+            angle = null,     // Direction to emit in, every direction when null
+            spread = Math.PI,
+            baseVelocity = { x: 0, y: 0 },
+            friction = 0      // Fraction of speed lost per second
+        } = options;
+
+        for (let i = 0; i < count; i++) {
+            const particle = this.acquire();
+            if (!particle) return;
+
+            const direction = angle === null
+                ? this.random.next() * Math.PI * 2
+                : angle + (this.random.next() * 2 - 1) * spread;
+            const particleSpeed = this.random.range(minSpeed, maxSpeed);
+
+            particle.x = x;
+            particle.y = y;
+            particle.velocity.x = baseVelocity.x + Math.cos(direction) * particleSpeed;
+            particle.velocity.y = baseVelocity.y + Math.sin(direction) * particleSpeed;
+            particle.lifetime = this.random.range(minLifetime, maxLifetime);
+            particle.life = particle.lifetime;
+            particle.size = size;
+            particle.friction = friction;
+        }
+    }
+
+    acquire() {
+        // A full pool recycles the oldest particle, it is the closest to fading out anyway
+        const particle = this.pool.pop() ?? this.particles.shift();
+        if (particle) {
+            this.particles.push(particle);
+        }
+        return particle;
+    }
+
+    emitExplosion(x, y, size, baseVelocity) {
+        this.emit(x, y, { ...PARTICLE_EFFECTS.explosion[size], baseVelocity });
+    }
+
+    emitExhaust(ship, deltaTime) {
+        // Exhaust flows at a steady rate however long the tick is
+        const { rate, ...effect } = PARTICLE_EFFECTS.exhaust;
+        this.exhaustCarry += rate * deltaTime;
+        const count = Math.floor(this.exhaustCarry);
+        this.exhaustCarry -= count;
+        if (count === 0) return;
+
+        // Out of the back of the ship, where drawThruster() draws the flame
+        const angle = ship.angle + Math.PI;
+        this.emit(ship.x + Math.cos(angle) * ship.radius * 0.8, ship.y + Math.sin(angle) * ship.radius * 0.8, {
+            ...effect,
+            count,
+            angle,
+            baseVelocity: ship.velocity
+        });
+    }
+
+    emitSparks(x, y, velocity) {
+        // Sparks kick back the way the bullet came from
+        const angle = Math.atan2(-velocity.y, -velocity.x);
+        this.emit(x, y, { ...PARTICLE_EFFECTS.spark, angle, spread: Math.PI / 3 });
+    }
+
+    emitDebris(ship) {
+        this.emit(ship.x, ship.y, PARTICLE_EFFECTS.debris);
+    }
+
+    update(deltaTime, width, height) {
+        // Iterate backwards so expired particles can be released in place
+        for (let i = this.particles.length - 1; i >= 0; i--) {
+            const particle = this.particles[i];
+            particle.life -= deltaTime;
+            if (particle.life <= 0) {
+                this.particles.splice(i, 1);
+                this.pool.push(particle);
+                continue;
+            }
+
+            const damping = Math.max(0, 1 - particle.friction * deltaTime);
+            particle.velocity.x *= damping;
+            particle.velocity.y *= damping;
+            particle.x += particle.velocity.x * deltaTime;
+            particle.y += particle.velocity.y * deltaTime;
+            wrapPosition(particle, width, height);
+        }
+    }
+
+    clear() {
+        this.pool.push(...this.particles);
+        this.particles = [];
+        this.exhaustCarry = 0;
+    }
+
+    render(ctx) {
+        ctx.save();
+        ctx.fillStyle = '#fff';
+        this.particles.forEach(particle => {
+            // Fade out over the particle's lifetime
+            ctx.globalAlpha = particle.life / particle.lifetime;
+            ctx.fillRect(particle.x - particle.size / 2, particle.y - particle.size / 2, particle.size, particle.size);
+        });
+        ctx.restore();
+    }
+}
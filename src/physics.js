@@ -0,0 +1,64 @@
+// Optional asteroid physics (GAME_SETTINGS.ASTEROID_PHYSICS).
+//
+// Asteroids bounce off each other instead of passing through. Collisions are
+// perfectly elastic with mass proportional to radius, so every bounce conserves
+// the pair's momentum and kinetic energy.
+
+import { wrappedDelta } from './collision.js';
+
+export function getMass(asteroid) {
+    return asteroid.radius;
+}
+
+export function bounce(a, b, width, height) {
+    const dx = wrappedDelta(a.x, b.x, width);
+    const dy = wrappedDelta(a.y, b.y, height);
+    const distance = Math.hypot(dx, dy);
+    const minDistance = a.radius + b.radius;
+    if (distance >= minDistance) {
+        return false;
+    }
+    
+    // Collision normal from a to b, any direction will do for exactly coincident centres
+    const nx = distance > 0 ? dx / distance : 1;
+    const ny = distance > 0 ? dy / distance : 0;
+    const massA = getMass(a);
+    const massB = getMass(b);
+    
+    // Move them out of each other, the lighter one moving further
+    const overlap = minDistance - distance;
+    const totalMass = massA + massB;
+    a.x -= nx * overlap * massB / totalMass;
+    a.y -= ny * overlap * massB / totalMass;
+    b.x += nx * overlap * massA / totalMass;
+    b.y += ny * overlap * massA / totalMass;
+    
+    // Only exchange momentum while they are still closing on each other
+    const closingSpeed = (a.velocity.x - b.velocity.x) * nx + (a.velocity.y - b.velocity.y) * ny;
+    if (closingSpeed > 0) {
+        const impulse = 2 * closingSpeed / (1 / massA + 1 / massB);
+        a.velocity.x -= impulse / massA * nx;
+        a.velocity.y -= impulse / massA * ny;
+        b.velocity.x += impulse / massB * nx;
+        b.velocity.y += impulse / massB * ny;
+    }
+    
+    return true;
+}
+
+export function separateFragments(first, second) {
+    // Fragments are created on top of each other. Place them side by side, just
+    // touching, along the direction they are flying apart in.
+    const dx = second.velocity.x - first.velocity.x;
+    const dy = second.velocity.y - first.velocity.y;
+    const length = Math.hypot(dx, dy);
+    const nx = length > 0 ? dx / length : 1;
+    const ny = length > 0 ? dy / length : 0;
+    
+    const centerX = (first.x + second.x) / 2;
+    const centerY = (first.y + second.y) / 2;
+    first.x = centerX - nx * first.radius;
+    first.y = centerY - ny * first.radius;
+    second.x = centerX + nx * second.radius;
+    second.y = centerY + ny * second.radius;
+}
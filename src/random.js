@@ -0,0 +1,31 @@
+// Seedable pseudo-random number generator (mulberry32).
+// All gameplay randomness goes through an instance of this class so that a
+// game can be reproduced exactly from its seed and inputs.
+export default class Random {
+    constructor(seed = Random.generateSeed()) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    static generateSeed() {
+        // Seeds themselves come from the non-deterministic global generator
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    next() {
+        // Returns a float in [0, 1), like Math.random()
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+}
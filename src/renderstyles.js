@@ -0,0 +1,133 @@
+// Render styles: how a frame is cleared, composited and finished.
+//
+// Entities always draw the same white strokes. A style only wraps that drawing,
+// so switching between the flat look and the vector monitor look never touches
+// entity code.
+
+import Random from './random.js';
+
+export const RENDER_STYLES = {
+    flat: 'Classic flat',
+    vector: 'Vector CRT'
+};
+
+export class FlatRenderStyle {
+    constructor() {
+        this.name = 'flat';
+    }
+
+    clear(ctx, canvas) {
+        ctx.fillStyle = 'black';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+    }
+
+    draw(ctx, drawFrame) {
+        drawFrame();
+    }
+
+    drawBullet(ctx, drawBullet) {
+        drawBullet();
+    }
+
+    finish() {}
+}
+
+// Vector monitor emulation
+const PHOSPHOR_PERSISTENCE = 0.55;  // Share of last frame's brightness left after clearing
+const GLOW_BLUR = 8;  // pixels
+const GLOW_COLOR = 'rgba(180, 210, 255, 0.9)';
+const BULLET_MIN_BRIGHTNESS = 0.55;
+const BLOOM_SCALE = 0.25;  // Bloom is blurred by drawing the frame small then stretching it back
+const BLOOM_STRENGTH = 0.35;
+const SCANLINE_SPACING = 3;  // pixels
+const SCANLINE_ALPHA = 0.18;
+
+export class VectorRenderStyle {
+    constructor({ scanlines = true, bloom = true, random = new Random() } = {}) {
+        this.name = 'vector';
+        this.scanlines = scanlines;
+        this.bloom = bloom;
+        this.random = random;  // Flicker is cosmetic and stays out of the gameplay sequence
+        this.bloomCanvas = null;
+    }
+
+    clear(ctx, canvas) {
+        // A partial clear leaves a fading afterimage of the last frames, like phosphor
+        ctx.save();
+        ctx.globalCompositeOperation = 'source-over';
+        ctx.fillStyle = `rgba(0, 0, 0, ${1 - PHOSPHOR_PERSISTENCE})`;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.restore();
+    }
+
+    draw(ctx, drawFrame) {
+        // Overlapping lines add up in brightness and every line glows
+        ctx.save();
+        ctx.globalCompositeOperation = 'lighter';
+        ctx.shadowBlur = GLOW_BLUR;
+        ctx.shadowColor = GLOW_COLOR;
+        drawFrame();
+        ctx.restore();
+    }
+
+    drawBullet(ctx, drawBullet) {
+        ctx.save();
+        ctx.globalAlpha = BULLET_MIN_BRIGHTNESS + this.random.next() * (1 - BULLET_MIN_BRIGHTNESS);
+        drawBullet();
+        ctx.restore();
+    }
+
+    finish(ctx, canvas) {
+        if (this.bloom) {
+            this.drawBloom(ctx, canvas);
+        }
+        if (this.scanlines) {
+            this.drawScanlines(ctx, canvas);
+        }
+    }
+
+    drawBloom(ctx, canvas) {
+        const width = Math.max(1, Math.round(canvas.width * BLOOM_SCALE));
+        const height = Math.max(1, Math.round(canvas.height * BLOOM_SCALE));
+        if (!this.bloomCanvas) {
+            this.bloomCanvas = document.createElement('canvas');
+        }
+        if (this.bloomCanvas.width !== width || this.bloomCanvas.height !== height) {
+            this.bloomCanvas.width = width;
+            this.bloomCanvas.height = height;
+        }
+
+        const bloomContext = this.bloomCanvas.getContext('2d');
+        bloomContext.clearRect(0, 0, width, height);
+        bloomContext.drawImage(canvas, 0, 0, width, height);
+
+        // Smoothing while stretching the small copy back up blurs it
+        ctx.save();
+        ctx.globalCompositeOperation = 'lighter';
+        ctx.globalAlpha = BLOOM_STRENGTH;
+        ctx.imageSmoothingEnabled = true;
+        ctx.drawImage(this.bloomCanvas, 0, 0, canvas.width, canvas.height);
+        ctx.restore();
+    }
+
+    drawScanlines(ctx, canvas) {
+        ctx.save();
+        ctx.globalCompositeOperation = 'source-over';
+        ctx.fillStyle = `rgba(0, 0, 0, ${SCANLINE_ALPHA})`;
+        for (let y = 0; y < canvas.height; y += SCANLINE_SPACING) {
+            ctx.fillRect(0, y, canvas.width, 1);
+        }
+        ctx.restore();
+    }
+}
+
+export function createRenderStyle(name, options) {
+    switch (name) {
+        case 'flat':
+            return new FlatRenderStyle();
+        case 'vector':
+            return new VectorRenderStyle(options);
+        default:
+            throw new Error(`Unknown render style: ${name}`);
+    }
+}
@@ -0,0 +1,244 @@
+// Replay recording and playback.
+//
+// A replay is the game seed plus the input state of every simulation tick.
+// Inputs are packed into bitmasks and run-length encoded as [mask, count]
+// pairs, so long stretches of holding the same keys cost a single entry.
+
+import InputSource, { TURN_STEPS } from './inputsource.js';
+
+// Version 2 added analog turning. Version 3 jumps to hyperspace when the key is
+// pressed rather than every tick it is held, version 4 does the same for fire.
+// Older replays keep the old rules. Version 5 added rule changes part way through.
+export const REPLAY_VERSION = 5;
+export const REPLAY_SPEEDS = [0.5, 1, 2, 4];
+
+// Order matters: each action's index is its bit in the encoded mask
+const INPUT_ACTIONS = ['left', 'right', 'up', 'space', 'hyperspace'];
+
+// Analog turning follows as its number of TURN_STEPS, then a bit for turning left
+const TURN_SHIFT = INPUT_ACTIONS.length;
+const TURN_MASK = 0b1111;
+const TURN_LEFT_BIT = 1 << (TURN_SHIFT + 4);
+
+export function encodeInput(input) {
+    const mask = INPUT_ACTIONS.reduce((mask, action, bit) => (input[action] ? mask | (1 << bit) : mask), 0);
+    const turn = input.turn ?? 0;
+    const steps = Math.min(TURN_MASK, Math.round(Math.abs(turn) * TURN_STEPS));
+    return mask | (steps << TURN_SHIFT) | (turn < 0 && steps > 0 ? TURN_LEFT_BIT : 0);
+}
+
+export function decodeInput(mask) {
+    const input = {};
+    INPUT_ACTIONS.forEach((action, bit) => {
+        input[action] = (mask & (1 << bit)) !== 0;
+    });
+    const steps = (mask >> TURN_SHIFT) & TURN_MASK;
+    if (steps > 0) {
+        input.turn = (mask & TURN_LEFT_BIT ? -steps : steps) / TURN_STEPS;
+    }
+    return input;
+}
+
+export class ReplayRecorder {
+    constructor(seed, tickRate) {
+        this.seed = seed;
+        this.tickRate = tickRate;
+        this.frames = [];
+        this.tickCount = 0;
+        this.settingChanges = [];  // { tick, settings } for each change of rules during the game
+    }
+
+    recordSettings(settings) {
+        // The rules from the next tick on, replacing any other change before the same tick
+        const last = this.settingChanges[this.settingChanges.length - 1];
+        if (last && last.tick === this.tickCount) {
+            last.settings = { ...settings };
+        } else {
+            this.settingChanges.push({ tick: this.tickCount, settings: { ...settings } });
+        }
+    }
+
+    record(input) {
+        const mask = encodeInput(input);
+        const last = this.frames[this.frames.length - 1];
+
+        if (last && last[0] === mask) {
+            last[1]++;
+        } else {
+            this.frames.push([mask, 1]);
+        }
+        this.tickCount++;
+    }
+
+    toReplay(details = {}) {
+        return {
+            version: REPLAY_VERSION,
+            seed: this.seed,
+            tickRate: this.tickRate,
+            tickCount: this.tickCount,
+            frames: this.frames.map(frame => [...frame]),
+            ...(this.settingChanges.length > 0 && {
+                settingChanges: this.settingChanges.map(({ tick, settings }) => ({ tick, settings: { ...settings } }))
+            }),
+            recordedAt: new Date().toISOString(),
+            ...details
+        };
+    }
+}
+
+export class ReplayPlayer {
+    constructor(replay) {
+        this.replay = validateReplay(replay);
+        this.rewind();
+    }
+
+    rewind() {
+        this.tick = 0;
+        this.frameIndex = 0;
+        this.frameTick = 0;  // Ticks already played from the current run-length frame
+    }
+
+    get tickCount() {
+        return this.replay.tickCount;
+    }
+
+    get isFinished() {
+        return this.tick >= this.replay.tickCount;
+    }
+
+    nextInput() {
+        if (this.isFinished) {
+            return null;
+        }
+
+        const [mask, count] = this.replay.frames[this.frameIndex];
+        this.tick++;
+        this.frameTick++;
+        if (this.frameTick >= count) {
+            this.frameIndex++;
+            this.frameTick = 0;
+        }
+
+        return decodeInput(mask);
+    }
+}
+
+export class ReplayInputSource extends InputSource {
+    constructor(replay) {
+        super();
+        this.player = new ReplayPlayer(replay);
+    }
+
+    get isFinished() {
+        return this.player.isFinished;
+    }
+
+    poll() {
+        return this.player.nextInput() ?? {};
+    }
+
+    read(game) {
+        const input = super.read(game);
+        if (this.player.replay.version < 3) {
+            // Recorded when holding hyperspace jumped every tick it was held
+            input.pressed.hyperspace = input.hyperspace;
+        }
+        if (this.player.replay.version < 4) {
+            // Recorded when holding fire kept shooting as fast as the gun reloaded
+            input.pressed.space = input.space;
+        }
+        return input;
+    }
+
+    getSettingsChange() {
+        // The rules the player changed to before the tick about to be read, if any
+        const change = this.player.replay.settingChanges?.find(({ tick }) => tick === this.player.tick);
+        return change?.settings ?? null;
+    }
+
+    rewind() {
+        this.player.rewind();
+        this.reset();
+    }
+}
+
+export function validateReplay(replay) {
+    if (!replay || typeof replay !== 'object') {
+        throw new Error('Invalid replay: expected an object');
+    }
+    if (!Number.isInteger(replay.version) || replay.version < 1 || replay.version > REPLAY_VERSION) {
+        throw new Error(`Invalid replay: unsupported version ${replay.version}`);
+    }
+    if (!Number.isInteger(replay.seed)) {
+        throw new Error('Invalid replay: missing seed');
+    }
+    if (!Array.isArray(replay.frames) ||
+        !replay.frames.every(frame => Array.isArray(frame) && frame.length === 2 &&
+            Number.isInteger(frame[0]) && Number.isInteger(frame[1]) && frame[1] > 0)) {
+        throw new Error('Invalid replay: malformed input frames');
+    }
+
+    // Replays from before two player games have one player
+    if (replay.players !== undefined && !(Number.isInteger(replay.players) && replay.players > 0)) {
+        throw new Error('Invalid replay: malformed player count');
+    }
+
+    // Two player games record a score and wave per player
+    const isPlayerResults = values => Array.isArray(values) && values.length === (replay.players ?? 1) &&
+        values.every(value => Number.isInteger(value) && value >= 0);
+    if ((replay.scores !== undefined && !isPlayerResults(replay.scores)) ||
+        (replay.waves !== undefined && !isPlayerResults(replay.waves))) {
+        throw new Error('Invalid replay: malformed player results');
+    }
+
+    // Rule changes the game was played with, as GAME_SETTINGS overrides
+    const isSettings = settings => Boolean(settings) && typeof settings === 'object' && !Array.isArray(settings) &&
+        Object.values(settings).every(value => Number.isFinite(value));
+    if (replay.settings !== undefined && !isSettings(replay.settings)) {
+        throw new Error('Invalid replay: malformed settings');
+    }
+    if (replay.settingChanges !== undefined &&
+        (!Array.isArray(replay.settingChanges) || !replay.settingChanges.every(change =>
+            change && Number.isInteger(change.tick) && change.tick >= 0 && isSettings(change.settings)))) {
+        throw new Error('Invalid replay: malformed setting changes');
+    }
+
+    const framesTickCount = replay.frames.reduce((total, [, count]) => total + count, 0);
+    if (replay.tickCount !== framesTickCount) {
+        throw new Error('Invalid replay: tick count does not match input frames');
+    }
+
+    return replay;
+}
+
+export function serializeReplay(replay) {
+    return JSON.stringify(replay);
+}
+
+export function parseReplay(json) {
+    let replay;
+    try {
+        replay = JSON.parse(json);
+    } catch (error) {
+        throw new Error('Invalid replay: not valid JSON');
+    }
+    return validateReplay(replay);
+}
+
+export function downloadReplay(replay, filename = `asteroids-replay-${replay.seed}.json`) {
+    const blob = new Blob([serializeReplay(replay)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    URL.revokeObjectURL(url);
+}
+
+export function readReplayFile(file) {
+    return file.text().then(parseReplay);
+}
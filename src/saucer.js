@@ -0,0 +1,135 @@
+import Bullet from './bullet.js';
+import { wrapPosition } from './collision.js';
+import Random from './random.js';
+
+// Constants
+const SAUCER_TYPES = {
+    large: { radius: 20, speed: 100, shootDelay: 1.2 },
+    small: { radius: 10, speed: 150, shootDelay: 0.9 }
+};
+const DIRECTION_CHANGE_INTERVAL = 1.5; // seconds between vertical course changes
+const SAUCER_BULLET_SPEED = 350; // pixels per second
+const MAX_AIM_ERROR = Math.PI / 4; // radians of spread for a completely inaccurate small saucer
+
+export default class Saucer {
+    constructor(x, y, size, direction, random = new Random()) {
+        const type = SAUCER_TYPES[size];
+        this.random = random;
+
+        // Position
+        this.x = x;
+        this.y = y;
+        this.size = size;
+        this.radius = type.radius;
+
+        // Movement: saucers cross the screen horizontally (direction is 1 or -1)
+        this.speed = type.speed;
+        this.velocity = { x: direction * type.speed, y: 0 };
+        this.directionTimer = DIRECTION_CHANGE_INTERVAL;
+
+        // Combat state
+        this.shootDelay = type.shootDelay;
+        this.shootTimer = type.shootDelay;
+
+        // State
+        this.isDead = false;
+    }
+
+    update(deltaTime, width, height) {
+        this.updateCourse(deltaTime);
+
+        // Update position
+        this.x += this.velocity.x * deltaTime;
+        this.y += this.velocity.y * deltaTime;
+
+        // Saucers leave the screen once they have crossed it
+        if (this.x < -this.radius || this.x > width + this.radius) {
+            this.isDead = true;
+            return;
+        }
+
+        // Only vertical movement wraps, horizontal bounds are handled above
+        wrapPosition(this, width, height, { useRadius: true });
+
+        if (this.shootTimer > 0) {
+            this.shootTimer -= deltaTime;
+        }
+    }
+
+    updateCourse(deltaTime) {
+        this.directionTimer -= deltaTime;
+        if (this.directionTimer <= 0) {
+            this.directionTimer = DIRECTION_CHANGE_INTERVAL;
+
+            // Pick between diagonal up, straight across and diagonal down
+            const course = Math.floor(this.random.next() * 3) - 1;
+            this.velocity.y = course * this.speed * 0.5;
+        }
+    }
+
+    shoot(target = null, accuracy = 0) {
+        if (this.shootTimer > 0 || this.isDead) {
+            return null;
+        }
+
+        const angle = this.getShotAngle(target, accuracy);
+        this.shootTimer = this.shootDelay;
+
+        // Spawn the bullet just outside the hull so it cannot hit its own saucer
+        const bulletX = this.x + Math.cos(angle) * this.radius;
+        const bulletY = this.y + Math.sin(angle) * this.radius;
+
+        return new Bullet(
+            bulletX,
+            bulletY,
+            Math.cos(angle) * SAUCER_BULLET_SPEED,
+            Math.sin(angle) * SAUCER_BULLET_SPEED,
+            'saucer'
+        );
+    }
+
+    getShotAngle(target, accuracy) {
+        // Large saucers and saucers without a target fire in random directions
+        if (this.size === 'large' || !target) {
+            return this.random.next() * Math.PI * 2;
+        }
+
+        // Small saucers aim at the target, with less spread as accuracy increases
+        const aimAngle = Math.atan2(target.y - this.y, target.x - this.x);
+        const clampedAccuracy = Math.min(Math.max(accuracy, 0), 1);
+        const error = (this.random.next() * 2 - 1) * MAX_AIM_ERROR * (1 - clampedAccuracy);
+        return aimAngle + error;
+    }
+
+    render(ctx) {
+        const r = this.radius;
+
+        ctx.save();
+        ctx.translate(this.x, this.y);
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 2;
+
+        // Hull
+        ctx.beginPath();
+        ctx.moveTo(-r, 0);
+        ctx.lineTo(-r * 0.5, -r * 0.35);
+        ctx.lineTo(r * 0.5, -r * 0.35);
+        ctx.lineTo(r, 0);
+        ctx.lineTo(r * 0.5, r * 0.35);
+        ctx.lineTo(-r * 0.5, r * 0.35);
+        ctx.closePath();
+        ctx.stroke();
+
+        // Rim line and cabin
+        ctx.beginPath();
+        ctx.moveTo(-r, 0);
+        ctx.lineTo(r, 0);
+        ctx.moveTo(-r * 0.5, -r * 0.35);
+        ctx.lineTo(-r * 0.25, -r * 0.7);
+        ctx.lineTo(r * 0.25, -r * 0.7);
+        ctx.lineTo(r * 0.5, -r * 0.35);
+        ctx.stroke();
+
+        ctx.restore();
+    }
+}
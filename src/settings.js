@@ -0,0 +1,184 @@
+// Player settings saved between sessions.
+//
+// Stored in localStorage as { version, settings }. Every stored value is checked
+// against its definition and anything missing, out of range or from an unknown
+// schema version falls back to its default, so bad data can never break the game.
+// Settings from older versions are migrated forward first.
+
+import { getDefaultStorage } from './storage.js';
+import { RENDER_STYLES } from './renderstyles.js';
+import { TOUCH_LAYOUTS } from './touch.js';
+import { DEFAULT_BINDINGS, WASD_BINDINGS, copyBindings, isValidBindings } from './input.js';
+
+export const SETTINGS_STORAGE_KEY = 'asteroids.settings';
+export const SETTINGS_VERSION = 2;
+
+// Upgrades settings saved by each older version to the next one
+const MIGRATIONS = {
+    // Version 1 only had a choice of control scheme
+    1: ({ controls, ...settings }) => ({
+        ...settings,
+        bindings: controls === 'wasd' ? WASD_BINDINGS : DEFAULT_BINDINGS
+    })
+};
+
+// GAME_SETTINGS overrides for each difficulty
+export const DIFFICULTIES = {
+    easy: {
+        ASTEROID_MIN_SPEED: 35,
+        ASTEROID_MAX_SPEED: 70,
+        SAUCER_SPAWN_INTERVAL: 30,
+        SAUCER_ACCURACY_PER_WAVE: 0.05,
+        HYPERSPACE_FAILURE_CHANCE: 0.05
+    },
+    normal: {},
+    hard: {
+        ASTEROID_MIN_SPEED: 70,
+        ASTEROID_MAX_SPEED: 140,
+        SAUCER_SPAWN_INTERVAL: 12,
+        SAUCER_ACCURACY_PER_WAVE: 0.2,
+        HYPERSPACE_FAILURE_CHANCE: 0.2
+    }
+};
+
+// Ranges are stepped through by step, options in order. Anything else has its own
+// validate and is only ever set whole.
+export const SETTING_DEFINITIONS = {
+    masterVolume: { default: 1, min: 0, max: 1, step: 0.1 },
+    sfxVolume: { default: 1, min: 0, max: 1, step: 0.1 },
+    beatVolume: { default: 1, min: 0, max: 1, step: 0.1 },
+    renderStyle: { default: 'flat', options: Object.keys(RENDER_STYLES) },
+    startingLives: { default: 3, min: 1, max: 5, step: 1 },
+    difficulty: { default: 'normal', options: Object.keys(DIFFICULTIES) },
+    screenShake: { default: true, options: [true, false] },
+    touchLayout: { default: 'buttons', options: Object.keys(TOUCH_LAYOUTS) },
+    bindings: { default: DEFAULT_BINDINGS, validate: isValidBindings, copy: copyBindings }
+};
+
+export function getDefaultSettings() {
+    // Copied so changing a loaded setting can never change its default
+    return Object.fromEntries(
+        Object.entries(SETTING_DEFINITIONS).map(([name, definition]) => [
+            name,
+            definition.copy ? definition.copy(definition.default) : definition.default
+        ])
+    );
+}
+
+export function isValidSetting(name, value) {
+    const definition = SETTING_DEFINITIONS[name];
+    if (!definition) {
+        return false;
+    }
+    if (definition.validate) {
+        return definition.validate(value);
+    }
+    if (definition.options) {
+        return definition.options.includes(value);
+    }
+    return typeof value === 'number' && value >= definition.min && value <= definition.max;
+}
+
+export function stepSetting(name, value, direction) {
+    const definition = SETTING_DEFINITIONS[name];
+    if (definition.options) {
+        const { options } = definition;
+        return options[(options.indexOf(value) + direction + options.length) % options.length];
+    }
+
+    // Round away float drift so stepped volumes stay on tenths
+    const stepped = Math.round((value + direction * definition.step) / definition.step) * definition.step;
+    return Math.min(definition.max, Math.max(definition.min, Number(stepped.toFixed(4))));
+}
+
+export function getGameplaySettings(settings) {
+    // Only what differs from a standard game, so a default player changes nothing
+    const overrides = { ...DIFFICULTIES[settings.difficulty] };
+    if (settings.startingLives !== SETTING_DEFINITIONS.startingLives.default) {
+        overrides.INITIAL_LIVES = settings.startingLives;
+    }
+    return overrides;
+}
+
+export default class SettingsStore {
+    constructor(storage = getDefaultStorage()) {
+        this.storage = storage;  // Without storage settings only last for the session
+        this.values = this.load();
+        this.listeners = [];
+    }
+
+    load() {
+        const settings = getDefaultSettings();
+        if (!this.storage) {
+            return settings;
+        }
+
+        let data;
+        try {
+            const json = this.storage.getItem(SETTINGS_STORAGE_KEY);
+            if (json === null) {
+                return settings;
+            }
+            data = JSON.parse(json);
+        } catch (error) {
+            console.error('Failed to read settings, using the defaults:', error);
+            return settings;
+        }
+
+        const known = data && Number.isInteger(data.version) && data.version >= 1 && data.version <= SETTINGS_VERSION;
+        if (!known || !data.settings || typeof data.settings !== 'object') {
+            console.error('Ignoring settings with an unknown format:', data);
+            return settings;
+        }
+
+        let stored = data.settings;
+        for (let version = data.version; version < SETTINGS_VERSION; version++) {
+            stored = MIGRATIONS[version](stored);
+        }
+
+        // Keep whichever stored values are still valid
+        Object.keys(settings).forEach(name => {
+            if (isValidSetting(name, stored[name])) {
+                const definition = SETTING_DEFINITIONS[name];
+                settings[name] = definition.copy ? definition.copy(stored[name]) : stored[name];
+            }
+        });
+        return settings;
+    }
+
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify({
+                version: SETTINGS_VERSION,
+                settings: this.values
+            }));
+        } catch (error) {
+            console.error('Failed to save settings:', error);
+        }
+    }
+
+    get(name) {
+        return this.values[name];
+    }
+
+    set(name, value) {
+        if (!isValidSetting(name, value)) {
+            throw new Error(`Invalid value for setting ${name}: ${value}`);
+        }
+        if (this.values[name] === value) return;
+
+        this.values[name] = value;
+        this.save();
+        this.listeners.forEach(listener => listener(name, value));
+    }
+
+    step(name, direction) {
+        this.set(name, stepSetting(name, this.values[name], direction));
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+}
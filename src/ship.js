@@ -1,19 +1,33 @@
 import Bullet from './bullet.js';
 import { wrapPosition } from './collision.js';
+import Random from './random.js';
 
 // Constants
 const ROTATION_SPEED = 5; // radians per second
 const THRUST_POWER = 200; // pixels per second squared
-const FRICTION = 0.99; // velocity multiplier per frame
+const FRICTION = 0.99; // velocity multiplier per reference frame
+const DEBRIS_FRICTION = 0.98; // disintegration piece slowdown per reference frame
+const FRICTION_FRAME_RATE = 60; // frame rate the friction values were tuned for
 const MAX_SPEED = 400; // pixels per second
-const BULLET_SPEED = 500; // pixels per second
+export const BULLET_SPEED = 500; // pixels per second
 const SHOOT_DELAY = 0.20; // seconds
 const INVULNERABILITY_TIME = 2; // seconds
+const HYPERSPACE_DURATION = 0.5; // seconds spent out of play during a jump
+const HYPERSPACE_COOLDOWN = 1; // seconds before another jump is allowed
+
+// Hull outline in ship space as fractions of the radius: nose, top back, back indent, bottom back
+const HULL_POINTS = [
+    { x: 1, y: 0 },
+    { x: -0.5, y: -0.5 },
+    { x: -0.3, y: 0 },
+    { x: -0.5, y: 0.5 }
+];
 
 export default class Ship {
-    constructor(x, y, canvas) {
+    constructor(x, y, canvas, random = new Random(), hyperspaceFailureChance = 0) {
         // Store canvas reference
         this.canvas = canvas;
+        this.random = random;
         
         // Position and orientation
         this.x = x;
@@ -41,12 +55,21 @@ export default class Ship {
         this.disintegrationPieces = [];
         this.respawnTimer = 0;
         
+        // Hyperspace state
+        this.isInHyperspace = false;
+        this.hyperspaceTimer = 0;
+        this.hyperspaceCooldown = 0;
+        this.hyperspaceFailed = false;  // Set when re-entry goes wrong, consumed by the game
+        this.hyperspaceFailureChance = hyperspaceFailureChance;  // Chance of exploding on re-entry
+        
         // Game state
         this.gameOver = false;
     }
     
     update(deltaTime, keys, width, height) {
         this.updateDisintegration(deltaTime);
+        this.updateHyperspace(deltaTime, width, height);
+        this.handleHyperspace(keys);
         if (!this.isDisintegrating && this.visible) {
             this.handleRotation(deltaTime, keys);
             this.handleThrust(deltaTime, keys);
@@ -56,10 +79,10 @@ export default class Ship {
     }
     
     handleRotation(deltaTime, keys) {
-        // Set rotation direction based on input
+        // Set rotation direction based on input, a stick turns as fast as it is pushed
         if (keys.left) this.rotation = -ROTATION_SPEED;
         else if (keys.right) this.rotation = ROTATION_SPEED;
-        else this.rotation = 0;
+        else this.rotation = (keys.turn ?? 0) * ROTATION_SPEED;
         
         // Update angle
         this.angle += this.rotation * deltaTime;
@@ -80,13 +103,78 @@ export default class Ship {
         }
         
         // Apply friction and speed limit
-        this.applyFriction();
+        this.applyFriction(deltaTime);
         this.limitSpeed();
     }
     
-    applyFriction() {
-        this.velocity.x *= FRICTION;
-        this.velocity.y *= FRICTION;
+    handleHyperspace(keys) {
+        // One jump per press, holding the key does not jump again after the cooldown
+        if (keys.pressed?.hyperspace) {
+            this.enterHyperspace();
+        }
+    }
+    
+    canEnterHyperspace() {
+        return this.visible && !this.isDisintegrating && !this.isInHyperspace &&
+            this.hyperspaceCooldown <= 0 && !this.gameOver;
+    }
+    
+    enterHyperspace() {
+        if (!this.canEnterHyperspace()) {
+            return false;
+        }
+        
+        // Vanish from the screen and drop all momentum
+        this.isInHyperspace = true;
+        this.hyperspaceTimer = HYPERSPACE_DURATION;
+        this.visible = false;
+        this.thrust = false;
+        this.velocity = { x: 0, y: 0 };
+        return true;
+    }
+    
+    updateHyperspace(deltaTime, width, height) {
+        if (this.hyperspaceCooldown > 0) {
+            this.hyperspaceCooldown -= deltaTime;
+        }
+        
+        if (this.isInHyperspace) {
+            this.hyperspaceTimer -= deltaTime;
+            if (this.hyperspaceTimer <= 0) {
+                this.exitHyperspace(width, height);
+            }
+        }
+    }
+    
+    exitHyperspace(width, height) {
+        this.isInHyperspace = false;
+        this.hyperspaceTimer = 0;
+        this.hyperspaceCooldown = HYPERSPACE_COOLDOWN;
+        
+        // Reappear at a random location
+        this.setPosition(this.random.next() * width, this.random.next() * height);
+        this.visible = true;
+        
+        // Re-entry can fail, the game destroys the ship through its normal life-loss path
+        if (this.random.next() < this.hyperspaceFailureChance) {
+            this.hyperspaceFailed = true;
+        }
+    }
+    
+    setHyperspaceFailureChance(chance) {
+        this.hyperspaceFailureChance = chance;
+    }
+    
+    canBeHit() {
+        // A hidden ship, e.g. waiting to respawn once its invulnerability has run out, is out of play
+        return this.visible && !this.isInvulnerable && !this.isInHyperspace;
+    }
+    
+    applyFriction(deltaTime) {
+        // Scale the per-frame friction by elapsed time so handling is frame-rate independent
+        const friction = Math.pow(FRICTION, deltaTime * FRICTION_FRAME_RATE);
+        this.velocity.x *= friction;
+        this.velocity.y *= friction;
     }
     
     limitSpeed() {
@@ -99,6 +187,10 @@ export default class Ship {
     }
     
     updatePosition(deltaTime, width, height) {
+        // Store previous position for swept collision checks
+        this.prevX = this.x;
+        this.prevY = this.y;
+        
         // Update position based on velocity
         this.x += this.velocity.x * deltaTime;
         this.y += this.velocity.y * deltaTime;
@@ -194,14 +286,23 @@ export default class Ship {
         ctx.beginPath();
         
         // Draw the main triangle shape with concave back
-        ctx.moveTo(this.radius, 0);  // Front tip
-        ctx.lineTo(-this.radius / 2, -this.radius / 2);  // Top back point
-        ctx.lineTo(-this.radius * 0.3, 0);  // Back indent
-        ctx.lineTo(-this.radius / 2, this.radius / 2);   // Bottom back point
+        const [tip, ...rest] = HULL_POINTS;
+        ctx.moveTo(tip.x * this.radius, tip.y * this.radius);
+        rest.forEach(point => ctx.lineTo(point.x * this.radius, point.y * this.radius));
         ctx.closePath();
         ctx.stroke();
     }
     
+    getOutline() {
+        // Hull points rotated and moved into world space, matching drawShip()
+        const cos = Math.cos(this.angle);
+        const sin = Math.sin(this.angle);
+        return HULL_POINTS.map(point => ({
+            x: this.x + (point.x * cos - point.y * sin) * this.radius,
+            y: this.y + (point.x * sin + point.y * cos) * this.radius
+        }));
+    }
+    
     drawThruster(ctx) {
         ctx.beginPath();
         
@@ -212,10 +313,17 @@ export default class Ship {
         ctx.stroke();
     }
     
-    reset(x, y) {
-        // Position and orientation
+    setPosition(x, y) {
+        // Jumps do not sweep, the ship was never anywhere in between
         this.x = x;
         this.y = y;
+        this.prevX = x;
+        this.prevY = y;
+    }
+    
+    reset(x, y) {
+        // Position and orientation
+        this.setPosition(x, y);
         this.angle = 0;
         this.rotation = 0;
         
@@ -238,6 +346,12 @@ export default class Ship {
         this.disintegrationTimer = 0;
         this.disintegrationPieces = [];
         this.respawnTimer = 0;
+        
+        // Hyperspace state
+        this.isInHyperspace = false;
+        this.hyperspaceTimer = 0;
+        this.hyperspaceCooldown = 0;
+        this.hyperspaceFailed = false;
     }
 
     startDisintegration() {
@@ -259,8 +373,8 @@ export default class Ship {
                 { x: this.radius, y: 0 },
                 { x: -this.radius / 2, y: -this.radius / 2 }
             ],
-            velocity: { x: Math.random() * 30 - 15, y: Math.random() * 30 - 15 },
-            rotation: (Math.random() - 0.5) * 4
+            velocity: { x: this.random.next() * 30 - 15, y: this.random.next() * 30 - 15 },
+            rotation: (this.random.next() - 0.5) * 4
         });
 
         // Back right piece
@@ -269,8 +383,8 @@ export default class Ship {
                 { x: -this.radius / 2, y: -this.radius / 2 },
                 { x: -this.radius, y: 0 }
             ],
-            velocity: { x: Math.random() * 30 - 15, y: Math.random() * 30 - 15 },
-            rotation: (Math.random() - 0.5) * 4
+            velocity: { x: this.random.next() * 30 - 15, y: this.random.next() * 30 - 15 },
+            rotation: (this.random.next() - 0.5) * 4
         });
 
         // Back left piece
@@ -280,8 +394,8 @@ export default class Ship {
                 { x: -this.radius / 2, y: this.radius / 2 },
                 { x: -this.radius / 2, y: -this.radius / 2 }
             ],
-            velocity: { x: Math.random() * 30 - 15, y: Math.random() * 30 - 15 },
-            rotation: (Math.random() - 0.5) * 4
+            velocity: { x: this.random.next() * 30 - 15, y: this.random.next() * 30 - 15 },
+            rotation: (this.random.next() - 0.5) * 4
         });
     }
 
@@ -292,6 +406,7 @@ export default class Ship {
     updateDisintegration(deltaTime) {
         if (this.isDisintegrating) {
             this.disintegrationTimer += deltaTime;
+            const drag = Math.pow(DEBRIS_FRICTION, deltaTime * FRICTION_FRAME_RATE);
             
             // Update piece positions
             this.disintegrationPieces.forEach(piece => {
@@ -312,9 +427,9 @@ export default class Ship {
                 });
 
                 // Slow down pieces
-                piece.velocity.x *= 0.98;
-                piece.velocity.y *= 0.98;
-                piece.rotation *= 0.98;
+                piece.velocity.x *= drag;
+                piece.velocity.y *= drag;
+                piece.rotation *= drag;
             });
 
             // After 2 seconds of disintegration, clear pieces and hide ship
@@ -0,0 +1,127 @@
+// Finite state machine for the game flow.
+//
+// Each state can have enter, exit and update hooks. Timers started with after()
+// belong to the state that was current when they were started and run on
+// simulated time, so leaving a state (or replacing the machine on reset) drops
+// them instead of letting them fire into whatever comes next.
+//
+// Overlay states such as pause are pushed on top of the current state. The state
+// underneath is not exited and its timers hold still until the overlay is popped.
+
+export default class StateMachine {
+    constructor(states, transitions = null) {
+        this.states = states;            // name -> { enter(data), exit(), update(deltaTime) }
+        this.transitions = transitions;  // name -> names it may change to, any when null
+        this.stack = [];
+    }
+
+    get current() {
+        return this.top?.name ?? null;
+    }
+
+    get top() {
+        return this.stack[this.stack.length - 1];
+    }
+
+    // Data passed when the current state was entered, for its hooks to keep notes in
+    get data() {
+        return this.top?.data ?? null;
+    }
+
+    // Simulated seconds since the current state was entered
+    get time() {
+        return this.top?.time ?? 0;
+    }
+
+    // Data of a state anywhere on the stack, null when it is not active
+    dataFor(name) {
+        return this.stack.find(entry => entry.name === name)?.data ?? null;
+    }
+
+    is(...names) {
+        return names.includes(this.current);
+    }
+
+    includes(name) {
+        // True for overlaid states too, e.g. a paused game that is still over
+        return this.stack.some(entry => entry.name === name);
+    }
+
+    canTransition(name) {
+        if (!this.states[name]) return false;
+        if (!this.transitions || this.stack.length === 0) return true;
+        return (this.transitions[this.stack[0].name] ?? []).includes(name);
+    }
+
+    transition(name, data = {}) {
+        if (!this.canTransition(name)) {
+            throw new Error(`Invalid state transition: ${this.current} -> ${name}`);
+        }
+        this.start(name, data);
+    }
+
+    start(name, data = {}) {
+        // Starting over leaves the current state whatever the transition table says.
+        // Any overlays are closed first.
+        if (!this.states[name]) {
+            throw new Error(`Unknown state: ${name}`);
+        }
+        while (this.stack.length > 0) {
+            this.exitTop();
+        }
+        this.enter(name, data);
+    }
+
+    push(name, data = {}) {
+        if (!this.states[name]) {
+            throw new Error(`Unknown state: ${name}`);
+        }
+        this.enter(name, data);
+    }
+
+    pop() {
+        if (this.stack.length < 2) {
+            throw new Error(`Cannot pop the only state: ${this.current}`);
+        }
+        this.exitTop();
+    }
+
+    after(delay, callback) {
+        // delay in milliseconds of simulated time, like Game.schedule
+        const timer = { callback, remaining: delay };
+        this.top.timers.push(timer);
+        return timer;
+    }
+
+    update(deltaTime) {
+        const entry = this.top;
+        if (!entry) return;
+
+        entry.time += deltaTime;
+        entry.timers.forEach(timer => {
+            timer.remaining -= deltaTime * 1000;
+        });
+
+        // Remove due timers before running them, they may start new ones or change state
+        const due = entry.timers.filter(timer => timer.remaining <= 0);
+        entry.timers = entry.timers.filter(timer => timer.remaining > 0);
+        for (const timer of due) {
+            if (this.top !== entry) return;
+            timer.callback();
+        }
+
+        if (this.top === entry) {
+            this.states[entry.name].update?.(deltaTime);
+        }
+    }
+
+    enter(name, data) {
+        this.stack.push({ name, data, time: 0, timers: [] });
+        this.states[name].enter?.(data);
+    }
+
+    exitTop() {
+        const entry = this.stack.pop();
+        this.states[entry.name].exit?.();
+    }
+}
@@ -0,0 +1,10 @@
+// Shared access to the browser's localStorage.
+
+export function getDefaultStorage() {
+    try {
+        return typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch (error) {
+        // Accessing localStorage throws when storage is disabled
+        return null;
+    }
+}
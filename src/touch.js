@@ -0,0 +1,219 @@
+// On-screen controls for touch screens.
+//
+// Buttons, or a virtual joystick and buttons, laid over the playfield, read as an
+// input source like the keyboard and gamepads. Every finger is
+// followed by its touch identifier, so turning, thrusting and firing can all be
+// held at once and a finger can slide from one button to the next.
+
+import InputSource from './inputsource.js';
+import { readStick, STICK_THRUST } from './input.js';
+
+export const TOUCH_LAYOUTS = {
+    buttons: 'Buttons',
+    joystick: 'Joystick'
+};
+
+// Buttons for each layout by the side of the screen they sit on, the joystick
+// takes the left side's place
+const LAYOUT_BUTTONS = {
+    buttons: {
+        left: [
+            { action: 'left', label: '◀' },
+            { action: 'right', label: '▶' }
+        ],
+        right: [
+            { action: 'hyperspace', label: 'HYPER' },
+            { action: 'up', label: '▲' },
+            { action: 'space', label: 'FIRE' }
+        ]
+    },
+    joystick: {
+        left: [],
+        right: [
+            { action: 'hyperspace', label: 'HYPER' },
+            { action: 'space', label: 'FIRE' }
+        ]
+    }
+};
+
+const JOYSTICK_RADIUS = 50;  // CSS pixels from the centre to full deflection
+
+export function isTouchDevice() {
+    return typeof navigator !== 'undefined' && navigator.maxTouchPoints > 0;
+}
+
+export default class TouchControls extends InputSource {
+    constructor(container, { layout = 'buttons', onPause = () => {} } = {}) {
+        super();
+        this.container = container;
+        this.onPause = onPause;
+        this.fingers = new Map();  // Touch identifier -> action its button holds, null off the buttons
+        this.joystick = null;  // { identifier, x, y, dx, dy } while a thumb is on the joystick
+        this.visible = false;
+        this.held = { turn: 0 };
+
+        this.element = document.createElement('div');
+        this.element.id = 'touch-controls';
+        this.element.classList.add('hidden');
+        ['touchstart', 'touchmove', 'touchend', 'touchcancel'].forEach(type => {
+            // Not passive, the controls must never scroll or zoom the page
+            this.element.addEventListener(type, e => this.handleTouch(e), { passive: false });
+        });
+
+        this.setLayout(layout);
+    }
+
+    attach() {
+        this.container.appendChild(this.element);
+        return super.attach();
+    }
+
+    detach() {
+        this.element.remove();
+        this.release();
+        super.detach();
+    }
+
+    poll() {
+        return this.held;
+    }
+
+    setLayout(layout) {
+        if (!TOUCH_LAYOUTS[layout]) {
+            throw new Error(`Unknown touch layout: ${layout}`);
+        }
+
+        this.release();
+        this.layout = layout;
+        this.element.dataset.layout = layout;
+        this.element.replaceChildren();
+
+        const pause = this.createElement('touch-pause', 'II');
+        const left = this.createElement('touch-side touch-left');
+        const right = this.createElement('touch-side touch-right');
+
+        if (layout === 'joystick') {
+            // The joystick centres wherever the thumb comes down on the left side
+            left.classList.add('touch-joystick-zone');
+            this.stick = this.createElement('touch-stick hidden');
+            this.knob = this.createElement('touch-knob');
+            this.stick.appendChild(this.knob);
+            left.appendChild(this.stick);
+        } else {
+            this.stick = null;
+            this.knob = null;
+        }
+
+        const buttons = LAYOUT_BUTTONS[layout];
+        buttons.left.forEach(button => left.appendChild(this.createButton(button)));
+        buttons.right.forEach(button => right.appendChild(this.createButton(button)));
+        this.element.append(pause, left, right);
+    }
+
+    createElement(className, text = '') {
+        const element = document.createElement('div');
+        element.className = className;
+        element.textContent = text;
+        return element;
+    }
+
+    createButton({ action, label }) {
+        const button = this.createElement('touch-button', label);
+        button.dataset.action = action;
+        return button;
+    }
+
+    setVisible(visible) {
+        if (visible === this.visible) return;
+
+        this.visible = visible;
+        this.element.classList.toggle('hidden', !visible);
+        if (!visible) {
+            this.release();
+        }
+    }
+
+    release() {
+        this.fingers.clear();
+        this.joystick = null;
+        this.update();
+    }
+
+    handleTouch(e) {
+        e.preventDefault();  // No scrolling, zooming or emulated mouse clicks
+
+        const ended = e.type === 'touchend' || e.type === 'touchcancel';
+        [...e.changedTouches].forEach(touch => {
+            if (ended) {
+                this.fingers.delete(touch.identifier);
+                if (this.joystick?.identifier === touch.identifier) {
+                    this.joystick = null;
+                }
+            } else if (this.joystick?.identifier === touch.identifier) {
+                this.moveJoystick(touch);
+            } else {
+                this.touchAt(touch, e.type === 'touchstart');
+            }
+        });
+
+        this.update();
+    }
+
+    touchAt(touch, started) {
+        const target = document.elementFromPoint(touch.clientX, touch.clientY);
+
+        if (started && target?.closest('.touch-pause')) {
+            this.onPause();
+            return;
+        }
+        if (started && !this.joystick && target?.closest('.touch-joystick-zone') && !target.closest('.touch-button')) {
+            this.joystick = { identifier: touch.identifier, x: touch.clientX, y: touch.clientY, dx: 0, dy: 0 };
+            return;
+        }
+
+        // Sliding onto another button holds that one instead
+        this.fingers.set(touch.identifier, target?.closest('.touch-button')?.dataset.action ?? null);
+    }
+
+    moveJoystick(touch) {
+        const clamp = value => Math.max(-1, Math.min(1, value));
+        this.joystick.dx = clamp((touch.clientX - this.joystick.x) / JOYSTICK_RADIUS);
+        this.joystick.dy = clamp((touch.clientY - this.joystick.y) / JOYSTICK_RADIUS);
+    }
+
+    update() {
+        const held = {};
+        this.fingers.forEach(action => {
+            if (action) {
+                held[action] = true;
+            }
+        });
+
+        // Like a gamepad stick: turning follows the thumb across, pushing up thrusts
+        let turn = 0;
+        if (this.joystick) {
+            turn = readStick(this.joystick.dx);
+            if (this.joystick.dy <= STICK_THRUST) {
+                held.up = true;
+            }
+        }
+        this.held = { ...held, turn };
+
+        this.element.querySelectorAll('.touch-button').forEach(button => {
+            button.classList.toggle('active', Boolean(held[button.dataset.action]));
+        });
+        this.updateStick();
+    }
+
+    updateStick() {
+        if (!this.stick) return;
+
+        this.stick.classList.toggle('hidden', !this.joystick);
+        if (this.joystick) {
+            const { x, y, dx, dy } = this.joystick;
+            this.stick.style.left = `${x}px`;
+            this.stick.style.top = `${y}px`;
+            this.knob.style.transform = `translate(${dx * JOYSTICK_RADIUS}px, ${dy * JOYSTICK_RADIUS}px)`;
+        }
+    }
+}
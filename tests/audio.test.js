@@ -172,4 +172,77 @@ describe('AudioManager', () => {
         expect(firstNode.source.start).toHaveBeenCalled();
         expect(secondNode.source.start).toHaveBeenCalled();
     });
+    
+    test('loops the saucer siren matching the saucer size', () => {
+        audio.playSaucerSound('small');
+        expect(audio.pools.saucerSmall[0].source.start).toHaveBeenCalled();
+        expect(audio.pools.saucerBig[0].source.start).not.toHaveBeenCalled();
+        expect(audio.saucerTimer).toBeTruthy();
+        
+        // Siren repeats while the saucer is on screen
+        jest.advanceTimersByTime(250);
+        expect(audio.pools.saucerSmall[0].source.start).toHaveBeenCalledTimes(2);
+    });
+    
+    test('resumes the beat where it left off after a suspend', () => {
+        audio.startBackgroundBeat(1);
+        jest.advanceTimersByTime(400);
+        
+        audio.suspendTimers();
+        expect(audio.beatTimer).toBeNull();
+        jest.advanceTimersByTime(5000);
+        expect(audio.currentBeat).toBe(1);
+        
+        audio.resumeTimers();
+        jest.advanceTimersByTime(599);
+        expect(audio.currentBeat).toBe(1);
+        jest.advanceTimersByTime(1);
+        expect(audio.currentBeat).toBe(0);
+    });
+    
+    test('resumes the thrust and saucer loops after a suspend', () => {
+        audio.playThrustSound();
+        audio.playSaucerSound('small');
+        
+        audio.suspendTimers();
+        expect(audio.thrustTimer).toBeNull();
+        expect(audio.saucerTimer).toBeNull();
+        
+        const playSaucerSpy = jest.spyOn(audio, 'playSaucerSound');
+        audio.resumeTimers();
+        expect(audio.thrustTimer).toBeTruthy();
+        expect(playSaucerSpy).toHaveBeenCalledWith('small');
+    });
+    
+    test('does not resume sounds stopped while suspended', () => {
+        audio.startBackgroundBeat(1);
+        audio.suspendTimers();
+        
+        audio.stopTimers();
+        audio.resumeTimers();
+        
+        expect(audio.beatTimer).toBeNull();
+    });
+    
+    test('scales every sound by the master and channel volumes', () => {
+        audio.setVolumes({ master: 0.5, beat: 0.2 });
+
+        expect(audio.pools.beat1[0].gainNode.gain.value).toBeCloseTo(0.05);
+        expect(audio.pools.fire[0].gainNode.gain.value).toBeCloseTo(0.25);
+
+        audio.setVolumes({ sfx: 0 });
+        expect(audio.pools.fire[0].gainNode.gain.value).toBe(0);
+        expect(audio.volumes).toEqual({ master: 0.5, sfx: 0, beat: 0.2 });
+    });
+    
+    test('stops the saucer siren', () => {
+        audio.playSaucerSound('large');
+        const sirenNode = audio.pools.saucerBig[0];
+        sirenNode.isPlaying = true;
+        
+        audio.stopSaucerSound();
+        
+        expect(audio.saucerTimer).toBeNull();
+        expect(sirenNode.source.stop).toHaveBeenCalled();
+    });
 }); 
\ No newline at end of file
@@ -0,0 +1,165 @@
+/**
+ * @jest-environment node
+ */
+
+import Bot, { BOT_PROFILES, normalizeAngle } from '../src/bot.js';
+import Ship from '../src/ship.js';
+import Asteroid from '../src/asteroid.js';
+import Bullet from '../src/bullet.js';
+import { createBotInput, runSimulation } from '../src/headless.js';
+
+const fixedRandom = value => ({ next: () => value });
+
+// Minimal game state the bot reads: a ship facing right in the middle of the screen
+function createGame(objects = {}) {
+    const world = { width: 800, height: 600 };
+    const ship = new Ship(400, 300, world, fixedRandom(0.5));
+    ship.isInvulnerable = false;
+
+    return {
+        world,
+        ship,
+        asteroids: [],
+        saucers: [],
+        bullets: [],
+        gameOver: false,
+        ...objects
+    };
+}
+
+function createAsteroid(x, y, velocityX = 0, velocityY = 0) {
+    const asteroid = new Asteroid(x, y, 'large', null, null, null, fixedRandom(0.5));
+    asteroid.velocity = { x: velocityX, y: velocityY };
+    return asteroid;
+}
+
+describe('Bot', () => {
+    test('rejects unknown profiles', () => {
+        expect(() => new Bot('godlike')).toThrow('Unknown bot profile: godlike');
+    });
+
+    test('provides novice and expert profiles', () => {
+        expect(Object.keys(BOT_PROFILES)).toEqual(['novice', 'expert']);
+        expect(BOT_PROFILES.expert.reactionTicks).toBeLessThan(BOT_PROFILES.novice.reactionTicks);
+    });
+
+    test('holds no keys while the ship is out of play', () => {
+        const game = createGame({ asteroids: [createAsteroid(600, 300)] });
+        game.ship.visible = false;
+
+        expect(new Bot('expert', fixedRandom(0.5)).getInput(game)).toEqual({});
+    });
+
+    test('turns towards the nearest asteroid', () => {
+        const below = createGame({ asteroids: [createAsteroid(400, 500), createAsteroid(100, 50)] });
+        expect(new Bot('expert', fixedRandom(0.5)).getInput(below)).toMatchObject({ right: true });
+
+        const above = createGame({ asteroids: [createAsteroid(400, 100), createAsteroid(100, 550)] });
+        expect(new Bot('expert', fixedRandom(0.5)).getInput(above)).toMatchObject({ left: true });
+    });
+
+    test('fires once lined up with a target in range', () => {
+        const game = createGame({ asteroids: [createAsteroid(600, 300)] });
+        const input = new Bot('expert', fixedRandom(0.5)).getInput(game);
+
+        expect(input.space).toBe(true);
+        expect(input.left).toBeUndefined();
+        expect(input.right).toBeUndefined();
+    });
+
+    test('aims through the shortest path across the screen edge', () => {
+        // 700 pixels to the right is only 100 pixels to the left once wrapped
+        const game = createGame({ asteroids: [createAsteroid(50, 300)] });
+        game.ship.x = 750;
+        game.ship.angle = Math.PI;
+
+        expect(new Bot('expert', fixedRandom(0.5)).getInput(game).space).toBeFalsy();
+        game.ship.angle = 0;
+        expect(new Bot('expert', fixedRandom(0.5)).getInput(game).space).toBe(true);
+    });
+
+    test('expert leads moving targets, novice aims straight at them', () => {
+        const game = createGame({ asteroids: [createAsteroid(600, 300, 0, 100)] });
+        const expert = new Bot('expert', fixedRandom(0.5));
+        const novice = new Bot('novice', fixedRandom(0.5));
+
+        const lead = expert.getAimAngle(game, game.asteroids[0]).angle;
+        const direct = novice.getAimAngle(game, game.asteroids[0]).angle;
+
+        expect(direct).toBeCloseTo(0);
+        expect(lead).toBeGreaterThan(0);
+
+        // A bullet fired along the lead angle meets the asteroid
+        const time = expert.getInterceptTime(200, 0, { x: 0, y: 100 });
+        const bulletX = Math.cos(lead) * 500 * time;
+        const bulletY = Math.sin(lead) * 500 * time;
+        expect(bulletX).toBeCloseTo(200);
+        expect(bulletY).toBeCloseTo(100 * time);
+    });
+
+    test('thrusts away from an imminent collision', () => {
+        // Asteroid closing in from behind the ship, which faces away from it
+        const game = createGame({ asteroids: [createAsteroid(300, 300, 150, 0)] });
+        game.ship.angle = 0;
+
+        expect(new Bot('expert', fixedRandom(0.5)).getInput(game).up).toBe(true);
+    });
+
+    test('does not thrust without a threat', () => {
+        const game = createGame({ asteroids: [createAsteroid(700, 100)] });
+
+        expect(new Bot('expert', fixedRandom(0.5)).getInput(game).up).toBeUndefined();
+    });
+
+    test('expert jumps to hyperspace when a hit cannot be avoided', () => {
+        const bullet = new Bullet(430, 300, -350, 0, 'saucer');
+        const game = createGame({ bullets: [bullet] });
+
+        expect(new Bot('expert', fixedRandom(0.5)).getInput(game)).toEqual({ hyperspace: true });
+        expect(new Bot('novice', fixedRandom(0.5)).getInput(game).hyperspace).toBeUndefined();
+    });
+
+    test('novice only re-reads the playfield at its reaction rate', () => {
+        const game = createGame({ asteroids: [createAsteroid(600, 300)] });
+        const bot = new Bot('novice', fixedRandom(0.5));
+        bot.getInput(game);
+
+        const nearer = createAsteroid(400, 400);
+        game.asteroids.push(nearer);
+        for (let i = 1; i < BOT_PROFILES.novice.reactionTicks; i++) {
+            bot.getInput(game);
+            expect(bot.target).not.toBe(nearer);
+        }
+
+        bot.getInput(game);
+        expect(bot.target).toBe(nearer);
+    });
+
+    test('normalizes angles into -PI to PI', () => {
+        expect(normalizeAngle(3 * Math.PI / 2)).toBeCloseTo(-Math.PI / 2);
+        expect(normalizeAngle(-3 * Math.PI / 2)).toBeCloseTo(Math.PI / 2);
+    });
+});
+
+describe('Bot playing headless games', () => {
+    test('expert clears the opening waves', () => {
+        const result = runSimulation({ seed: 1, ticks: 120 * 120, input: createBotInput('expert') });
+
+        expect(result.wave).toBeGreaterThanOrEqual(3);
+    });
+
+    test('expert outscores novice over the same games', () => {
+        const play = profile => [1, 2, 3].reduce((total, seed) =>
+            total + runSimulation({ seed, ticks: 60 * 120, input: createBotInput(profile) }).score, 0);
+
+        expect(play('expert')).toBeGreaterThan(play('novice'));
+    });
+
+    test('bot games are reproducible from their seed', () => {
+        const first = runSimulation({ seed: 5, ticks: 3000, input: createBotInput('novice') });
+        const second = runSimulation({ seed: 5, ticks: 3000, input: createBotInput('novice') });
+
+        expect(second.score).toBe(first.score);
+        expect(second.ticks).toBe(first.ticks);
+    });
+});
@@ -0,0 +1,353 @@
+import {
+    checkCollision,
+    checkPolygonCollision,
+    checkBulletCollision,
+    checkSweptCircleCollision,
+    checkSweptPolygonCollision,
+    getSweptSegment,
+    getSweptBounds,
+    SpatialHash,
+    pointInPolygon,
+    segmentsIntersect,
+    polygonsIntersect
+} from '../src/collision.js';
+import Ship, { BULLET_SPEED } from '../src/ship.js';
+import Asteroid from '../src/asteroid.js';
+import Bullet from '../src/bullet.js';
+
+const WIDTH = 800;
+const HEIGHT = 600;
+const fixedRandom = value => ({ next: () => value });
+const SHIP_MAX_SPEED = 400;
+
+// A "C" shaped outline: solid on the left, open notch on the right (around x = 20, y = 0)
+const NOTCHED_VERTICES = [
+    { x: 40, y: -40 },
+    { x: -40, y: -40 },
+    { x: -40, y: 40 },
+    { x: 40, y: 40 },
+    { x: 40, y: 15 },
+    { x: 0, y: 15 },
+    { x: 0, y: -15 },
+    { x: 40, y: -15 }
+];
+
+function createAsteroid(x, y, vertices = NOTCHED_VERTICES) {
+    const asteroid = new Asteroid(x, y, 'large', null, null, null, fixedRandom(0.5));
+    asteroid.vertices = vertices;
+    asteroid.outlineRadius = Math.max(...vertices.map(vertex => Math.hypot(vertex.x, vertex.y)));
+    return asteroid;
+}
+
+function createShip(x, y, angle = 0) {
+    const ship = new Ship(x, y, { width: WIDTH, height: HEIGHT }, fixedRandom(0.5));
+    ship.angle = angle;
+    return ship;
+}
+
+function createBullet(fromX, fromY, toX, toY) {
+    const bullet = new Bullet(toX, toY, 0, 0);
+    bullet.prevX = fromX;
+    bullet.prevY = fromY;
+    return bullet;
+}
+
+describe('Polygon helpers', () => {
+    const square = [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }, { x: 0, y: 10 }];
+
+    test('finds points inside concave outlines', () => {
+        const notch = NOTCHED_VERTICES;
+
+        expect(pointInPolygon({ x: -20, y: 0 }, notch)).toBe(true);
+        expect(pointInPolygon({ x: 20, y: 0 }, notch)).toBe(false);
+        expect(pointInPolygon({ x: 20, y: 30 }, notch)).toBe(true);
+        expect(pointInPolygon({ x: 60, y: 0 }, notch)).toBe(false);
+    });
+
+    test('detects crossing segments', () => {
+        expect(segmentsIntersect({ x: 0, y: 0 }, { x: 10, y: 10 }, { x: 0, y: 10 }, { x: 10, y: 0 })).toBe(true);
+        expect(segmentsIntersect({ x: 0, y: 0 }, { x: 4, y: 4 }, { x: 0, y: 10 }, { x: 10, y: 0 })).toBe(false);
+        expect(segmentsIntersect({ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 0, y: 1 }, { x: 10, y: 1 })).toBe(false);
+    });
+
+    test('detects overlapping and nested polygons', () => {
+        const shifted = square.map(({ x, y }) => ({ x: x + 5, y: y + 5 }));
+        const inner = [{ x: 4, y: 4 }, { x: 6, y: 4 }, { x: 5, y: 6 }];
+        const apart = square.map(({ x, y }) => ({ x: x + 20, y }));
+
+        expect(polygonsIntersect(square, shifted)).toBe(true);
+        expect(polygonsIntersect(square, inner)).toBe(true);
+        expect(polygonsIntersect(inner, square)).toBe(true);
+        expect(polygonsIntersect(square, apart)).toBe(false);
+    });
+});
+
+describe('Outlines', () => {
+    test('ship outline follows its position and rotation', () => {
+        const ship = createShip(100, 100, Math.PI / 2);
+        const [nose] = ship.getOutline();
+
+        expect(nose.x).toBeCloseTo(100);
+        expect(nose.y).toBeCloseTo(100 + ship.radius);
+    });
+
+    test('asteroid outline is its vertices in world space', () => {
+        const asteroid = new Asteroid(200, 300, 'medium', null, null, null, fixedRandom(0.9));
+
+        expect(asteroid.getOutline()[0]).toEqual({
+            x: 200 + asteroid.vertices[0].x,
+            y: 300 + asteroid.vertices[0].y
+        });
+        expect(asteroid.outlineRadius).toBeGreaterThan(asteroid.radius);
+    });
+});
+
+describe('checkPolygonCollision', () => {
+    test('a ship sitting in an asteroid notch is not hit', () => {
+        // Nose pointing into the gap, well inside the asteroid's circle
+        const asteroid = createAsteroid(400, 300);
+        const ship = createShip(430, 300, Math.PI);
+        ship.radius = 10;
+
+        expect(checkCollision(ship, asteroid)).toBe(true);
+        expect(checkPolygonCollision(ship, asteroid)).toBe(false);
+    });
+
+    test('a ship touching the outline is hit', () => {
+        const asteroid = createAsteroid(400, 300);
+        const ship = createShip(452, 330, Math.PI);
+
+        expect(checkPolygonCollision(ship, asteroid)).toBe(true);
+    });
+
+    test('spikes beyond the nominal radius still hit', () => {
+        const spike = [{ x: 60, y: 0 }, { x: 0, y: 10 }, { x: -10, y: 0 }, { x: 0, y: -10 }];
+        const asteroid = createAsteroid(400, 300, spike);
+        asteroid.radius = 20;
+        const ship = createShip(470, 300, Math.PI);
+
+        expect(checkCollision(ship, asteroid)).toBe(false);
+        expect(checkPolygonCollision(ship, asteroid)).toBe(true);
+    });
+
+    test('outlines touch across the wrapped screen edges', () => {
+        const asteroid = createAsteroid(WIDTH - 10, HEIGHT - 10);
+        const ship = createShip(20, 10, Math.PI);
+
+        expect(checkPolygonCollision(ship, asteroid)).toBe(false);
+        expect(checkPolygonCollision(ship, asteroid, WIDTH, HEIGHT)).toBe(true);
+        expect(checkSweptPolygonCollision(ship, asteroid, WIDTH, HEIGHT)).toBe(true);
+
+        ship.x = WIDTH / 2;
+        expect(checkPolygonCollision(ship, asteroid, WIDTH, HEIGHT)).toBe(false);
+    });
+
+    test('falls back to circles for objects without an outline', () => {
+        const ship = createShip(100, 100);
+        const circle = { x: 120, y: 100, radius: 10 };
+
+        expect(checkPolygonCollision(ship, circle)).toBe(true);
+        circle.x = 130;
+        expect(checkPolygonCollision(ship, circle)).toBe(false);
+    });
+});
+
+describe('checkBulletCollision', () => {
+    test('hits an outline the bullet passed through during the step', () => {
+        const asteroid = createAsteroid(400, 300);
+
+        // Both ends of the path are outside the asteroid
+        const bullet = createBullet(390, 220, 390, 380);
+
+        expect(checkCollision(bullet, asteroid)).toBe(false);
+        expect(checkBulletCollision(bullet, asteroid, WIDTH, HEIGHT)).toBe(true);
+    });
+
+    test('flies through an open notch', () => {
+        const asteroid = createAsteroid(400, 300);
+        const bullet = createBullet(460, 300, 415, 300);
+
+        expect(checkCollision(bullet, asteroid)).toBe(true);
+        expect(checkBulletCollision(bullet, asteroid, WIDTH, HEIGHT)).toBe(false);
+    });
+
+    test('a bullet without a previous position is tested where it is', () => {
+        const asteroid = createAsteroid(400, 300);
+
+        expect(checkBulletCollision(new Bullet(380, 300, 0, 0), asteroid, WIDTH, HEIGHT)).toBe(true);
+        expect(checkBulletCollision(new Bullet(420, 300, 0, 0), asteroid, WIDTH, HEIGHT)).toBe(false);
+    });
+
+    test('a wrapped step is not treated as a line across the screen', () => {
+        const asteroid = createAsteroid(400, 300);
+        const bullet = createBullet(799, 300, 1, 300);
+
+        expect(getSweptSegment(bullet, WIDTH, HEIGHT).start).toEqual({ x: -1, y: 300 });
+        expect(checkBulletCollision(bullet, asteroid, WIDTH, HEIGHT)).toBe(false);
+    });
+
+    test('a wrapped step still hits outlines at the screen edge', () => {
+        const square = [{ x: -10, y: -10 }, { x: 10, y: -10 }, { x: 10, y: 10 }, { x: -10, y: 10 }];
+        const asteroid = createAsteroid(5, -8, square);
+
+        // Moving down off the bottom edge and back in at the top
+        const bullet = createBullet(5, 598, 5, 4);
+
+        expect(checkBulletCollision(bullet, asteroid, WIDTH, HEIGHT)).toBe(true);
+    });
+
+    test('uses circles for targets without an outline', () => {
+        const saucer = { x: 100, y: 100, radius: 10 };
+
+        expect(checkBulletCollision(new Bullet(105, 100, 0, 0), saucer, WIDTH, HEIGHT)).toBe(true);
+        expect(checkBulletCollision(new Bullet(120, 100, 0, 0), saucer, WIDTH, HEIGHT)).toBe(false);
+    });
+
+    test('sweeps circular targets too', () => {
+        const saucer = { x: 100, y: 100, radius: 10 };
+
+        expect(checkBulletCollision(createBullet(60, 100, 140, 100), saucer, WIDTH, HEIGHT)).toBe(true);
+        expect(checkBulletCollision(createBullet(60, 120, 140, 120), saucer, WIDTH, HEIGHT)).toBe(false);
+    });
+});
+
+describe('Swept collisions', () => {
+    const smallAsteroid = (x, y) => {
+        const asteroid = new Asteroid(x, y, 'small', null, null, null, fixedRandom(0.5));
+        asteroid.velocity = { x: 0, y: 0 };
+        return asteroid;
+    };
+
+    test.each([1 / 120, 1 / 30, 0.1, 0.25])('a bullet never tunnels through a small asteroid (deltaTime %f)', deltaTime => {
+        // Every start position from which one step carries the bullet over the asteroid's centre
+        const step = BULLET_SPEED * deltaTime;
+        for (let offset = 0; offset <= step; offset += 5) {
+            const asteroid = smallAsteroid(400, 300);
+            const bullet = new Bullet(400 - offset, 300, BULLET_SPEED, 0);
+
+            bullet.update(deltaTime, WIDTH, HEIGHT);
+
+            expect(checkBulletCollision(bullet, asteroid, WIDTH, HEIGHT)).toBe(true);
+        }
+    });
+
+    test('a bullet that has not reached the asteroid yet misses', () => {
+        const asteroid = smallAsteroid(400, 300);
+        const bullet = new Bullet(300, 300, BULLET_SPEED, 0);
+
+        bullet.update(0.1, WIDTH, HEIGHT);
+
+        expect(checkBulletCollision(bullet, asteroid, WIDTH, HEIGHT)).toBe(false);
+    });
+
+    test('a bullet crossing a saucer in one long step hits it', () => {
+        const saucer = { x: 400, y: 300, radius: 10 };
+        const bullet = new Bullet(360, 300, BULLET_SPEED, 0);
+
+        bullet.update(0.25, WIDTH, HEIGHT);
+
+        expect(checkCollision(bullet, saucer)).toBe(false);
+        expect(checkBulletCollision(bullet, saucer, WIDTH, HEIGHT)).toBe(true);
+    });
+
+    test.each([0.2, 0.25, 0.5])('a ship at full speed never passes through a small asteroid (deltaTime %f)', deltaTime => {
+        // Long enough steps carry the ship from one side of the asteroid to the other
+        const asteroid = smallAsteroid(400, 300);
+        const ship = createShip(400 - SHIP_MAX_SPEED * deltaTime / 2, 300);
+        ship.velocity = { x: SHIP_MAX_SPEED, y: 0 };
+
+        ship.update(deltaTime, {}, WIDTH, HEIGHT);
+
+        expect(checkPolygonCollision(ship, asteroid)).toBe(false);
+        expect(checkSweptPolygonCollision(ship, asteroid, WIDTH, HEIGHT)).toBe(true);
+    });
+
+    test('a ship passing beside an asteroid is not hit', () => {
+        const asteroid = smallAsteroid(400, 300);
+        const ship = createShip(340, 340);
+        ship.velocity = { x: SHIP_MAX_SPEED, y: 0 };
+
+        ship.update(0.25, {}, WIDTH, HEIGHT);
+
+        expect(checkSweptPolygonCollision(ship, asteroid, WIDTH, HEIGHT)).toBe(false);
+    });
+
+    test('a hyperspace jump is not swept', () => {
+        const asteroid = smallAsteroid(400, 300);
+        const ship = createShip(100, 300);
+        ship.isInHyperspace = true;
+        ship.visible = false;
+
+        // Reappear on the far side of the asteroid
+        ship.random = { next: () => 0.9 };
+        ship.setHyperspaceFailureChance(0);
+        ship.exitHyperspace(WIDTH, HEIGHT);
+
+        expect(checkSweptPolygonCollision(ship, asteroid, WIDTH, HEIGHT)).toBe(false);
+    });
+
+    test('moving circles sweep against each other', () => {
+        const mover = { x: 150, y: 100, prevX: 50, prevY: 100, radius: 5 };
+
+        expect(checkSweptCircleCollision(mover, { x: 100, y: 108, radius: 5 }, WIDTH, HEIGHT)).toBe(true);
+        expect(checkSweptCircleCollision(mover, { x: 100, y: 112, radius: 5 }, WIDTH, HEIGHT)).toBe(false);
+    });
+});
+
+describe('SpatialHash', () => {
+    const circle = (x, y, radius = 10) => ({ x, y, radius });
+
+    test('pairs objects sharing a cell and skips distant ones', () => {
+        const grid = new SpatialHash(WIDTH, HEIGHT);
+        const a = circle(150, 150);
+        const b = circle(160, 150);
+        const far = circle(650, 450);
+        grid.insertAll([a, b, far]);
+
+        expect(grid.findPairs([a])).toEqual([[a, b]]);
+        expect(grid.findPairs([far])).toEqual([]);
+    });
+
+    test('returns objects spanning several cells once', () => {
+        const grid = new SpatialHash(WIDTH, HEIGHT);
+        const big = circle(100, 100, 60);
+        grid.insert(big);
+
+        expect(grid.query({ minX: 0, minY: 0, maxX: 200, maxY: 200 })).toEqual([big]);
+    });
+
+    test('wraps cells around the screen edges', () => {
+        const grid = new SpatialHash(WIDTH, HEIGHT);
+        const left = circle(5, 300);
+        const right = circle(795, 300);
+        grid.insertAll([left, right]);
+
+        expect(grid.findPairs([left])).toEqual([[left, right]]);
+        expect(grid.query({ minX: -20, minY: -20, maxX: 0, maxY: 0 })).toEqual([]);
+        expect(grid.query({ minX: 790, minY: 590, maxX: 810, maxY: 610 })).toEqual([]);
+    });
+
+    test('bounds larger than the playfield cover it once', () => {
+        const grid = new SpatialHash(WIDTH, HEIGHT);
+        const a = circle(50, 50);
+        grid.insert(a);
+
+        let visited = 0;
+        grid.forEachCell({ minX: -1000, minY: -1000, maxX: 1000, maxY: 1000 }, () => visited++);
+
+        expect(visited).toBe(grid.columns * grid.rows);
+        expect(grid.query({ minX: -1000, minY: -1000, maxX: 1000, maxY: 1000 })).toEqual([a]);
+    });
+
+    test('swept bounds cover a wrapped bullet path', () => {
+        const grid = new SpatialHash(WIDTH, HEIGHT);
+        const asteroid = createAsteroid(10, 300, [{ x: -5, y: -5 }, { x: 5, y: -5 }, { x: 5, y: 5 }, { x: -5, y: 5 }]);
+        grid.insert(asteroid);
+
+        // Leaving the right edge and coming back in past the asteroid
+        const bullet = createBullet(790, 300, 30, 300);
+
+        expect(grid.findPairs([bullet], b => getSweptBounds(b, WIDTH, HEIGHT))).toEqual([[bullet, asteroid]]);
+        expect(checkBulletCollision(bullet, asteroid, WIDTH, HEIGHT)).toBe(true);
+    });
+});
@@ -2,9 +2,12 @@
  * @jest-environment jsdom
  */
 
-import Game from '../src/game.js';
+import Game, { WORLD_SIZE } from '../src/game.js';
 import Ship from '../src/ship.js';
 import Asteroid from '../src/asteroid.js';
+import Saucer from '../src/saucer.js';
+import Bullet from '../src/bullet.js';
+import Random from '../src/random.js';
 
 // Game constants
 const GAME_SETTINGS = {
@@ -12,6 +15,8 @@ const GAME_SETTINGS = {
     GAME_OVER_DELAY: 3000,
     WAVE_CREATION_DELAY: 3000,
     BACKGROUND_BEAT_DELAY: 500,
+    TURN_CHANGE_DELAY: 2000,
+    PLAYER_BANNER_DELAY: 2000,
     BASE_ASTEROIDS: 3,
     DEFAULT_HIGH_SCORE: 7500
 };
@@ -87,24 +92,23 @@ const mockContext = {
     stroke: jest.fn(),
     fill: jest.fn(),
     fillRect: jest.fn(),
+    rect: jest.fn(),
+    clip: jest.fn(),
+    setTransform: jest.fn(),
     arc: jest.fn(),
     fillText: jest.fn(),
     font: '',
     textAlign: 'left'
 };
 
-// Mock input module
-jest.mock('../src/input.js', () => ({
-    keys: {
-        left: false,
-        right: false,
-        up: false,
-        space: false
-    },
-    setupInput: jest.fn()
-}));
+import { ScriptedInputSource } from '../src/inputsource.js';
+import { WASD_BINDINGS } from '../src/input.js';
+import { MAX_HIGH_SCORES } from '../src/highscores.js';
+import { DIFFICULTIES } from '../src/settings.js';
 
-import { keys } from '../src/input.js';
+// Keys held by the player, played in place of the real devices
+const keys = {};
+const playKeys = () => new ScriptedInputSource(() => keys);
 
 describe('Game', () => {
     let game;
@@ -146,9 +150,14 @@ describe('Game', () => {
             )
         };
         
+        // Start every test without saved high scores
+        localStorage.clear();
+        
         // Initialize game with test mode
         game = new Game(canvas, true);
         game.init();
+        Object.assign(keys, { left: false, right: false, up: false, space: false, hyperspace: false });
+        game.input = playKeys();
         
         // Reset mocks
         jest.clearAllMocks();
@@ -158,7 +167,8 @@ describe('Game', () => {
     });
 
     afterEach(() => {
-        // Clean up DOM
+        // Clean up DOM and the game's page listeners
+        game.destroy();
         document.body.innerHTML = '';
         jest.clearAllMocks();
         jest.useRealTimers();
@@ -233,8 +243,10 @@ describe('Game', () => {
         });
         
         test('destroys small asteroid without splitting', () => {
+            // Keep the rest of the random field out of the way so only this asteroid is hit
             const smallAsteroid = game.asteroids[0];
             smallAsteroid.size = 'small';
+            game.asteroids = [smallAsteroid];
             const initialAsteroidCount = game.asteroids.length;
             
             // Force collision with a vulnerable ship
@@ -248,6 +260,55 @@ describe('Game', () => {
             expect(game.asteroids.length).toBe(initialAsteroidCount - 1);
         });
         
+        test('a bullet only destroys one of two overlapping asteroids', () => {
+            const first = new Asteroid(300, 300, 'small');
+            const second = new Asteroid(305, 300, 'small');
+            game.asteroids = [first, second];
+            const bullet = new Bullet(303, 300, 0, 0);
+            bullet.prevX = 280;
+            bullet.prevY = 300;
+            game.bullets = [bullet];
+            game.ship.x = 100;
+            game.ship.y = 100;
+
+            game.checkCollisions();
+
+            // The asteroid nearer where the bullet came from takes the hit
+            expect(game.asteroids).toEqual([second]);
+            expect(bullet.isDead).toBe(true);
+        });
+
+        test('an asteroid hit by two bullets is only destroyed once', () => {
+            const asteroid = new Asteroid(300, 300, 'large');
+            game.asteroids = [asteroid];
+            game.bullets = [new Bullet(300, 300, 0, 0), new Bullet(302, 300, 0, 0)];
+            game.ship.x = 100;
+            game.ship.y = 100;
+            game.score = 0;
+
+            game.checkCollisions();
+
+            expect(game.asteroids.length).toBe(2);
+            expect(game.score).toBe(20);
+            expect(game.bullets.every(bullet => bullet.isDead)).toBe(true);
+        });
+
+        test('a long step does not let a bullet skip over an asteroid', () => {
+            const asteroid = new Asteroid(400, 300, 'small');
+            asteroid.velocity = { x: 0, y: 0 };
+            game.asteroids = [asteroid];
+            game.bullets = [new Bullet(340, 300, 500, 0)];
+            game.ship.x = 100;
+            game.ship.y = 100;
+            game.score = 0;
+
+            // The bullet ends the step 110px past where it started, well beyond the asteroid
+            game.update(0.22, {});
+
+            expect(game.asteroids).not.toContain(asteroid);
+            expect(game.score).toBe(100);
+        });
+
         test('creates new wave when all asteroids are destroyed', () => {
             // Clear all asteroids except one
             game.asteroids = [game.asteroids[0]];
@@ -264,13 +325,38 @@ describe('Game', () => {
             // Should increment wave number
             expect(game.wave).toBe(initialWave + 1);
             
-            // Advance timer to allow new wave to be created
-            jest.advanceTimersByTime(3000);
+            // Advance simulation time to allow new wave to be created
+            game.updateScheduled(3);
             
             // Should have created new asteroids
             expect(game.asteroids.length).toBeGreaterThan(0);
         });
         
+        test('failed hyperspace re-entry costs a life', () => {
+            const initialLives = game.lives;
+            game.asteroids = [];
+            game.ship.hyperspaceFailed = true;
+            
+            game.checkCollisions();
+            
+            expect(game.lives).toBe(initialLives - 1);
+            expect(game.ship.isDisintegrating).toBe(true);
+            expect(game.ship.hyperspaceFailed).toBe(false);
+        });
+        
+        test('ship in hyperspace does not trigger collision', () => {
+            const asteroid = game.asteroids[0];
+            const initialLives = game.lives;
+            game.ship.isInvulnerable = false;
+            game.ship.enterHyperspace();
+            game.ship.x = asteroid.x;
+            game.ship.y = asteroid.y;
+            
+            game.checkCollisions();
+            
+            expect(game.lives).toBe(initialLives);
+        });
+        
         test('invulnerable ship does not trigger collision', () => {
             const asteroid = game.asteroids[0];
             const initialLives = game.lives;
@@ -352,15 +438,15 @@ describe('Game', () => {
             // Background beat should not restart immediately
             expect(startBackgroundBeatSpy).not.toHaveBeenCalled();
             
-            // Advance timer by 3 seconds (wave creation delay)
-            jest.advanceTimersByTime(3000);
+            // Advance simulation time by 3 seconds (wave creation delay)
+            game.updateScheduled(3);
             
             // New wave should be created but background beat should not start yet
             expect(game.wave).toBe(initialWave + 1);
             expect(startBackgroundBeatSpy).not.toHaveBeenCalled();
             
-            // Advance timer by 0.5 seconds (background beat delay)
-            jest.advanceTimersByTime(500);
+            // Advance simulation time by 0.5 seconds (background beat delay)
+            game.updateScheduled(0.5);
             
             // Now the background beat should start
             expect(startBackgroundBeatSpy).toHaveBeenCalledWith(initialWave + 1);
@@ -374,11 +460,11 @@ describe('Game', () => {
             
             // Set initial state
             keys.up = false;
-            game.update(0.016);
+            game.update(0.016, keys);
             
             // Simulate thrust key press
             keys.up = true;
-            game.update(0.016);
+            game.update(0.016, keys);
             
             expect(playThrustSpy).toHaveBeenCalled();
             expect(stopThrustSpy).not.toHaveBeenCalled();
@@ -390,15 +476,15 @@ describe('Game', () => {
             
             // Set initial state
             keys.up = false;
-            game.update(0.016);
+            game.update(0.016, keys);
             
             // Simulate thrust key press
             keys.up = true;
-            game.update(0.016);
+            game.update(0.016, keys);
             
             // Simulate thrust key release
             keys.up = false;
-            game.update(0.016);
+            game.update(0.016, keys);
             
             expect(stopThrustSpy).toHaveBeenCalled();
             expect(playThrustSpy).toHaveBeenCalledTimes(1);
@@ -408,15 +494,15 @@ describe('Game', () => {
             const playThrustSpy = jest.spyOn(game.audio, 'playThrustSound');
             
             // Set game to game over state
-            game.gameOver = true;
+            game.state.transition('gameOver', { ended: true });
             
             // Set initial state
             keys.up = false;
-            game.update(0.016);
+            game.update(0.016, keys);
             
             // Simulate thrust key press
             keys.up = true;
-            game.update(0.016);
+            game.update(0.016, keys);
             
             expect(playThrustSpy).not.toHaveBeenCalled();
         });
@@ -428,6 +514,12 @@ describe('Game', () => {
             expect(game.canvas.height).toBe(600);
         });
 
+        test('plays on a fixed size world whatever the canvas size', () => {
+            expect(game.world).toEqual(WORLD_SIZE);
+            expect(game.ship.x).toBe(WORLD_SIZE.width / 2);
+            expect(game.view.scale).toBeCloseTo(600 / 768);
+        });
+
         test('initializes audio on user interaction', async () => {
             // Create a new game instance to ensure clean audio state
             const testGame = new Game(canvas, true);
@@ -448,12 +540,17 @@ describe('Game', () => {
 
     describe('game state management', () => {
         test('pauses and resumes game correctly', () => {
-            const stopBeatSpy = jest.spyOn(game.audio, 'stopBackgroundBeat');
+            const suspendSpy = jest.spyOn(game.audio, 'suspendTimers');
+            const resumeSpy = jest.spyOn(game.audio, 'resumeTimers');
             
             expect(game.paused).toBe(false);
-            game.stop();
+            game.pause();
             expect(game.paused).toBe(true);
-            expect(stopBeatSpy).toHaveBeenCalled();
+            expect(suspendSpy).toHaveBeenCalled();
+            
+            game.resume();
+            expect(game.paused).toBe(false);
+            expect(resumeSpy).toHaveBeenCalled();
         });
 
         test('handles screen wrapping correctly', () => {
@@ -461,14 +558,14 @@ describe('Game', () => {
             game.ship.x = -10;
             game.ship.y = -10;
             game.wrapObject(game.ship);
-            expect(game.ship.x).toBe(game.canvas.width);
-            expect(game.ship.y).toBe(game.canvas.height);
+            expect(game.ship.x).toBe(game.world.width);
+            expect(game.ship.y).toBe(game.world.height);
 
             // Test bullet wrapping
             const bullet = game.ship.shoot();
             if (bullet) {
-                bullet.x = game.canvas.width + 10;
-                bullet.y = game.canvas.height + 10;
+                bullet.x = game.world.width + 10;
+                bullet.y = game.world.height + 10;
                 game.wrapObject(bullet);
                 expect(bullet.x).toBe(0);
                 expect(bullet.y).toBe(0);
@@ -476,8 +573,8 @@ describe('Game', () => {
         });
 
         test('handles resize correctly', () => {
-            const originalWidth = game.canvas.width;
-            const originalHeight = game.canvas.height;
+            game.ship.x = 900;
+            game.ship.y = 700;
             
             // Simulate resize
             canvas.getBoundingClientRect = jest.fn().mockReturnValue({
@@ -489,9 +586,40 @@ describe('Game', () => {
             expect(game.canvas.width).toBe(1024);
             expect(game.canvas.height).toBe(768);
             
-            // Ship should stay within bounds
-            expect(game.ship.x).toBeLessThanOrEqual(game.canvas.width);
-            expect(game.ship.y).toBeLessThanOrEqual(game.canvas.height);
+            // The playfield and everything on it stay put, only the view changes
+            expect(game.world).toEqual(WORLD_SIZE);
+            expect(game.ship.x).toBe(900);
+            expect(game.ship.y).toBe(700);
+            expect(game.view).toEqual({ scale: 1, offsetX: 0, offsetY: 0 });
+        });
+
+        test('renders at the device pixel ratio with letterboxing', () => {
+            const originalRatio = window.devicePixelRatio;
+            window.devicePixelRatio = 2;
+            canvas.getBoundingClientRect = jest.fn().mockReturnValue({
+                width: 1200,
+                height: 600
+            });
+            
+            try {
+                game.resize();
+            } finally {
+                window.devicePixelRatio = originalRatio;
+            }
+            
+            // A wide window gets bars left and right of the scaled up world
+            expect(game.canvas.width).toBe(2400);
+            expect(game.canvas.height).toBe(1200);
+            expect(game.view.scale).toBeCloseTo(1200 / 768);
+            expect(game.view.offsetX).toBeCloseTo((2400 - 1024 * 1200 / 768) / 2);
+            expect(game.view.offsetY).toBe(0);
+            
+            mockContext.setTransform.mockClear();
+            game.render();
+            expect(mockContext.setTransform).toHaveBeenCalledWith(
+                game.view.scale, 0, 0, game.view.scale, game.view.offsetX, 0
+            );
+            expect(mockContext.rect).toHaveBeenCalledWith(0, 0, 1024, 768);
         });
 
         describe('extra life system', () => {
@@ -595,6 +723,220 @@ describe('Game', () => {
         });
     });
 
+    describe('high score table', () => {
+        const loseLastLife = () => {
+            game.lives = 1;
+            game.handleShipDestruction();
+            game.updateScheduled(GAME_SETTINGS.GAME_OVER_DELAY / 1000);
+        };
+        const pressKey = key => game.handleInitialsKey(key);
+
+        test('the HUD high score comes from the saved table', () => {
+            game.highScores.add('ACE', 12345);
+
+            const newGame = new Game(canvas, true);
+
+            expect(newGame.highScore).toBe(12345);
+        });
+
+        test('a qualifying score asks for initials before the game over screen', () => {
+            game.score = 500;
+            loseLastLife();
+
+            expect(game.gameOver).toBe(true);
+            expect(game.initialsEntry).toEqual({ letters: ['A', 'A', 'A'], position: 0, player: 0 });
+            expect(document.getElementById('game-over-screen').classList.contains('visible')).toBe(false);
+        });
+
+        test('initials are picked with the arrow keys and saved', () => {
+            game.score = 500;
+            loseLastLife();
+
+            pressKey('ArrowUp');
+            pressKey('ArrowUp');
+            pressKey('Enter');
+            pressKey('ArrowDown');
+            pressKey('ArrowRight');
+            expect(game.initialsEntry.letters).toEqual(['C', 'Z', 'A']);
+
+            pressKey('ArrowLeft');
+            pressKey('x');
+            expect(game.initialsEntry.position).toBe(2);
+
+            pressKey('Enter');
+
+            expect(game.initialsEntry).toBeNull();
+            expect(game.gameOver).toBe(true);
+            expect(game.highScores.entries).toEqual([{ initials: 'CXA', score: 500 }]);
+            expect(document.getElementById('game-over-screen').classList.contains('visible')).toBe(true);
+            expect(new Game(canvas, true).highScores.entries).toEqual([{ initials: 'CXA', score: 500 }]);
+        });
+
+        test('keys during initials entry do not restart the game', () => {
+            game.score = 500;
+            loseLastLife();
+
+            window.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowUp' }));
+
+            expect(game.gameOver).toBe(true);
+            expect(game.initialsEntry.letters[0]).not.toBe('A');
+        });
+
+        test('keys held since play only count once pressed again', () => {
+            const keyDown = (code, repeat = false) => window.dispatchEvent(
+                new KeyboardEvent('keydown', { key: code === 'Space' ? ' ' : 'Enter', code, repeat }));
+            game.score = 500;
+            loseLastLife();
+            
+            // Fire held through the end of the game repeats, but never confirms a letter
+            keyDown('Space', true);
+            keyDown('Space', true);
+            expect(game.initialsEntry.position).toBe(0);
+            
+            keyDown('Space');
+            keyDown('Enter');
+            keyDown('Enter', true);
+            expect(game.initialsEntry).toBeNull();
+            
+            // Holding the last confirm down does not restart from the game over screen
+            keyDown('Enter', true);
+            expect(game.gameOver).toBe(true);
+            keyDown('Enter');
+            expect(game.gameOver).toBe(false);
+        });
+        
+        test('gamepad buttons held since play only count once pressed again', () => {
+            const buttons = Array.from({ length: 17 }, () => ({ pressed: false, value: 0 }));
+            navigator.getGamepads = jest.fn(() => [{ index: 0, axes: [0, 0], buttons }]);
+            buttons[0].pressed = true;  // A, also fire
+            game.readGamepads();
+            game.score = 500;
+            loseLastLife();
+            
+            try {
+                game.readGamepads();
+                expect(game.initialsEntry.position).toBe(0);
+                
+                buttons[0].pressed = false;
+                game.readGamepads();
+                buttons[0].pressed = true;
+                game.readGamepads();
+                expect(game.initialsEntry.position).toBe(1);
+            } finally {
+                delete navigator.getGamepads;
+            }
+        });
+        
+        test('a new best score raises the HUD high score', () => {
+            game.highScore = 100;
+            game.score = 20000;
+            loseLastLife();
+
+            ['A', 'C', 'E'].forEach(pressKey);
+
+            expect(game.highScore).toBe(20000);
+        });
+
+        test('scores that miss the table go straight to game over', () => {
+            game.score = 0;
+            loseLastLife();
+
+            expect(game.initialsEntry).toBeNull();
+            expect(document.getElementById('game-over-screen').classList.contains('visible')).toBe(true);
+        });
+
+        test('bot games never enter the table', async () => {
+            await game.watchBot('expert');
+            game.score = 500;
+            loseLastLife();
+
+            expect(game.initialsEntry).toBeNull();
+        });
+
+        test('submits entered initials to the leaderboard with the replay', async () => {
+            game.leaderboard = {
+                submitScore: jest.fn(() => Promise.resolve({ rank: 3 })),
+                getTopScores: jest.fn(() => Promise.resolve([{ name: 'TOP', score: 90000 }]))
+            };
+            const listSpy = jest.spyOn(game, 'showHighScoreList');
+            game.score = 500;
+            loseLastLife();
+            ['A', 'C'].forEach(pressKey);
+
+            pressKey('E');
+            await game.leaderboard.submitScore.mock.results[0].value;
+            await Promise.resolve();
+
+            const submission = game.leaderboard.submitScore.mock.calls[0][0];
+            expect(submission.name).toBe('ACE');
+            expect(submission.mode).toBe('classic');
+            expect(submission.replay.seed).toBe(game.seed);
+            expect(submission.replay.score).toBe(500);
+            expect(listSpy).toHaveBeenLastCalledWith([{ initials: 'TOP', score: 90000 }]);
+        });
+
+        test('falls back to local scores when the leaderboard is unreachable', async () => {
+            const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+            game.leaderboard = {
+                submitScore: jest.fn(() => Promise.reject(new TypeError('fetch failed'))),
+                getTopScores: jest.fn()
+            };
+            game.score = 500;
+            loseLastLife();
+            ['A', 'C'].forEach(pressKey);
+            pressKey('E');
+
+            await expect(game.submitToLeaderboard('ACE')).resolves.toBeNull();
+
+            expect(game.leaderboard.getTopScores).not.toHaveBeenCalled();
+            expect(game.highScores.entries).toEqual([{ initials: 'ACE', score: 500 }]);
+            expect(consoleErrorSpy).toHaveBeenCalledWith('Failed to submit score to the leaderboard:', expect.any(TypeError));
+            consoleErrorSpy.mockRestore();
+        });
+
+        test('scores that miss the table still go to the leaderboard', async () => {
+            game.leaderboard = {
+                submitScore: jest.fn(() => Promise.resolve({ rank: 40 })),
+                getTopScores: jest.fn(() => Promise.resolve([]))
+            };
+            for (let i = 0; i < MAX_HIGH_SCORES; i++) {
+                game.highScores.add('TOP', 1000);
+            }
+            game.score = 20;
+            loseLastLife();
+            
+            // Asked for a name the first time, but the local table keeps its scores
+            expect(game.initialsEntry).toEqual({ letters: ['A', 'A', 'A'], position: 0, player: 0 });
+            ['A', 'C', 'E'].forEach(pressKey);
+            expect(game.highScores.entries.every(entry => entry.initials === 'TOP')).toBe(true);
+            expect(game.leaderboard.submitScore.mock.calls[0][0].name).toBe('ACE');
+            
+            // Later games reuse the initials entered last
+            await game.reset();
+            game.score = 10;
+            loseLastLife();
+            
+            expect(game.initialsEntry).toBeNull();
+            expect(document.getElementById('game-over-screen').classList.contains('visible')).toBe(true);
+            expect(game.leaderboard.submitScore).toHaveBeenCalledTimes(2);
+            expect(game.leaderboard.submitScore.mock.calls[1][0].name).toBe('ACE');
+            expect(game.leaderboard.submitScore.mock.calls[1][0].replay.score).toBe(10);
+        });
+
+        test('renders the initials entry and the attract mode table', async () => {
+            game.score = 500;
+            loseLastLife();
+            game.render();
+            expect(mockContext.fillText).toHaveBeenCalledWith('NEW HIGH SCORE', 512, 304);
+
+            game.highScores.add('ACE', 900);
+            await game.startAttractMode();
+            game.showAttractPhase(1);
+            game.render();
+            expect(mockContext.fillText).toHaveBeenCalledWith(' 1.  ACE  900', 512, 768 / 5 + 50);
+        });
+    });
+
     describe('game over state transitions', () => {
         beforeEach(() => {
             // Mock game over screen element with classList
@@ -664,6 +1006,11 @@ describe('Game', () => {
             expect(game.gameOverPending).toBe(false);
             expect(document.getElementById('game-over-screen').classList.contains('visible')).toBe(false);
 
+            // Fill the high score table so the score goes straight to the game over screen
+            for (let i = 0; i < 10; i++) {
+                game.highScores.add('AAA', 100000);
+            }
+
             // Trigger collision
             game.checkCollisions();
 
@@ -672,8 +1019,8 @@ describe('Game', () => {
             expect(game.gameOverPending).toBe(true);
             expect(document.getElementById('game-over-screen').classList.contains('visible')).toBe(false);
 
-            // Advance timer to trigger game over
-            jest.advanceTimersByTime(GAME_SETTINGS.GAME_OVER_DELAY);
+            // Advance simulation time to trigger game over
+            game.updateScheduled(GAME_SETTINGS.GAME_OVER_DELAY / 1000);
 
             // Check final state
             expect(game.gameOver).toBe(true);
@@ -687,16 +1034,1559 @@ describe('Game', () => {
             expect(document.getElementById('game-over-screen').classList.contains('visible')).toBe(false);
         });
 
-        test('clears game over timer on reset', () => {
-            const clearTimeoutSpy = jest.spyOn(window, 'clearTimeout');
-            
-            // Set up game over timer
-            game.gameOverTimer = setTimeout(() => {}, 1000);
+        test('drops the pending game over on reset', () => {
+            game.lives = 1;
+            game.handleShipDestruction();
             
             game.reset();
+            game.updateScheduled(GAME_SETTINGS.GAME_OVER_DELAY / 1000);
+            
+            expect(game.state.current).toBe('playing');
+            expect(game.gameOver).toBe(false);
+            expect(document.getElementById('game-over-screen').classList.contains('visible')).toBe(false);
+        });
+    });
+    
+    describe('two players', () => {
+        const { TURN_CHANGE_DELAY, PLAYER_BANNER_DELAY } = GAME_SETTINGS;
+        
+        // Loses a life and waits for the next player's ship to appear
+        const loseTurn = () => {
+            game.handleShipDestruction();
+            game.updateScheduled(TURN_CHANGE_DELAY / 1000);
+            game.updateScheduled(PLAYER_BANNER_DELAY / 1000);
+        };
+        
+        beforeEach(async () => {
+            game.setPlayerCount(2);
+            await game.reset();
+        });
+        
+        test('opens with player 1 banner', () => {
+            expect(game.state.current).toBe('turnChange');
+            expect(game.ship.visible).toBe(false);
+            
+            game.render();
+            expect(mockContext.fillText).toHaveBeenCalledWith('PLAYER 1', 512, 384);
+            
+            game.updateScheduled(PLAYER_BANNER_DELAY / 1000);
+            expect(game.state.current).toBe('playing');
+            expect(game.ship.visible).toBe(true);
+        });
+        
+        test('losing a life hands over to player 2 with their own field', () => {
+            game.updateScheduled(PLAYER_BANNER_DELAY / 1000);
+            const field = game.asteroids;
+            
+            game.handleShipDestruction();
+            expect(game.state.current).toBe('turnChange');
+            game.updateScheduled(TURN_CHANGE_DELAY / 1000);
+            
+            expect(game.currentPlayer).toBe(1);
+            expect(game.asteroids).not.toBe(field);
+            game.render();
+            expect(mockContext.fillText).toHaveBeenCalledWith('PLAYER 2', 512, 384);
+            
+            game.updateScheduled(PLAYER_BANNER_DELAY / 1000);
+            expect(game.state.current).toBe('playing');
+            expect(game.lives).toBe(3);
+            expect(game.players[0].lives).toBe(2);
+        });
+        
+        test('each player keeps their score, wave and asteroid field', () => {
+            game.updateScheduled(PLAYER_BANNER_DELAY / 1000);
+            const field = game.asteroids;
+            game.addScore(100);
+            game.wave = 3;
+            
+            loseTurn();
+            expect(game.score).toBe(0);
+            expect(game.wave).toBe(1);
+            
+            loseTurn();
+            expect(game.currentPlayer).toBe(0);
+            expect(game.asteroids).toBe(field);
+            expect(game.score).toBe(100);
+            expect(game.wave).toBe(3);
+        });
+        
+        test('a turn lost between waves comes back to the next wave', () => {
+            game.updateScheduled(PLAYER_BANNER_DELAY / 1000);
+            const lastAsteroid = new Asteroid(100, 100, 'small');
+            game.asteroids = [lastAsteroid];
+            game.handleAsteroidDestruction(lastAsteroid);
+            
+            loseTurn();
+            loseTurn();
+            
+            expect(game.wave).toBe(2);
+            expect(game.asteroids).toHaveLength(GAME_SETTINGS.BASE_ASTEROIDS + 2);
+        });
+        
+        test('crashing into the last asteroid hands over the turn', () => {
+            game.updateScheduled(PLAYER_BANNER_DELAY / 1000);
+            game.ship.isInvulnerable = false;
+            game.asteroids = [new Asteroid(game.ship.x, game.ship.y, 'small')];
+            
+            game.step(1 / 120);
+            expect(game.state.current).toBe('turnChange');
+            expect(game.asteroids).toHaveLength(0);
+            
+            game.updateScheduled(TURN_CHANGE_DELAY / 1000);
+            game.updateScheduled(PLAYER_BANNER_DELAY / 1000);
+            loseTurn();
+            expect(game.currentPlayer).toBe(0);
+            expect(game.wave).toBe(2);
+            expect(game.asteroids).toHaveLength(GAME_SETTINGS.BASE_ASTEROIDS + 2);
+        });
+        
+        test('shots in flight when the turn changes are dropped', () => {
+            game.updateScheduled(PLAYER_BANNER_DELAY / 1000);
+            const lastAsteroid = new Asteroid(100, 100, 'small');
+            game.asteroids = [lastAsteroid];
+            game.bullets = [new Bullet(300, 100, -500, 0)];
+            
+            game.handleShipDestruction();
+            expect(game.bullets).toHaveLength(0);
+            
+            game.updateScheduled(TURN_CHANGE_DELAY / 1000);
+            expect(game.currentPlayer).toBe(1);
+            expect(game.players[0].asteroids).toEqual([lastAsteroid]);
+        });
+        
+        test('a saucer shot clearing the field between turns saves the next wave', () => {
+            game.updateScheduled(PLAYER_BANNER_DELAY / 1000);
+            game.asteroids = [new Asteroid(100, 100, 'small')];
+            game.handleShipDestruction();
+            
+            game.bullets = [new Bullet(100, 100, 0, 0, 'saucer')];
+            game.step(1 / 120);
+            expect(game.state.current).toBe('turnChange');
+            
+            game.updateScheduled(TURN_CHANGE_DELAY / 1000);
+            game.updateScheduled(PLAYER_BANNER_DELAY / 1000);
+            loseTurn();
+            expect(game.currentPlayer).toBe(0);
+            expect(game.wave).toBe(2);
+        });
+        
+        test('the hidden ship cannot be hit between turns', () => {
+            game.ship.isInvulnerable = false;
+            game.asteroids = [new Asteroid(game.ship.x, game.ship.y, 'large')];
+            
+            game.checkCollisions();
+            
+            expect(game.lives).toBe(3);
+            expect(game.state.current).toBe('turnChange');
+        });
+        
+        test('shows the second score on the right', () => {
+            game.players[1].score = 250;
+            
+            game.renderHUD();
+            
+            expect(mockContext.fillText).toHaveBeenCalledWith('Player 2  250', 1004, 30);
+        });
+        
+        test('game over comes for each player, the other plays on', () => {
+            game.updateScheduled(PLAYER_BANNER_DELAY / 1000);
+            game.lives = 1;
+            
+            game.handleShipDestruction();
+            game.render();
+            expect(mockContext.fillText).toHaveBeenCalledWith('GAME OVER  PLAYER 1', 512, 334);
+            game.updateScheduled(TURN_CHANGE_DELAY / 1000);
+            game.updateScheduled(PLAYER_BANNER_DELAY / 1000);
+            
+            // With player 1 out, player 2 keeps the turn
+            game.handleShipDestruction();
+            expect(game.state.current).toBe('respawning');
+            expect(game.currentPlayer).toBe(1);
+            
+            game.lives = 1;
+            game.handleShipDestruction();
+            expect(game.state.current).toBe('gameOver');
+        });
+        
+        test('each qualifying player enters initials', () => {
+            game.updateScheduled(PLAYER_BANNER_DELAY / 1000);
+            game.players[0].score = 500;
+            game.players[1].score = 300;
+            game.players[0].lives = 1;
+            game.players[1].lives = 0;
+            
+            game.handleShipDestruction();
+            game.updateScheduled(GAME_SETTINGS.GAME_OVER_DELAY / 1000);
+            expect(game.initialsEntry.player).toBe(0);
+            ['A', 'C', 'E'].forEach(key => game.handleInitialsKey(key));
+            
+            expect(game.initialsEntry.player).toBe(1);
+            ['B', 'O', 'B'].forEach(key => game.handleInitialsKey(key));
+            
+            expect(game.initialsEntry).toBeNull();
+            expect(game.highScores.entries).toEqual([
+                { initials: 'ACE', score: 500 },
+                { initials: 'BOB', score: 300 }
+            ]);
+        });
+        
+        test('replays keep the number of players', async () => {
+            game.updateScheduled(PLAYER_BANNER_DELAY / 1000);
+            game.players[0].score = 500;
+            game.players[1].score = 300;
+            const replay = game.getReplay();
+            expect(replay.players).toBe(2);
+            expect(replay.scores).toEqual([500, 300]);
+            expect(replay.waves).toEqual([1, 1]);
+            expect(replay.score).toBeUndefined();
+            
+            game.setPlayerCount(1);
+            await game.startReplay(replay);
+            
+            expect(game.players).toHaveLength(2);
+        });
+        
+        test('the bot and attract mode play alone', async () => {
+            await game.watchBot('novice');
+            expect(game.players).toHaveLength(1);
+            
+            await game.startAttractMode();
+            game.showAttractPhase(2);
+            expect(game.players).toHaveLength(1);
+        });
+        
+        test('only one or two players can play', () => {
+            expect(() => game.setPlayerCount(3)).toThrow('Unsupported number of players: 3');
+            expect(game.playerCount).toBe(2);
+        });
+    });
+    
+    describe('game flow states', () => {
+        test('starts a game playing', () => {
+            expect(game.state.current).toBe('playing');
+        });
+        
+        test('respawns through its own state', () => {
+            game.handleShipDestruction();
+            expect(game.state.current).toBe('respawning');
+            
+            // Disintegration then the respawn countdown, two seconds each
+            for (let i = 0; i < 5 * 120 && game.state.is('respawning'); i++) {
+                game.step(1 / 120);
+            }
+            
+            expect(game.state.current).toBe('playing');
+            expect(game.ship.visible).toBe(true);
+        });
+        
+        test('moves through a wave transition on simulated time', () => {
+            const lastAsteroid = new Asteroid(100, 100, 'small');
+            game.asteroids = [lastAsteroid];
+            
+            game.handleAsteroidDestruction(lastAsteroid);
+            expect(game.state.current).toBe('waveTransition');
+            
+            game.updateScheduled(GAME_SETTINGS.WAVE_CREATION_DELAY / 1000);
+            expect(game.state.current).toBe('waveTransition');
+            expect(game.asteroids.length).toBeGreaterThan(0);
+            
+            game.updateScheduled(GAME_SETTINGS.BACKGROUND_BEAT_DELAY / 1000);
+            expect(game.state.current).toBe('playing');
+        });
+        
+        test('a life lost during a wave transition respawns once the wave starts', () => {
+            const lastAsteroid = new Asteroid(100, 100, 'small');
+            game.asteroids = [lastAsteroid];
+            game.handleAsteroidDestruction(lastAsteroid);
+            
+            game.handleShipDestruction();
+            expect(game.state.current).toBe('waveTransition');
+            
+            game.updateScheduled(GAME_SETTINGS.WAVE_CREATION_DELAY / 1000);
+            game.updateScheduled(GAME_SETTINGS.BACKGROUND_BEAT_DELAY / 1000);
+            expect(game.state.current).toBe('respawning');
+            expect(game.wave).toBe(2);
+        });
+        
+        test('losing the last life during a wave transition cancels the next wave', () => {
+            const lastAsteroid = new Asteroid(100, 100, 'small');
+            game.asteroids = [lastAsteroid];
+            game.handleAsteroidDestruction(lastAsteroid);
+            game.lives = 1;
+            
+            game.handleShipDestruction();
+            game.updateScheduled(GAME_SETTINGS.GAME_OVER_DELAY / 1000);
+            
+            expect(game.state.current).toBe('gameOver');
+            expect(game.gameOver).toBe(true);
+            expect(game.asteroids).toHaveLength(0);
+        });
+        
+        test('pausing holds the state underneath and its timers', () => {
+            game.lives = 1;
+            game.handleShipDestruction();
+            
+            game.pause();
+            game.updateScheduled(GAME_SETTINGS.GAME_OVER_DELAY / 1000);
+            expect(game.state.current).toBe('paused');
+            expect(game.gameOverPending).toBe(true);
+            
+            game.resume();
+            expect(game.paused).toBe(false);
+            game.updateScheduled(GAME_SETTINGS.GAME_OVER_DELAY / 1000);
+            expect(game.gameOver).toBe(true);
+        });
+        
+        test('rejects transitions the flow does not allow', () => {
+            expect(() => game.state.transition('attract')).toThrow('Invalid state transition: playing -> attract');
+        });
+        
+        test('attract screens have their own state', async () => {
+            await game.startAttractMode();
+            expect(game.state.current).toBe('attract');
+            
+            game.showAttractPhase(2);
+            expect(game.state.current).toBe('playing');
+        });
+    });
+
+    describe('pause menu', () => {
+        test('pause and resume keys toggle the menu', () => {
+            game.pause();
+            expect(game.state.current).toBe('paused');
+            
+            game.handleMenuKey('p', 'KeyP');
+            expect(game.paused).toBe(false);
+            
+            game.pause();
+            game.handleMenuKey('Escape');
+            expect(game.paused).toBe(false);
+        });
+        
+        test('the simulation holds still while paused', () => {
+            const frameSpy = jest.spyOn(window, 'requestAnimationFrame').mockImplementation(() => 1);
+            const nowSpy = jest.spyOn(performance, 'now').mockReturnValue(game.lastTime + 100);
+            game.pause();
+            
+            try {
+                game.gameLoop();
+            } finally {
+                frameSpy.mockRestore();
+                nowSpy.mockRestore();
+            }
+            
+            expect(game.tick).toBe(0);
+            expect(mockContext.setTransform).toHaveBeenCalled();
+        });
+        
+        test('draws the menu over the frozen frame', () => {
+            game.pause();
+            game.handleMenuKey('ArrowDown');
+            game.render();
+            
+            expect(mockContext.fillText).toHaveBeenCalledWith('PAUSED', 512, 768 / 3);
+            expect(mockContext.fillText).toHaveBeenCalledWith('RESUME', 512, 768 / 3 + 80);
+            expect(mockContext.fillText).toHaveBeenCalledWith('> RESTART <', 512, 768 / 3 + 124);
+        });
+        
+        test('restart starts a fresh game', () => {
+            for (let i = 0; i < 60; i++) {
+                game.step(1 / 120);
+            }
+            game.addScore(500);
             
-            expect(clearTimeoutSpy).toHaveBeenCalled();
-            expect(game.gameOverTimer).toBeNull();
+            game.pause();
+            game.handleMenuKey('ArrowDown');
+            game.handleMenuKey('Enter');
+            
+            expect(game.paused).toBe(false);
+            expect(game.score).toBe(0);
+            expect(game.tick).toBe(0);
+        });
+        
+        test('settings change the render style and back out to the menu', () => {
+            game.pause();
+            game.handleMenuKey('ArrowUp');
+            game.handleMenuKey('ArrowUp');
+            game.handleMenuKey('Enter');
+            expect(game.state.current).toBe('settings');
+            expect(game.paused).toBe(true);
+            
+            // Down to the render style
+            game.handleMenuKey('ArrowDown');
+            game.handleMenuKey('ArrowDown');
+            game.handleMenuKey('ArrowDown');
+            game.handleMenuKey('ArrowRight');
+            expect(game.renderStyle.name).toBe('vector');
+            
+            game.handleMenuKey('Escape');
+            expect(game.state.current).toBe('paused');
+        });
+        
+        test('quit returns to the title screen', async () => {
+            game.pause();
+            game.state.data.menu.selected = 3;
+            game.handleMenuKey('Enter');
+            await Promise.resolve();
+            
+            expect(game.paused).toBe(false);
+            expect(game.attract.phase).toBe('title');
+        });
+        
+        test('pauses when the window loses focus', () => {
+            window.dispatchEvent(new Event('blur'));
+            
+            expect(game.paused).toBe(true);
+        });
+        
+        test('pauses when the page is hidden', () => {
+            Object.defineProperty(document, 'hidden', { configurable: true, get: () => true });
+            try {
+                document.dispatchEvent(new Event('visibilitychange'));
+            } finally {
+                delete document.hidden;
+            }
+            
+            expect(game.paused).toBe(true);
+        });
+        
+        test('does not pause screens that wait for input anyway', async () => {
+            await game.startAttractMode();
+            expect(game.canPause()).toBe(false);
+            
+            await game.reset();
+            game.startInitialsEntry();
+            expect(game.canPause()).toBe(false);
+        });
+    });
+    
+    describe('player settings', () => {
+        test('volume changes reach the running audio', () => {
+            game.playerSettings.set('beatVolume', 0.5);
+            
+            expect(game.audio.volumes.beat).toBe(0.5);
+            expect(game.audio.pools.beat1[0].gainNode.gain.value).toBeCloseTo(0.25);
+        });
+        
+        test('a new game keeps the saved volumes', async () => {
+            game.playerSettings.set('masterVolume', 0.3);
+            
+            await game.reset();
+            
+            expect(game.audio.volumes.master).toBe(0.3);
+        });
+        
+        test('key bindings apply straight away', () => {
+            game.playerSettings.set('bindings', WASD_BINDINGS);
+            
+            expect(game.keyboard.getAction('KeyW')).toBe('up');
+            expect(game.keyboard.getAction('ArrowUp')).toBeNull();
+        });
+        
+        test('lives and difficulty apply to the running game and ship', () => {
+            game.playerSettings.set('startingLives', 5);
+            game.playerSettings.set('difficulty', 'easy');
+            
+            expect(game.lives).toBe(5);
+            expect(game.settings.SAUCER_SPAWN_INTERVAL).toBe(30);
+            expect(game.ship.hyperspaceFailureChance).toBe(0.05);
+            
+            game.playerSettings.set('startingLives', 1);
+            expect(game.lives).toBe(1);
+        });
+        
+        test('the next game starts with the new rules', async () => {
+            game.playerSettings.set('startingLives', 5);
+            game.playerSettings.set('difficulty', 'easy');
+            
+            await game.reset();
+            
+            expect(game.lives).toBe(5);
+            expect(game.getReplay().settings).toEqual({ ...game.gameplaySettings });
+            expect(game.getReplay().settingChanges).toBeUndefined();
+        });
+        
+        test('rules changed part way through play back on the same tick', async () => {
+            for (let i = 0; i < 10; i++) {
+                game.step(1 / 120);
+            }
+            game.playerSettings.set('difficulty', 'hard');
+            game.step(1 / 120);
+            const replay = game.getReplay();
+            expect(replay.settings).toEqual({});
+            expect(replay.settingChanges).toEqual([{ tick: 10, settings: DIFFICULTIES.hard }]);
+            
+            // Changing the settings while watching leaves the replay's rules alone
+            game.playerSettings.set('difficulty', 'normal');
+            await game.startReplay(replay);
+            game.playerSettings.set('difficulty', 'easy');
+            for (let i = 0; i < 10; i++) {
+                game.step(1 / 120);
+            }
+            expect(game.settings.SAUCER_SPAWN_INTERVAL).toBe(game.baseSettings.SAUCER_SPAWN_INTERVAL);
+            
+            game.step(1 / 120);
+            expect(game.settings.SAUCER_SPAWN_INTERVAL).toBe(DIFFICULTIES.hard.SAUCER_SPAWN_INTERVAL);
+        });
+        
+        test('replays play back with the rules they were recorded with', async () => {
+            const replay = { ...game.getReplay(), settings: { INITIAL_LIVES: 1 } };
+            
+            await game.startReplay(replay);
+            
+            expect(game.lives).toBe(1);
+        });
+        
+        test('games with custom rules stay off the leaderboard', async () => {
+            game.leaderboard = { submitScore: jest.fn() };
+            game.playerSettings.set('difficulty', 'hard');
+            await game.reset();
+            
+            expect(await game.submitToLeaderboard('ACE')).toBeNull();
+            expect(game.leaderboard.submitScore).not.toHaveBeenCalled();
+        });
+        
+        test('explosions shake the screen unless it is turned off', () => {
+            game.handleShipDestruction();
+            game.render();
+            expect(mockContext.translate).toHaveBeenCalledWith(expect.any(Number), expect.any(Number));
+            expect(game.shake).toBe(10);
+            
+            game.playerSettings.set('screenShake', false);
+            expect(game.getShakeOffset()).toEqual({ x: 0, y: 0 });
+        });
+        
+        test('screen shake dies away', () => {
+            game.addShake(6);
+            
+            game.step(0.1);
+            expect(game.shake).toBeCloseTo(3);
+            game.step(0.1);
+            expect(game.shake).toBe(0);
+        });
+        
+        test('long menus move up to stay on screen', () => {
+            game.openSettings();
+            game.render();
+            
+            const menu = game.state.data.menu;
+            const top = 768 - menu.height - 48;
+            expect(top).toBeLessThan(768 / 3);
+            expect(mockContext.fillText).toHaveBeenCalledWith('SETTINGS', 512, top);
+        });
+        
+        test('settings open from the title screen hold attract mode', async () => {
+            await game.startAttractMode();
+            game.openSettings();
+            expect(game.isMenuOpen()).toBe(true);
+            expect(game.canPause()).toBe(false);
+            
+            game.handleMenuKey('Escape');
+            expect(game.state.current).toBe('attract');
+        });
+    });
+    
+    describe('key binding editor', () => {
+        const bindings = () => game.playerSettings.get('bindings');
+        
+        beforeEach(() => {
+            game.pause();
+            game.openSettings();
+            game.openControls();
+        });
+        
+        test('lists every action with its keys', () => {
+            const menu = game.state.data.menu;
+            
+            expect(menu.getText(menu.items[2])).toBe('THRUST: UP');
+            expect(menu.getText(menu.items[5])).toBe('PAUSE: P');
+        });
+        
+        test('captures a new key for the selected action', () => {
+            game.handleMenuKey('ArrowDown');
+            game.handleMenuKey('ArrowDown');
+            game.handleMenuKey('Enter');
+            expect(game.state.data.menu.hint).toBe('PRESS A KEY FOR THRUST, ESCAPE TO CANCEL');
+            
+            game.handleMenuKey('w', 'KeyW');
+            
+            expect(bindings().up).toEqual(['ArrowUp', 'KeyW']);
+            expect(game.keyboard.getAction('KeyW')).toBe('up');
+            expect(game.state.data.capture).toBeNull();
+        });
+        
+        test('keeps the newest keys when an action is full', () => {
+            game.startCapture('up');
+            game.handleMenuKey('w', 'KeyW');
+            game.startCapture('up');
+            game.handleMenuKey('i', 'KeyI');
+            
+            expect(bindings().up).toEqual(['KeyW', 'KeyI']);
+        });
+        
+        test('escape cancels a capture without leaving the menu', () => {
+            game.startCapture('space');
+            game.handleMenuKey('Escape', 'Escape');
+            
+            expect(bindings().space).toEqual(['Space']);
+            expect(game.state.current).toBe('controls');
+            expect(game.state.data.capture).toBeNull();
+        });
+        
+        test('a key used by another action has to be pressed twice to move it', () => {
+            game.startCapture('space');
+            game.handleMenuKey('ArrowUp', 'ArrowUp');
+            expect(bindings().up).toEqual(['ArrowUp']);
+            expect(game.state.data.menu.hint).toBe('UP IS USED FOR THRUST, PRESS AGAIN TO MOVE IT');
+            
+            game.handleMenuKey('ArrowUp', 'ArrowUp');
+            
+            expect(bindings().space).toEqual(['Space', 'ArrowUp']);
+            expect(bindings().up).toEqual([]);
+        });
+        
+        test('backspace restores the default keys of the selected action', () => {
+            game.startCapture('space');
+            game.handleMenuKey('ArrowUp', 'ArrowUp');
+            game.handleMenuKey('ArrowUp', 'ArrowUp');
+            
+            game.state.data.menu.selected = 2;
+            game.handleMenuKey('Backspace', 'Backspace');
+            
+            expect(bindings().up).toEqual(['ArrowUp']);
+            expect(bindings().space).toEqual(['Space']);
+        });
+        
+        test('reset puts every default back', () => {
+            game.playerSettings.set('bindings', WASD_BINDINGS);
+            game.state.data.menu.selected = 6;
+            game.handleMenuKey('Enter');
+            
+            expect(bindings().left).toEqual(['ArrowLeft']);
+        });
+        
+        test('escape backs out to the settings', () => {
+            game.handleMenuKey('Escape', 'Escape');
+            expect(game.state.current).toBe('settings');
+            
+            game.handleMenuKey('Escape', 'Escape');
+            expect(game.state.current).toBe('paused');
+        });
+        
+        test('bindings are kept between sessions', () => {
+            game.startCapture('hyperspace');
+            game.handleMenuKey('Shift', 'ShiftLeft');
+            
+            const nextSession = new Game(canvas, true);
+            expect(nextSession.playerSettings.get('bindings').hyperspace).toEqual(['ArrowDown', 'ShiftLeft']);
+        });
+    });
+    
+    describe('input sources', () => {
+        beforeEach(() => {
+            game.input = game.playerInput;
+        });
+        
+        test('each shot takes a fresh press of fire', () => {
+            game.input = playKeys();
+            game.asteroids = [];
+            keys.space = true;
+            for (let i = 0; i < 60; i++) {
+                game.step(1 / 120);
+            }
+            expect(game.bullets).toHaveLength(1);
+            
+            keys.space = false;
+            game.step(1 / 120);
+            keys.space = true;
+            game.step(1 / 120);
+            expect(game.bullets).toHaveLength(2);
+        });
+        
+        test('plays with the keyboard and gamepads at once', () => {
+            expect(game.playerInput.sources).toEqual([game.keyboard, game.gamepad]);
+        });
+        
+        test('init attaches the player input only once', () => {
+            game.init();
+            game.init();
+            game.keyboard.onKeyDown(new KeyboardEvent('keydown', { code: 'Space' }));
+            
+            const listen = jest.spyOn(window, 'removeEventListener');
+            game.init();
+            
+            expect(listen).toHaveBeenCalledWith('keydown', game.keyboard.onKeyDown);
+            expect(game.keyboard.poll().space).toBeFalsy();
+            listen.mockRestore();
+        });
+        
+        test('destroy removes the page listeners and detaches the input', () => {
+            const pause = jest.spyOn(game, 'pause');
+            
+            game.destroy();
+            window.dispatchEvent(new Event('blur'));
+            
+            expect(pause).not.toHaveBeenCalled();
+            expect(game.keyboard.attached).toBe(false);
+            expect(game.gamepad.attached).toBe(false);
+        });
+        
+        test('pausing lets go of held keys', () => {
+            game.keyboard.onKeyDown(new KeyboardEvent('keydown', { code: 'ArrowUp' }));
+            
+            game.pause();
+            
+            expect(game.keyboard.poll().up).toBeFalsy();
+        });
+        
+        test('a game can be played from any input source', () => {
+            const input = new ScriptedInputSource(() => ({ up: true }));
+            const scripted = new Game(canvas, true, { input });
+            
+            scripted.step(1 / 120);
+            
+            expect(scripted.ship.thrust).toBe(true);
+            expect(scripted.getReplay().frames[0][0]).not.toBe(0);
+            scripted.destroy();
+        });
+    });
+    
+    describe('gamepads', () => {
+        test('start pauses and the d-pad and A work the menu', () => {
+            game.handleGamepadButton(9);
+            expect(game.paused).toBe(true);
+            
+            game.handleGamepadButton(13);
+            game.handleGamepadButton(13);
+            game.handleGamepadButton(0);
+            expect(game.state.current).toBe('settings');
+            
+            game.handleGamepadButton(1);
+            game.handleGamepadButton(9);
+            expect(game.paused).toBe(false);
+        });
+        
+        test('presses are read every frame', () => {
+            const frameSpy = jest.spyOn(window, 'requestAnimationFrame').mockImplementation(() => 1);
+            jest.spyOn(game.gamepad, 'pollButtons').mockReturnValueOnce([9]);
+            
+            try {
+                game.gameLoop();
+            } finally {
+                frameSpy.mockRestore();
+            }
+            
+            expect(game.paused).toBe(true);
+        });
+        
+        test('B is hyperspace rather than pause during play', () => {
+            game.handleGamepadButton(1);
+            
+            expect(game.paused).toBe(false);
+        });
+        
+        test('a button cancels waiting for a key to bind', () => {
+            game.pause();
+            game.openSettings();
+            game.openControls();
+            game.startCapture('up');
+            
+            game.handleGamepadButton(0);
+            
+            expect(game.state.data.capture).toBeNull();
+            expect(game.playerSettings.get('bindings').up).toEqual(['ArrowUp']);
+        });
+        
+        test('any button starts a game from the title screen', async () => {
+            await game.startAttractMode();
+            
+            await game.handleGamepadButton(0);
+            
+            expect(game.attract).toBeNull();
+        });
+        
+        test('rumbles when the ship is lost and for large explosions', () => {
+            const rumble = jest.spyOn(game.input, 'rumble');
+            game.handleShipDestruction();
+            expect(rumble).toHaveBeenCalledWith(1, 400);
+            
+            rumble.mockClear();
+            game.handleAsteroidDestruction(game.asteroids[0]);
+            expect(rumble).toHaveBeenCalledWith(0.5, 200);
+            
+            rumble.mockClear();
+            const small = game.asteroids.find(asteroid => asteroid.size === 'medium');
+            game.handleAsteroidDestruction(small);
+            expect(rumble).not.toHaveBeenCalled();
+        });
+        
+        test('replays and demos do not rumble', async () => {
+            const rumble = jest.spyOn(game.input, 'rumble');
+            await game.startReplay(game.getReplay());
+            game.handleShipDestruction();
+            
+            expect(rumble).not.toHaveBeenCalled();
+        });
+    });
+    
+    describe('touch screens', () => {
+        // The test canvas shows the 1024 x 768 world at 800 x 600
+        const scale = 800 / 1024;
+        
+        test('tapping a menu item chooses it', () => {
+            game.pause();
+            const top = game.getMenuTop(game.state.data.menu);
+            
+            // SETTINGS is the third item
+            game.handleMenuTap(400, (top + 80 + 2 * 44 - 10) * scale);
+            
+            expect(game.state.current).toBe('settings');
+        });
+        
+        test('tapping beside the items does nothing', () => {
+            game.pause();
+            
+            game.handleMenuTap(400, 5);
+            
+            expect(game.state.current).toBe('paused');
+        });
+        
+        test('initials are picked by tapping the arrows around each letter', () => {
+            game.touchControls = { setVisible: jest.fn() };
+            game.score = 500;
+            game.startInitialsEntry(0);
+            const tap = (index, y) => window.dispatchEvent(new MouseEvent('click', {
+                clientX: game.getInitialsX(index) * scale,
+                clientY: (384 + y) * scale
+            }));
+            
+            tap(1, -25);
+            tap(1, -25);
+            tap(2, 70);
+            expect(game.initialsEntry.letters).toEqual(['A', 'C', 'Z']);
+            game.renderInitialsEntry();
+            expect(game.context.fillText).toHaveBeenCalledWith('OK', game.getInitialsX(3), 412);
+            
+            // Taps away from the letters are ignored, OK confirms
+            tap(1, -200);
+            tap(3, 20);
+            expect(game.initialsEntry).toBeNull();
+            expect(game.highScores.entries).toEqual([{ initials: 'ACZ', score: 500 }]);
+        });
+        
+        test('the controls show only while there is a ship to fly', () => {
+            const frameSpy = jest.spyOn(window, 'requestAnimationFrame').mockImplementation(() => 1);
+            game.touchControls = { setVisible: jest.fn() };
+            
+            try {
+                game.gameLoop();
+                expect(game.touchControls.setVisible).toHaveBeenLastCalledWith(true);
+                
+                game.pause();
+                game.gameLoop();
+                expect(game.touchControls.setVisible).toHaveBeenLastCalledWith(false);
+            } finally {
+                frameSpy.mockRestore();
+            }
+        });
+        
+        test('the layout setting reaches the controls', () => {
+            game.touchControls = { setLayout: jest.fn() };
+            
+            game.playerSettings.set('touchLayout', 'joystick');
+            
+            expect(game.touchControls.setLayout).toHaveBeenCalledWith('joystick');
+        });
+    });
+    
+    describe('saucers', () => {
+        beforeEach(() => {
+            jest.useFakeTimers();
+            game.asteroids = [];
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        test('spawns a saucer after the spawn interval', () => {
+            const playSaucerSpy = jest.spyOn(game.audio, 'playSaucerSound');
+            game.saucerSpawnTimer = 0.01;
+
+            game.updateSaucers(0.02);
+
+            expect(game.saucers.length).toBe(1);
+            expect(playSaucerSpy).toHaveBeenCalledWith(game.saucers[0].size);
+        });
+
+        test('only spawns small saucers at high scores', () => {
+            game.score = 40000;
+            expect(game.chooseSaucerSize()).toBe('small');
+        });
+
+        test('saucer accuracy increases with wave and score', () => {
+            const initialAccuracy = game.getSaucerAccuracy();
+
+            game.wave = 3;
+            const laterWaveAccuracy = game.getSaucerAccuracy();
+            game.score = 20000;
+            const higherScoreAccuracy = game.getSaucerAccuracy();
+
+            expect(laterWaveAccuracy).toBeGreaterThan(initialAccuracy);
+            expect(higherScoreAccuracy).toBeGreaterThan(laterWaveAccuracy);
+            game.score = 1000000;
+            expect(game.getSaucerAccuracy()).toBe(1);
+        });
+
+        test('fires saucer bullets during play', () => {
+            const saucer = new Saucer(100, 100, 'small', 1);
+            saucer.shootTimer = 0;
+            game.saucers = [saucer];
+
+            game.updateSaucers(0.016);
+
+            expect(game.bullets.some(bullet => bullet.owner === 'saucer')).toBe(true);
+        });
+
+        test('player bullet destroys saucer and awards points', () => {
+            const stopSaucerSpy = jest.spyOn(game.audio, 'stopSaucerSound');
+            const saucer = new Saucer(100, 100, 'small', 1);
+            game.saucers = [saucer];
+            game.bullets = [new Bullet(100, 100, 0, 0)];
+            game.score = 0;
+
+            game.checkCollisions();
+
+            expect(game.saucers.length).toBe(0);
+            expect(game.score).toBe(1000);
+            expect(game.bullets[0].isDead).toBe(true);
+            expect(stopSaucerSpy).toHaveBeenCalled();
+        });
+
+        test('saucer bullets do not destroy saucers', () => {
+            game.saucers = [new Saucer(100, 100, 'large', 1)];
+            game.bullets = [new Bullet(100, 100, 0, 0, 'saucer')];
+
+            game.checkCollisions();
+
+            expect(game.saucers.length).toBe(1);
+        });
+
+        test('saucer bullet kills the ship', () => {
+            const initialLives = game.lives;
+            game.ship.isInvulnerable = false;
+            game.bullets = [new Bullet(game.ship.x, game.ship.y, 0, 0, 'saucer')];
+
+            game.checkCollisions();
+
+            expect(game.lives).toBe(initialLives - 1);
+            expect(game.ship.isDisintegrating).toBe(true);
+        });
+
+        test('saucer bullet destroys asteroids without scoring', () => {
+            const asteroid = new Asteroid(300, 300, 'large');
+            game.asteroids = [asteroid];
+            game.bullets = [new Bullet(300, 300, 0, 0, 'saucer')];
+            game.score = 0;
+
+            game.checkCollisions();
+
+            expect(game.asteroids).not.toContain(asteroid);
+            expect(game.score).toBe(0);
+        });
+
+        test('ship colliding with saucer destroys both', () => {
+            const initialLives = game.lives;
+            game.ship.isInvulnerable = false;
+            game.saucers = [new Saucer(game.ship.x, game.ship.y, 'large', 1)];
+
+            game.checkCollisions();
+
+            expect(game.lives).toBe(initialLives - 1);
+            expect(game.saucers.length).toBe(0);
+        });
+
+        test('removes saucers when the game is over', () => {
+            game.lives = 1;
+            game.ship.isInvulnerable = false;
+            game.saucers = [new Saucer(100, 100, 'large', 1)];
+            game.bullets = [new Bullet(game.ship.x, game.ship.y, 0, 0, 'saucer')];
+
+            game.checkCollisions();
+            game.updateScheduled(GAME_SETTINGS.GAME_OVER_DELAY / 1000);
+
+            expect(game.gameOver).toBe(true);
+            expect(game.saucers.length).toBe(0);
+        });
+    });
+
+    describe('asteroid physics', () => {
+        const createStillAsteroid = (x, y, vx) => {
+            const asteroid = new Asteroid(x, y, 'medium');
+            asteroid.velocity = { x: vx, y: 0 };
+            return asteroid;
+        };
+
+        test('asteroids pass through each other by default', () => {
+            game.asteroids = [createStillAsteroid(400, 300, 50), createStillAsteroid(435, 300, -50)];
+
+            game.updateAsteroids(1 / 120);
+
+            expect(game.asteroids[0].velocity.x).toBe(50);
+            expect(game.asteroids[1].velocity.x).toBe(-50);
+        });
+
+        test('asteroids bounce off each other when physics is enabled', () => {
+            game.settings.ASTEROID_PHYSICS = true;
+            game.asteroids = [createStillAsteroid(400, 300, 50), createStillAsteroid(435, 300, -50)];
+
+            game.updateAsteroids(1 / 120);
+
+            expect(game.asteroids[0].velocity.x).toBeCloseTo(-50);
+            expect(game.asteroids[1].velocity.x).toBeCloseTo(50);
+        });
+
+        test('split fragments are pushed apart when physics is enabled', () => {
+            game.settings.ASTEROID_PHYSICS = true;
+            const asteroid = new Asteroid(400, 300, 'large');
+            game.asteroids = [asteroid];
+
+            game.handleAsteroidDestruction(asteroid);
+
+            const [first, second] = game.asteroids;
+            expect(Math.hypot(second.x - first.x, second.y - first.y)).toBeCloseTo(first.radius + second.radius);
+        });
+
+        test('split fragments overlap by default', () => {
+            const asteroid = new Asteroid(400, 300, 'large');
+            game.asteroids = [asteroid];
+
+            game.handleAsteroidDestruction(asteroid);
+
+            expect(game.asteroids.every(fragment => fragment.x === 400 && fragment.y === 300)).toBe(true);
+        });
+    });
+
+    describe('particle effects', () => {
+        test('destroying an asteroid sets off an explosion', () => {
+            const asteroid = new Asteroid(400, 300, 'large');
+            game.asteroids = [asteroid];
+
+            game.handleAsteroidDestruction(asteroid);
+
+            expect(game.particles.count).toBeGreaterThan(0);
+        });
+
+        test('thrusting leaves an exhaust trail', () => {
+            game.particles.clear();
+
+            for (let i = 0; i < 30; i++) {
+                game.updateShip(1 / 120, { up: true });
+            }
+
+            expect(game.particles.count).toBeGreaterThan(0);
+        });
+
+        test('bullet hits throw sparks and ship deaths leave debris', () => {
+            game.particles.clear();
+            const asteroid = new Asteroid(300, 300, 'small');
+            game.asteroids = [asteroid];
+            game.bullets = [new Bullet(300, 300, 500, 0)];
+            game.ship.x = 100;
+            game.ship.y = 100;
+            const sparkSpy = jest.spyOn(game.particles, 'emitSparks');
+            const debrisSpy = jest.spyOn(game.particles, 'emitDebris');
+
+            game.checkCollisions();
+            game.handleShipDestruction();
+
+            expect(sparkSpy).toHaveBeenCalledWith(300, 300, { x: 500, y: 0 });
+            expect(debrisSpy).toHaveBeenCalledWith(game.ship);
+        });
+
+        test('effects do not use the gameplay random generator', () => {
+            const expected = new Random(game.seed);
+            game.random = new Random(game.seed);
+
+            game.particles.emitExplosion(400, 300, 'large', { x: 0, y: 0 });
+            game.particles.update(1 / 120, 800, 600);
+
+            expect(game.random.next()).toBe(expected.next());
+        });
+
+        test('particles are cleared for a new game', () => {
+            game.particles.emitDebris(game.ship);
+
+            game.resetState(1);
+
+            expect(game.particles.count).toBe(0);
+        });
+    });
+
+    describe('render styles', () => {
+        test('uses the flat style by default', () => {
+            expect(game.renderStyle.name).toBe('flat');
+        });
+
+        test('switches style at runtime without touching entities', () => {
+            const asteroidRender = jest.spyOn(game.asteroids[0], 'render');
+
+            game.setRenderStyle('vector');
+            game.renderStyle.bloom = false;
+            const drawSpy = jest.spyOn(game.renderStyle, 'draw');
+            game.render();
+
+            expect(game.renderStyle.name).toBe('vector');
+            expect(game.settings.RENDER_STYLE).toBe('vector');
+            expect(drawSpy).toHaveBeenCalled();
+            expect(asteroidRender).toHaveBeenCalledWith(mockContext);
+        });
+
+        test('bullets are drawn through the style so they can flicker', () => {
+            game.bullets = [new Bullet(100, 100, 0, 0)];
+            const bulletSpy = jest.spyOn(game.renderStyle, 'drawBullet');
+
+            game.render();
+
+            expect(bulletSpy).toHaveBeenCalledTimes(1);
+        });
+
+        test('rejects unknown styles', () => {
+            expect(() => game.setRenderStyle('hologram')).toThrow('Unknown render style: hologram');
+            expect(game.renderStyle.name).toBe('flat');
+        });
+    });
+
+    describe('fixed timestep simulation', () => {
+        const STEP = 1 / 120;
+
+        test('runs whole fixed steps and carries the remainder', () => {
+            const stepSpy = jest.spyOn(game, 'step');
+
+            const steps = game.advance(STEP * 2.5);
+
+            expect(steps).toBe(2);
+            expect(stepSpy).toHaveBeenCalledTimes(2);
+            stepSpy.mock.calls.forEach(([deltaTime]) => expect(deltaTime).toBe(STEP));
+            expect(game.accumulator).toBeCloseTo(STEP * 0.5);
+            expect(game.tick).toBe(2);
+        });
+
+        test('clamps very long frames', () => {
+            // A five second gap, e.g. after switching tabs, only simulates a quarter second
+            const steps = game.advance(5);
+
+            expect(steps).toBe(30);
+        });
+
+        test('simulation is identical at different frame rates', () => {
+            keys.up = true;
+            keys.left = true;
+            const slow = new Game(canvas, true, { input: playKeys(), seed: 7 });
+            const fast = new Game(canvas, true, { input: playKeys(), seed: 7 });
+
+            // One second at 60Hz versus one second at 144Hz
+            for (let i = 0; i < 60; i++) slow.advance(1 / 60);
+            for (let i = 0; i < 144; i++) fast.advance(1 / 144);
+
+            // Floating point remainders may leave one game a step behind
+            while (slow.tick < fast.tick) slow.step(STEP);
+            while (fast.tick < slow.tick) fast.step(STEP);
+            keys.up = false;
+            keys.left = false;
+
+            expect(fast.ship.x).toBe(slow.ship.x);
+            expect(fast.ship.y).toBe(slow.ship.y);
+            expect(fast.ship.angle).toBe(slow.ship.angle);
+            expect(fast.asteroids.map(a => [a.x, a.y])).toEqual(slow.asteroids.map(a => [a.x, a.y]));
+        });
+
+        test('renders objects between their previous and current positions', () => {
+            const asteroid = game.asteroids[0];
+            asteroid.velocity = { x: 120, y: 0 };
+            asteroid.x = 400;
+            asteroid.y = 300;
+            game.step(STEP);
+
+            let renderedX;
+            jest.spyOn(asteroid, 'render').mockImplementation(function () {
+                renderedX = this.x;
+            });
+            game.render(0.5);
+
+            expect(renderedX).toBeCloseTo(400.5);
+            expect(asteroid.x).toBeCloseTo(401);  // Simulated position is untouched
+        });
+
+        test('does not interpolate objects that wrapped around the screen', () => {
+            const asteroid = game.asteroids[0];
+            asteroid.previousX = game.world.width - 1;
+            asteroid.previousY = 300;
+            asteroid.x = 1;
+            asteroid.y = 300;
+
+            let renderedX;
+            jest.spyOn(asteroid, 'render').mockImplementation(function () {
+                renderedX = this.x;
+            });
+            game.render(0.5);
+
+            expect(renderedX).toBe(1);
+        });
+    });
+
+    describe('replays', () => {
+        const STEP = 1 / 120;
+
+        // Play a short scripted game, changing keys every 30 ticks
+        const playScriptedGame = (target, ticks) => {
+            const script = [
+                { up: true },
+                { up: true, left: true, space: true },
+                { right: true, space: true },
+                { space: true },
+                {}
+            ];
+            for (let i = 0; i < ticks; i++) {
+                const pressed = script[Math.floor(i / 30) % script.length];
+                ['left', 'right', 'up', 'space', 'hyperspace'].forEach(action => {
+                    keys[action] = !!pressed[action];
+                });
+                target.step(STEP);
+            }
+            ['left', 'right', 'up', 'space', 'hyperspace'].forEach(action => {
+                keys[action] = false;
+            });
+        };
+
+        const snapshot = g => ({
+            tick: g.tick,
+            score: g.score,
+            lives: g.lives,
+            ship: [g.ship.x, g.ship.y, g.ship.angle],
+            bullets: g.bullets.map(b => [b.x, b.y]),
+            asteroids: g.asteroids.map(a => [a.x, a.y, a.size])
+        });
+
+        test('records the seed and every tick of input', () => {
+            const recorded = new Game(canvas, true, { input: playKeys(), seed: 321 });
+            playScriptedGame(recorded, 90);
+
+            const replay = recorded.getReplay();
+
+            expect(replay.seed).toBe(321);
+            expect(replay.tickCount).toBe(90);
+            expect(replay.frames.length).toBe(3);
+        });
+
+        test('plays back a recording to reproduce the exact run', async () => {
+            const recorded = new Game(canvas, true, { input: playKeys(), seed: 321 });
+            playScriptedGame(recorded, 600);
+            const expected = snapshot(recorded);
+
+            const playback = new Game(canvas, true);
+            await playback.startReplay(recorded.getReplay());
+            while (playback.isSimulationRunning()) {
+                playback.step(STEP);
+            }
+
+            expect(playback.seed).toBe(321);
+            expect(playback.replay.player.isFinished).toBe(true);
+            expect(snapshot(playback)).toEqual(expected);
+        });
+
+        test('plays back on the playfield the replay was recorded on', async () => {
+            const recorded = new Game(canvas, true, { input: playKeys(), seed: 8, world: { width: 800, height: 600 } });
+            playScriptedGame(recorded, 30);
+            const replay = recorded.getReplay();
+            expect(replay.width).toBe(800);
+
+            await game.startReplay(replay);
+            expect(game.world).toEqual({ width: 800, height: 600 });
+            expect(game.ship.x).toBe(400);
+
+            await game.stopReplay();
+            expect(game.world).toEqual(WORLD_SIZE);
+        });
+
+        test('does not record live input during playback', async () => {
+            const recorded = new Game(canvas, true, { input: playKeys(), seed: 5 });
+            playScriptedGame(recorded, 30);
+            await game.startReplay(recorded.getReplay());
+
+            keys.space = true;
+            game.step(STEP);
+            keys.space = false;
+
+            expect(game.recorder.tickCount).toBe(0);
+            expect(game.bullets.length).toBe(0);
+        });
+
+        test('seeks forwards and backwards to the same state', async () => {
+            const recorded = new Game(canvas, true, { input: playKeys(), seed: 99 });
+            playScriptedGame(recorded, 120);
+            const settingChanges = [{ tick: 60, settings: { ...DIFFICULTIES.hard, INITIAL_LIVES: 5 } }];
+            await game.startReplay({ ...recorded.getReplay(), settingChanges });
+
+            game.seekReplay(120);
+            const atEnd = snapshot(game);
+            expect(atEnd.lives).toBe(5);
+
+            // Going back before the change puts back the rules the replay started with
+            game.seekReplay(30);
+            expect(game.tick).toBe(30);
+            expect(game.lives).toBe(3);
+            expect(game.settings.SAUCER_SPAWN_INTERVAL).toBe(game.baseSettings.SAUCER_SPAWN_INTERVAL);
+            expect(game.ship.hyperspaceFailureChance).toBe(game.baseSettings.HYPERSPACE_FAILURE_CHANCE);
+
+            game.seekReplay(120);
+            expect(snapshot(game)).toEqual(atEnd);
+        });
+
+        test('changes speed within the supported range', async () => {
+            await game.startReplay(new Game(canvas, true).getReplay());
+
+            game.changeReplaySpeed(1);
+            expect(game.getTimeScale()).toBe(2);
+            game.changeReplaySpeed(1);
+            game.changeReplaySpeed(1);
+            expect(game.getTimeScale()).toBe(4);
+
+            game.setReplaySpeed(0.5);
+            game.changeReplaySpeed(-1);
+            expect(game.getTimeScale()).toBe(0.5);
+        });
+
+        test('pausing stops the simulation', async () => {
+            const recorded = new Game(canvas, true, { input: playKeys(), seed: 3 });
+            playScriptedGame(recorded, 60);
+            await game.startReplay(recorded.getReplay());
+
+            game.toggleReplayPause();
+            expect(game.isSimulationRunning()).toBe(false);
+            game.toggleReplayPause();
+            expect(game.isSimulationRunning()).toBe(true);
+        });
+
+        test('labels the HUD while a replay is playing', async () => {
+            const recorded = new Game(canvas, true, { input: playKeys(), seed: 3 });
+            playScriptedGame(recorded, 60);
+
+            game.renderHUD();
+            expect(mockContext.fillText).not.toHaveBeenCalledWith(expect.stringContaining('REPLAY'), expect.anything(), expect.anything());
+
+            await game.startReplay(recorded.getReplay());
+            game.renderHUD();
+            expect(mockContext.fillText).toHaveBeenCalledWith(expect.stringContaining('REPLAY  1x'), expect.anything(), expect.anything());
+        });
+
+        test('rejects replays recorded at a different tick rate', async () => {
+            const replay = { ...game.getReplay(), tickRate: 60 };
+            await expect(game.startReplay(replay)).rejects.toThrow('ticks per second');
+        });
+
+        test('stopping a replay starts a fresh game', async () => {
+            await game.startReplay(new Game(canvas, true).getReplay());
+            await game.stopReplay();
+
+            expect(game.replay).toBeNull();
+        });
+    });
+
+    describe('watching the bot', () => {
+        test('the bot flies the ship instead of the keyboard', async () => {
+            await game.watchBot('expert');
+            keys.up = true;
+
+            for (let i = 0; i < 120; i++) {
+                game.step(1 / 120);
+            }
+            keys.up = false;
+
+            expect(game.bot.profileName).toBe('expert');
+            expect(game.bullets.length).toBeGreaterThan(0);
+        });
+
+        test('bot games are recorded like any other game', async () => {
+            await game.watchBot('novice');
+            for (let i = 0; i < 60; i++) {
+                game.step(1 / 120);
+            }
+
+            expect(game.getReplay().tickCount).toBe(60);
+        });
+
+        test('unknown profiles leave the current game untouched', async () => {
+            const seed = game.seed;
+
+            await expect(game.watchBot('godlike')).rejects.toThrow('Unknown bot profile');
+            expect(game.seed).toBe(seed);
+            expect(game.bot).toBeNull();
+        });
+
+        test('stopping the bot hands the ship back to the player', async () => {
+            await game.watchBot('expert');
+            await game.stopBot();
+
+            expect(game.bot).toBeNull();
+        });
+
+        test('labels the HUD while the bot is playing', async () => {
+            await game.watchBot('expert');
+            game.renderHUD();
+
+            expect(mockContext.fillText).toHaveBeenCalledWith(
+                'BOT  EXPERT  (Esc to play)', 512, 748
+            );
+        });
+    });
+
+    describe('attract mode', () => {
+        const SCREEN_SECONDS = 8;
+        const DEMO_SECONDS = 30;
+
+        test('starts muted on the title screen with drifting asteroids', async () => {
+            await game.startAttractMode();
+
+            expect(game.attract.phase).toBe('title');
+            expect(game.audio.muted).toBe(true);
+            expect(game.ship.visible).toBe(false);
+            expect(game.asteroids.length).toBeGreaterThan(0);
+        });
+
+        test('title and high score screens only move the asteroids', async () => {
+            await game.startAttractMode();
+            const asteroid = game.asteroids[0];
+            const { x, y } = asteroid;
+            const updateSpy = jest.spyOn(game, 'update');
+            keys.space = true;
+
+            game.step(1 / 120);
+            keys.space = false;
+
+            expect(updateSpy).not.toHaveBeenCalled();
+            expect(game.bullets).toHaveLength(0);
+            expect([asteroid.x, asteroid.y]).not.toEqual([x, y]);
+        });
+
+        test('cycles through the title, high scores and a bot demo', async () => {
+            await game.startAttractMode();
+
+            game.updateScheduled(SCREEN_SECONDS);
+            expect(game.attract.phase).toBe('highScores');
+            expect(game.bot).toBeNull();
+
+            game.updateScheduled(SCREEN_SECONDS);
+            expect(game.attract.phase).toBe('demo');
+            expect(game.bot).not.toBeNull();
+            expect(game.ship.visible).toBe(true);
+
+            game.updateScheduled(DEMO_SECONDS);
+            expect(game.attract.phase).toBe('title');
+            expect(game.audio.muted).toBe(true);
+        });
+
+        test('a lost demo game moves on without showing game over', async () => {
+            await game.startAttractMode();
+            game.showAttractPhase(2);
+            game.lives = 1;
+
+            game.handleShipDestruction();
+            game.updateScheduled(GAME_SETTINGS.GAME_OVER_DELAY / 1000);
+
+            expect(game.attract.phase).toBe('title');
+            expect(game.gameOver).toBe(false);
+            expect(document.getElementById('game-over-screen').classList.contains('visible')).toBe(false);
+        });
+
+        test('demo scores do not count towards the high score', async () => {
+            await game.startAttractMode();
+            game.showAttractPhase(2);
+
+            game.addScore(GAME_SETTINGS.DEFAULT_HIGH_SCORE + 1000);
+
+            expect(game.highScore).toBe(GAME_SETTINGS.DEFAULT_HIGH_SCORE);
+        });
+
+        test('any key hands off to a fresh unmuted game', async () => {
+            await game.startAttractMode();
+            game.showAttractPhase(2);
+
+            window.dispatchEvent(new KeyboardEvent('keydown', { key: 'a' }));
+
+            expect(game.attract).toBeNull();
+            expect(game.bot).toBeNull();
+            expect(game.audio.muted).toBe(false);
+            expect(game.ship.visible).toBe(true);
+            expect(game.score).toBe(0);
+            expect(game.tick).toBe(0);
+        });
+
+        test('a click also starts a game', async () => {
+            await game.startAttractMode();
+
+            window.dispatchEvent(new MouseEvent('click'));
+
+            expect(game.attract).toBeNull();
+        });
+
+        test('shows the high score table and a start prompt', async () => {
+            await game.startAttractMode();
+            game.updateScheduled(SCREEN_SECONDS);
+            game.render();
+
+            expect(mockContext.fillText).toHaveBeenCalledWith('HIGH SCORES', 512, 768 / 5);
+            expect(mockContext.fillText).toHaveBeenCalledWith('PRESS ANY KEY TO PLAY', 512, 748);
+            expect(mockContext.fillText).not.toHaveBeenCalledWith(expect.stringContaining('Player 1'), 20, 30);
+        });
+    });
+
+    describe('seeded randomness', () => {
+        const snapshotAsteroids = g => g.asteroids.map(a => ({
+            x: a.x,
+            y: a.y,
+            velocity: { ...a.velocity },
+            vertices: a.vertices
+        }));
+
+        test('exposes the seed the game was started with', () => {
+            const seededGame = new Game(canvas, true, { seed: 1234 });
+            expect(seededGame.seed).toBe(1234);
+            expect(seededGame.random.seed).toBe(1234);
+        });
+
+        test('same seed reproduces the same asteroid field', () => {
+            const first = new Game(canvas, true, { seed: 99 });
+            const second = new Game(canvas, true, { seed: 99 });
+
+            expect(snapshotAsteroids(second)).toEqual(snapshotAsteroids(first));
+        });
+
+        test('different seeds produce different asteroid fields', () => {
+            const first = new Game(canvas, true, { seed: 1 });
+            const second = new Game(canvas, true, { seed: 2 });
+
+            expect(snapshotAsteroids(second)).not.toEqual(snapshotAsteroids(first));
+        });
+
+        test('reset can restart a game from a given seed', () => {
+            game.reset(555);
+            const firstRun = snapshotAsteroids(game);
+
+            game.reset(555);
+            expect(game.seed).toBe(555);
+            expect(snapshotAsteroids(game)).toEqual(firstRun);
+        });
+
+        test('split asteroids use the game generator', () => {
+            const parent = new Asteroid(400, 300, 'large', null, null, null, game.random);
+            game.asteroids = [parent];
+            const nextSpy = jest.spyOn(game.random, 'next');
+
+            game.handleAsteroidDestruction(parent);
+
+            expect(nextSpy).toHaveBeenCalled();
+            game.asteroids.forEach(child => expect(child.random).toBe(game.random));
         });
     });
 
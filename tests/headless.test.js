@@ -0,0 +1,149 @@
+/**
+ * @jest-environment node
+ */
+
+import Game, { FIXED_TIMESTEP } from '../src/game.js';
+import { ScriptedInputSource } from '../src/inputsource.js';
+import { ReplayRecorder } from '../src/replay.js';
+import { DIFFICULTIES } from '../src/settings.js';
+import {
+    INPUT_SCRIPTS,
+    createScriptedInput,
+    createReplayInput,
+    getReplayOptions,
+    runSimulation,
+    runBatch
+} from '../src/headless.js';
+
+describe('Headless simulation', () => {
+    test('runs without a DOM, window or audio', () => {
+        expect(typeof document).toBe('undefined');
+
+        const game = new Game({ width: 800, height: 600 }, false, { headless: true, seed: 1 });
+
+        expect(game.context).toBeNull();
+        expect(game.asteroids.length).toBe(4);
+        game.step(1 / 120);
+        expect(game.tick).toBe(1);
+    });
+
+    test('reports final score, wave, deaths and timings', () => {
+        const result = runSimulation({ seed: 42, ticks: 600, input: INPUT_SCRIPTS.spinner });
+
+        expect(result.seed).toBe(42);
+        expect(result.ticks).toBeLessThanOrEqual(600);
+        expect(result.simulatedSeconds).toBeCloseTo(result.ticks / 120);
+        expect(result.score).toBeGreaterThan(0);
+        expect(result.wave).toBeGreaterThanOrEqual(1);
+        expect(result.deaths).toBeGreaterThanOrEqual(0);
+        expect(result.elapsedMs).toBeGreaterThanOrEqual(0);
+    });
+
+    test('same seed and input produce the same result', () => {
+        const first = runSimulation({ seed: 7, ticks: 1200, input: INPUT_SCRIPTS.spinner });
+        const second = runSimulation({ seed: 7, ticks: 1200, input: INPUT_SCRIPTS.spinner });
+
+        // Timings vary between runs, everything else must match
+        const outcome = ({ elapsedMs, ticksPerSecond, ...rest }) => rest;
+        expect(outcome(second)).toEqual(outcome(first));
+    });
+
+    test('stops at game over', () => {
+        // A single life with nothing being shot makes the game end quickly
+        const result = runSimulation({
+            seed: 3,
+            ticks: 120 * 600,
+            settings: { INITIAL_LIVES: 1 }
+        });
+
+        expect(result.gameOver).toBe(true);
+        expect(result.deaths).toBe(1);
+        expect(result.ticks).toBeLessThan(120 * 600);
+    });
+
+    test('applies settings overrides', () => {
+        const game = new Game({ width: 800, height: 600 }, false, {
+            headless: true,
+            settings: { BASE_ASTEROIDS: 10, ASTEROID_MIN_SPEED: 200, ASTEROID_MAX_SPEED: 200 }
+        });
+
+        expect(game.asteroids.length).toBe(11);
+        game.asteroids.forEach(asteroid => {
+            expect(Math.hypot(asteroid.velocity.x, asteroid.velocity.y)).toBeCloseTo(200);
+        });
+    });
+
+    test('scripted input loops through its segments', () => {
+        const input = createScriptedInput([
+            { ticks: 2, keys: { left: true } },
+            { ticks: 1, keys: { space: true } }
+        ]);
+
+        expect(input({ tick: 0 })).toEqual({ left: true });
+        expect(input({ tick: 2 })).toEqual({ space: true });
+        expect(input({ tick: 3 })).toEqual({ left: true });
+        expect(() => createScriptedInput([])).toThrow();
+    });
+
+    test('replay input reproduces a recorded game', () => {
+        const recorder = new ReplayRecorder(11, 120);
+        for (let i = 0; i < 240; i++) {
+            recorder.record(i % 60 < 30 ? { left: true, space: true } : { up: true });
+        }
+        const replay = recorder.toReplay();
+
+        const scripted = runSimulation({
+            seed: 11,
+            ticks: 240,
+            input: game => (game.tick % 60 < 30 ? { left: true, space: true } : { up: true })
+        });
+        const replayed = runSimulation({ seed: replay.seed, ticks: 240, input: createReplayInput(replay) });
+
+        expect(replayed.score).toBe(scripted.score);
+        expect(replayed.deaths).toBe(scripted.deaths);
+    });
+
+    test('replays run on their own playfield, rules and players up to their last tick', () => {
+        const recorded = new Game({ width: 800, height: 600 }, false, {
+            headless: true,
+            seed: 21,
+            players: 2,
+            gameplaySettings: { ...DIFFICULTIES.hard, INITIAL_LIVES: 1 },
+            input: new ScriptedInputSource(game => ({ left: true, space: game.tick % 2 === 0 }))
+        });
+        for (let i = 0; i < 1200; i++) {
+            if (i === 600) {
+                recorded.changeGameplaySettings({});
+            }
+            recorded.step(FIXED_TIMESTEP);
+        }
+        const replay = recorded.getReplay();
+
+        const replayed = runSimulation({
+            ...getReplayOptions(replay),
+            ticks: 2400,
+            input: createReplayInput(replay)
+        });
+
+        expect(recorded.deaths).toBeGreaterThan(0);
+        expect(replayed.ticks).toBe(1200);
+        expect(replayed.score).toBe(recorded.score);
+        expect(replayed.lives).toBe(recorded.lives);
+        expect(replayed.deaths).toBe(recorded.deaths);
+        expect(replayed.wave).toBe(recorded.wave);
+    });
+
+    test('runs batches with consecutive seeds and summarises them', () => {
+        const { summary, results } = runBatch({
+            games: 3,
+            seed: 100,
+            ticks: 240,
+            createInput: () => INPUT_SCRIPTS.spinner
+        });
+
+        expect(results.map(result => result.seed)).toEqual([100, 101, 102]);
+        expect(summary.games).toBe(3);
+        expect(summary.maxScore).toBe(Math.max(...results.map(result => result.score)));
+        expect(summary.meanWave).toBeGreaterThanOrEqual(1);
+    });
+});
@@ -0,0 +1,147 @@
+/**
+ * @jest-environment node
+ */
+
+import HighScoreTable, {
+    HIGH_SCORE_STORAGE_KEY,
+    HIGH_SCORE_VERSION,
+    MAX_HIGH_SCORES,
+    normalizeInitials
+} from '../src/highscores.js';
+
+// In-memory stand-in for localStorage
+function createStorage(initial = {}) {
+    const data = { ...initial };
+    return {
+        data,
+        getItem: jest.fn(key => (key in data ? data[key] : null)),
+        setItem: jest.fn((key, value) => {
+            data[key] = String(value);
+        })
+    };
+}
+
+function storedTable(entries, version = HIGH_SCORE_VERSION) {
+    return { [HIGH_SCORE_STORAGE_KEY]: JSON.stringify({ version, entries }) };
+}
+
+describe('HighScoreTable', () => {
+    let consoleErrorSpy;
+
+    beforeEach(() => {
+        consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        consoleErrorSpy.mockRestore();
+    });
+
+    test('starts empty without saved scores', () => {
+        const table = new HighScoreTable(createStorage());
+
+        expect(table.entries).toEqual([]);
+        expect(table.getTopScore()).toBeNull();
+    });
+
+    test('works without storage', () => {
+        const table = new HighScoreTable(null);
+
+        expect(table.add('ABC', 100)).toBe(0);
+        expect(table.getTopScore()).toBe(100);
+    });
+
+    test('keeps scores sorted and saves them with the schema version', () => {
+        const storage = createStorage();
+        const table = new HighScoreTable(storage);
+
+        table.add('AAA', 100);
+        table.add('BBB', 300);
+        table.add('CCC', 200);
+
+        expect(table.entries.map(entry => entry.initials)).toEqual(['BBB', 'CCC', 'AAA']);
+        expect(JSON.parse(storage.data[HIGH_SCORE_STORAGE_KEY])).toEqual({
+            version: HIGH_SCORE_VERSION,
+            entries: table.entries
+        });
+    });
+
+    test('reloads saved scores', () => {
+        const storage = createStorage();
+        new HighScoreTable(storage).add('ACE', 5000);
+
+        const reloaded = new HighScoreTable(storage);
+
+        expect(reloaded.entries).toEqual([{ initials: 'ACE', score: 5000 }]);
+    });
+
+    test('keeps only the top ten', () => {
+        const table = new HighScoreTable(createStorage());
+        for (let i = 1; i <= MAX_HIGH_SCORES; i++) {
+            table.add('AAA', i * 100);
+        }
+
+        expect(table.qualifies(100)).toBe(false);
+        expect(table.add('LOW', 50)).toBe(-1);
+        expect(table.add('NEW', 150)).toBe(9);
+        expect(table.entries).toHaveLength(MAX_HIGH_SCORES);
+        expect(table.entries[MAX_HIGH_SCORES - 1]).toEqual({ initials: 'NEW', score: 150 });
+    });
+
+    test('ties rank below existing scores', () => {
+        const table = new HighScoreTable(createStorage());
+        table.add('OLD', 500);
+
+        expect(table.add('NEW', 500)).toBe(1);
+    });
+
+    test('zero scores never qualify', () => {
+        expect(new HighScoreTable(createStorage()).qualifies(0)).toBe(false);
+    });
+
+    test('discards corrupt JSON', () => {
+        const table = new HighScoreTable(createStorage({ [HIGH_SCORE_STORAGE_KEY]: '{not json' }));
+
+        expect(table.entries).toEqual([]);
+        expect(consoleErrorSpy).toHaveBeenCalled();
+    });
+
+    test('discards tables from an unknown schema version', () => {
+        const table = new HighScoreTable(createStorage(storedTable([{ initials: 'AAA', score: 1 }], 99)));
+
+        expect(table.entries).toEqual([]);
+    });
+
+    test('drops invalid entries and re-sorts the rest', () => {
+        const table = new HighScoreTable(createStorage(storedTable([
+            { initials: 'AAA', score: 100 },
+            { initials: 'toolong', score: 900 },
+            { initials: 'BBB', score: -5 },
+            { initials: 'CCC', score: 'lots' },
+            null,
+            { initials: 'DDD', score: 300 }
+        ])));
+
+        expect(table.entries).toEqual([
+            { initials: 'DDD', score: 300 },
+            { initials: 'AAA', score: 100 }
+        ]);
+    });
+
+    test('survives storage that throws', () => {
+        const storage = {
+            getItem: () => { throw new Error('denied'); },
+            setItem: () => { throw new Error('quota'); }
+        };
+        const table = new HighScoreTable(storage);
+
+        expect(table.add('ABC', 100)).toBe(0);
+        expect(consoleErrorSpy).toHaveBeenCalledTimes(2);
+    });
+
+    test('normalizes initials to three capital letters', () => {
+        expect(normalizeInitials('ab')).toBe('ABA');
+        expect(normalizeInitials('x-y-z!')).toBe('XYZ');
+        expect(normalizeInitials('longer')).toBe('LON');
+        expect(normalizeInitials(undefined)).toBe('AAA');
+    });
+});
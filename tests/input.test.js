@@ -0,0 +1,245 @@
+import {
+    KeyboardInputSource,
+    GamepadInputSource,
+    readStick,
+    bindKey,
+    findConflict,
+    formatCode,
+    isValidBindings,
+    DEFAULT_BINDINGS,
+    WASD_BINDINGS,
+    STICK_DEAD_ZONE
+} from '../src/input.js';
+import { TURN_STEPS } from '../src/inputsource.js';
+
+describe('key bindings', () => {
+    test('looks actions up by physical key', () => {
+        const keyboard = new KeyboardInputSource();
+        expect(keyboard.getAction('ArrowUp')).toBe('up');
+        expect(keyboard.getAction('KeyP')).toBe('pause');
+        expect(keyboard.getAction('KeyW')).toBeNull();
+
+        keyboard.setBindings(WASD_BINDINGS);
+
+        expect(keyboard.getAction('KeyW')).toBe('up');
+        expect(keyboard.getAction('ArrowUp')).toBeNull();
+    });
+
+    test('binding a key takes it from any other action', () => {
+        const bindings = bindKey(DEFAULT_BINDINGS, 'space', 'ArrowUp');
+
+        expect(bindings.space).toEqual(['Space', 'ArrowUp']);
+        expect(bindings.up).toEqual([]);
+        expect(DEFAULT_BINDINGS.up).toEqual(['ArrowUp']);
+    });
+
+    test('an action keeps its newest two keys', () => {
+        let bindings = bindKey(DEFAULT_BINDINGS, 'up', 'KeyW');
+        bindings = bindKey(bindings, 'up', 'KeyI');
+
+        expect(bindings.up).toEqual(['KeyW', 'KeyI']);
+    });
+
+    test('escape cannot be bound', () => {
+        expect(() => bindKey(DEFAULT_BINDINGS, 'pause', 'Escape')).toThrow('Escape cannot be bound');
+    });
+
+    test('finds the action a key is already bound to', () => {
+        expect(findConflict(DEFAULT_BINDINGS, 'space', 'ArrowUp')).toBe('up');
+        expect(findConflict(DEFAULT_BINDINGS, 'up', 'ArrowUp')).toBeNull();
+        expect(findConflict(DEFAULT_BINDINGS, 'up', 'KeyW')).toBeNull();
+    });
+
+    test('checks stored bindings', () => {
+        expect(isValidBindings(DEFAULT_BINDINGS)).toBe(true);
+        expect(isValidBindings({ ...DEFAULT_BINDINGS, pause: [] })).toBe(true);
+        expect(isValidBindings({ ...DEFAULT_BINDINGS, space: ['ArrowUp'] })).toBe(false);
+        expect(isValidBindings({ ...DEFAULT_BINDINGS, up: ['KeyW', 'KeyI', 'KeyK'] })).toBe(false);
+        expect(isValidBindings({ ...DEFAULT_BINDINGS, pause: ['Escape'] })).toBe(false);
+        expect(isValidBindings({ left: ['ArrowLeft'] })).toBe(false);
+        expect(isValidBindings(null)).toBe(false);
+    });
+
+    test('names keys the way they are labelled', () => {
+        expect(formatCode('KeyW')).toBe('W');
+        expect(formatCode('Digit1')).toBe('1');
+        expect(formatCode('ArrowLeft')).toBe('LEFT');
+        expect(formatCode('ShiftLeft')).toBe('SHIFTLEFT');
+    });
+});
+
+describe('KeyboardInputSource', () => {
+    let keyboard;
+
+    const press = (type, key, code) => {
+        const event = new KeyboardEvent(type, { key, code, cancelable: true });
+        window.dispatchEvent(event);
+        return event;
+    };
+
+    beforeEach(() => {
+        keyboard = new KeyboardInputSource().attach();
+    });
+
+    afterEach(() => {
+        keyboard.detach();
+    });
+
+    test('holds actions down by key code whatever the layout', () => {
+        keyboard.setBindings(WASD_BINDINGS);
+
+        // An AZERTY keyboard reports z for the key where QWERTY has w
+        press('keydown', 'z', 'KeyW');
+        expect(keyboard.poll().up).toBe(true);
+
+        press('keyup', 'z', 'KeyW');
+        expect(keyboard.poll().up).toBe(false);
+    });
+
+    test('leaves pause and unbound keys to the game', () => {
+        const event = press('keydown', 'p', 'KeyP');
+
+        expect(event.defaultPrevented).toBe(false);
+        expect(Object.values(keyboard.poll()).every(held => !held)).toBe(true);
+    });
+
+    test('new bindings release held keys', () => {
+        press('keydown', ' ', 'Space');
+        expect(keyboard.poll().space).toBe(true);
+
+        keyboard.setBindings(WASD_BINDINGS);
+
+        expect(keyboard.poll().space).toBeFalsy();
+    });
+
+    test('stops listening once detached', () => {
+        keyboard.detach();
+        press('keydown', ' ', 'Space');
+
+        expect(keyboard.poll().space).toBeFalsy();
+    });
+
+    test('attaching twice listens once', () => {
+        const listen = jest.spyOn(window, 'addEventListener');
+        keyboard.attach();
+
+        expect(listen).not.toHaveBeenCalled();
+        listen.mockRestore();
+    });
+
+    test('each player keeps their own keys', () => {
+        const other = new KeyboardInputSource(WASD_BINDINGS).attach();
+        press('keydown', ' ', 'Space');
+        press('keydown', 'w', 'KeyW');
+
+        expect(keyboard.read()).toMatchObject({ space: true, up: false });
+        expect(other.read()).toMatchObject({ space: true, up: true });
+        other.detach();
+    });
+});
+
+describe('gamepads', () => {
+    let gamepads;
+    let gamepad;
+
+    // Standard layout gamepad with nothing pressed
+    function createGamepad(index = 0) {
+        return {
+            index,
+            axes: [0, 0, 0, 0],
+            buttons: Array.from({ length: 17 }, () => ({ pressed: false, value: 0 })),
+            vibrationActuator: { playEffect: jest.fn(() => Promise.resolve('complete')) }
+        };
+    }
+
+    beforeEach(() => {
+        gamepads = [createGamepad(), null];
+        navigator.getGamepads = jest.fn(() => gamepads);
+        gamepad = new GamepadInputSource();
+    });
+
+    afterEach(() => {
+        delete navigator.getGamepads;
+    });
+
+    test('maps buttons and the d-pad to actions', () => {
+        gamepads[0].buttons[0].pressed = true;   // A
+        gamepads[0].buttons[14].pressed = true;  // D-pad left
+        expect(gamepad.poll()).toMatchObject({ space: true, left: true });
+
+        gamepads[0].buttons[0].pressed = false;
+
+        expect(gamepad.poll().space).toBeUndefined();
+    });
+
+    test('triggers count once pulled past half way', () => {
+        gamepads[0].buttons[7].value = 0.3;
+        expect(gamepad.poll().up).toBeUndefined();
+
+        gamepads[0].buttons[7].value = 0.8;
+        expect(gamepad.poll().up).toBe(true);
+    });
+
+    test('the left stick turns in proportion and thrusts when pushed up', () => {
+        gamepads[0].axes = [-0.6, -0.9];
+        const held = gamepad.poll();
+
+        expect(held.turn).toBeCloseTo(-0.5, 1);
+        expect(held.up).toBe(true);
+        expect(held.left).toBeUndefined();
+    });
+
+    test('ignores the stick inside the dead zone', () => {
+        gamepads[0].axes = [STICK_DEAD_ZONE / 2, 0.1];
+
+        expect(gamepad.poll()).toEqual({ turn: 0 });
+    });
+
+    test('rounds turning to whole steps', () => {
+        expect(readStick(1) * TURN_STEPS).toBe(TURN_STEPS);
+        expect(Number.isInteger(readStick(0.537) * TURN_STEPS)).toBe(true);
+        expect(readStick(-1)).toBe(-1);
+    });
+
+    test('reports each button press once', () => {
+        gamepads[0].buttons[9].pressed = true;
+
+        expect(gamepad.pollButtons()).toEqual([9]);
+        expect(gamepad.pollButtons()).toEqual([]);
+    });
+
+    test('can be given one gamepad per player', () => {
+        gamepads[1] = createGamepad(1);
+        gamepads[1].buttons[0].pressed = true;
+
+        expect(new GamepadInputSource(0).poll().space).toBeUndefined();
+        expect(new GamepadInputSource(1).poll().space).toBe(true);
+    });
+
+    test('rumbles the gamepad used last', () => {
+        gamepads[1] = createGamepad(1);
+        gamepads[1].buttons[0].pressed = true;
+        gamepad.pollButtons();
+
+        gamepad.rumble(1, 400);
+
+        expect(gamepads[1].vibrationActuator.playEffect).toHaveBeenCalledWith('dual-rumble', {
+            duration: 400,
+            strongMagnitude: 1,
+            weakMagnitude: 0.5
+        });
+        expect(gamepads[0].vibrationActuator.playEffect).not.toHaveBeenCalled();
+    });
+
+    test('does without vibration or the gamepad API', () => {
+        delete gamepads[0].vibrationActuator;
+        gamepads[0].buttons[0].pressed = true;
+        gamepad.pollButtons();
+        expect(() => gamepad.rumble(1, 400)).not.toThrow();
+
+        delete navigator.getGamepads;
+        expect(gamepad.pollButtons()).toEqual([]);
+        expect(gamepad.poll()).toEqual({ turn: 0 });
+        expect(() => gamepad.rumble(1, 400)).not.toThrow();
+    });
+});
@@ -0,0 +1,99 @@
+import InputSource, { ScriptedInputSource, CombinedInputSource, createInput } from '../src/inputsource.js';
+
+describe('InputSource', () => {
+    test('fills in every action', () => {
+        expect(createInput({ up: 1, turn: 0.5 })).toEqual({
+            left: false,
+            right: false,
+            up: true,
+            space: false,
+            hyperspace: false,
+            turn: 0.5
+        });
+    });
+
+    test('reports actions pressed and released since the last read', () => {
+        let held = { space: true };
+        const input = new ScriptedInputSource(() => held);
+
+        let read = input.read();
+        expect(read.space).toBe(true);
+        expect(read.pressed.space).toBe(true);
+
+        read = input.read();
+        expect(read.pressed.space).toBe(false);
+        expect(read.released.space).toBe(false);
+
+        held = {};
+        read = input.read();
+        expect(read.space).toBe(false);
+        expect(read.released.space).toBe(true);
+    });
+
+    test('reset forgets the last read', () => {
+        const input = new ScriptedInputSource(() => ({ hyperspace: true }));
+        input.read();
+
+        input.reset();
+
+        expect(input.read().pressed.hyperspace).toBe(true);
+    });
+
+    test('scripts are given the game', () => {
+        const script = jest.fn(() => ({}));
+        const game = { tick: 3 };
+
+        new ScriptedInputSource(script).read(game);
+
+        expect(script).toHaveBeenCalledWith(game);
+    });
+
+    test('tracks whether it is attached', () => {
+        const input = new InputSource();
+        expect(input.attach()).toBe(input);
+        expect(input.attached).toBe(true);
+
+        input.detach();
+        expect(input.attached).toBe(false);
+    });
+});
+
+describe('CombinedInputSource', () => {
+    const source = held => {
+        const input = new ScriptedInputSource(() => held);
+        jest.spyOn(input, 'attach');
+        jest.spyOn(input, 'detach');
+        jest.spyOn(input, 'release');
+        jest.spyOn(input, 'rumble');
+        return input;
+    };
+
+    test('holds an action held on any device', () => {
+        const combined = new CombinedInputSource([source({ up: true }), source({ space: true })]);
+
+        expect(combined.read()).toMatchObject({ up: true, space: true, left: false });
+    });
+
+    test('turns with the first device turning', () => {
+        const combined = new CombinedInputSource([source({}), source({ turn: -0.5 }), source({ turn: 1 })]);
+
+        expect(combined.read().turn).toBe(-0.5);
+    });
+
+    test('passes attaching, releasing and rumble on to every device', () => {
+        const devices = [source({}), source({})];
+        const combined = new CombinedInputSource(devices);
+
+        combined.attach();
+        combined.release();
+        combined.rumble(1, 400);
+        combined.detach();
+
+        devices.forEach(device => {
+            expect(device.attach).toHaveBeenCalled();
+            expect(device.release).toHaveBeenCalled();
+            expect(device.rumble).toHaveBeenCalledWith(1, 400);
+            expect(device.detach).toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,225 @@
+/**
+ * @jest-environment node
+ */
+
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import Game, { FIXED_TIMESTEP, WORLD_SIZE } from '../src/game.js';
+import { INPUT_SCRIPTS } from '../src/headless.js';
+import { ScriptedInputSource } from '../src/inputsource.js';
+import LeaderboardClient from '../src/leaderboard.js';
+import {
+    Leaderboard,
+    SubmissionError,
+    createLeaderboardServer,
+    verifySubmission
+} from '../server/leaderboard.js';
+
+// Play a real game to the end and keep its replay
+function playGame(seed) {
+    const game = new Game({ ...WORLD_SIZE }, false, {
+        headless: true,
+        seed,
+        input: new ScriptedInputSource(INPUT_SCRIPTS.spinner)
+    });
+    while (!game.gameOver) {
+        game.step(FIXED_TIMESTEP);
+    }
+    return game.getReplay();
+}
+
+describe('Leaderboard verification', () => {
+    let replay;
+
+    beforeAll(() => {
+        replay = playGame(11);
+    });
+
+    test('accepts a genuine replay', () => {
+        const result = verifySubmission({ name: 'ACE', mode: 'classic', replay });
+
+        expect(result.score).toBe(replay.score);
+        expect(result.gameOver).toBe(true);
+    });
+
+    test('rejects a forged score', () => {
+        const forged = { ...replay, score: replay.score + 1000 };
+
+        expect(() => verifySubmission({ name: 'ACE', mode: 'classic', replay: forged }))
+            .toThrow(/does not match replayed score/);
+    });
+
+    test('rejects a replay played with other rules', () => {
+        const custom = { ...replay, settings: { INITIAL_LIVES: 5 } };
+
+        expect(() => verifySubmission({ name: 'ACE', mode: 'classic', replay: custom }))
+            .toThrow('Replay was not played with classic settings');
+
+        const changed = { ...replay, settingChanges: [{ tick: 100, settings: { INITIAL_LIVES: 5 } }] };
+        expect(() => verifySubmission({ name: 'ACE', mode: 'classic', replay: changed }))
+            .toThrow('Replay was not played with classic settings');
+    });
+
+    test('rejects two player games', () => {
+        const twoPlayer = { ...replay, players: 2 };
+
+        expect(() => verifySubmission({ name: 'ACE', mode: 'classic', replay: twoPlayer }))
+            .toThrow('Only one player games are ranked');
+    });
+
+    test('rejects replays too long to re-simulate', () => {
+        const ticks = 31 * 60 * 120;
+        const long = { ...replay, frames: [[0, ticks]], tickCount: ticks };
+
+        expect(() => verifySubmission({ name: 'ACE', mode: 'classic', replay: long }))
+            .toThrow('Replay is too long');
+    });
+
+    test('rejects a replay played on another playfield', () => {
+        const small = { ...replay, width: 800, height: 600 };
+
+        expect(() => verifySubmission({ name: 'ACE', mode: 'classic', replay: small }))
+            .toThrow('Replay must be played on the 1024x768 playfield');
+    });
+
+    test('rejects a replay cut short of game over', () => {
+        // Keep only the first second of input
+        const truncated = { ...replay, frames: [[replay.frames[0][0], 120]], tickCount: 120 };
+
+        expect(() => verifySubmission({ name: 'ACE', mode: 'classic', replay: truncated }))
+            .toThrow('Replay does not end in game over');
+    });
+
+    test('rejects malformed submissions', () => {
+        expect(() => verifySubmission({ name: 'ace!', mode: 'classic', replay }))
+            .toThrow('Name must be three capital letters');
+        expect(() => verifySubmission({ name: 'ACE', mode: 'turbo', replay }))
+            .toThrow('Unknown mode: turbo');
+        expect(() => verifySubmission({ name: 'ACE', mode: 'classic', replay: { ...replay, version: 0 } }))
+            .toThrow(SubmissionError);
+    });
+});
+
+describe('Leaderboard', () => {
+    const entry = (name, score, mode = 'classic') => ({
+        name,
+        mode,
+        score,
+        submittedAt: new Date(Date.now() + score).toISOString()
+    });
+
+    test('ranks scores overall and per mode', () => {
+        const leaderboard = new Leaderboard();
+        leaderboard.entries = [entry('AAA', 100), entry('BBB', 300, 'other'), entry('CCC', 200)];
+
+        expect(leaderboard.getTop().map(e => e.name)).toEqual(['BBB', 'CCC', 'AAA']);
+        expect(leaderboard.getTop({ mode: 'classic', limit: 1 }).map(e => e.name)).toEqual(['CCC']);
+    });
+
+    test('finds a player best', () => {
+        const leaderboard = new Leaderboard();
+        leaderboard.entries = [entry('AAA', 100), entry('AAA', 400), entry('BBB', 300)];
+
+        expect(leaderboard.getPlayerBest('AAA').score).toBe(400);
+        expect(leaderboard.getPlayerBest('ZZZ')).toBeNull();
+    });
+
+    test('keeps verified scores in its data file', () => {
+        const directory = mkdtempSync(join(tmpdir(), 'leaderboard-'));
+        const dataFile = join(directory, 'scores.json');
+
+        try {
+            const { entry: saved, rank } = new Leaderboard(dataFile).submit({
+                name: 'ACE',
+                mode: 'classic',
+                replay: playGame(12)
+            });
+
+            expect(rank).toBe(1);
+            expect(new Leaderboard(dataFile).entries).toEqual([saved]);
+        } finally {
+            rmSync(directory, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('Leaderboard server', () => {
+    let server;
+    let client;
+
+    beforeAll(done => {
+        server = createLeaderboardServer(new Leaderboard());
+        server.listen(0, () => {
+            client = new LeaderboardClient(`http://localhost:${server.address().port}`);
+            done();
+        });
+    });
+
+    afterAll(done => {
+        server.close(done);
+    });
+
+    test('submits, ranks and looks up scores', async () => {
+        const replay = playGame(13);
+
+        const { entry, rank } = await client.submitScore({ name: 'ACE', mode: 'classic', replay });
+        expect(entry).toMatchObject({ name: 'ACE', mode: 'classic', score: replay.score });
+        expect(rank).toBe(1);
+
+        expect(await client.getTopScores({ mode: 'classic' })).toEqual([entry]);
+        expect(await client.getTopScores({ mode: 'other' })).toEqual([]);
+        expect(await client.getPlayerBest('ace', 'classic')).toEqual(entry);
+    });
+
+    test('reports rejected submissions', async () => {
+        const replay = playGame(14);
+
+        await expect(client.submitScore({ name: 'ACE', mode: 'classic', replay: { ...replay, score: 999999 } }))
+            .rejects.toThrow(/does not match replayed score/);
+    });
+
+    test('answers unknown players and routes with 404', async () => {
+        await expect(client.getPlayerBest('NOB')).rejects.toThrow('No scores for NOB');
+        await expect(client.request('/nowhere')).rejects.toThrow('Not found');
+    });
+
+    test('rejects invalid limits', async () => {
+        await expect(client.getTopScores({ limit: 0 })).rejects.toThrow('limit must be a positive integer');
+    });
+
+    test('rejects malformed player names', async () => {
+        await expect(client.request('/players/%E0/best')).rejects.toThrow('Malformed escape in path');
+    });
+
+    test('answers oversized submissions with 413', async () => {
+        const response = await fetch(`${client.baseUrl}/scores`, {
+            method: 'POST',
+            body: 'x'.repeat(2 * 1024 * 1024)
+        });
+
+        expect(response.status).toBe(413);
+        expect(await response.json()).toEqual({ error: 'Request body is too large' });
+    });
+});
+
+describe('LeaderboardClient', () => {
+    test('posts submissions as JSON', async () => {
+        const fetchMock = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve({ rank: 2 }) }));
+        const client = new LeaderboardClient('http://scores.test/', fetchMock);
+
+        await expect(client.submitScore({ name: 'ACE', mode: 'classic', replay: { seed: 1 } }))
+            .resolves.toEqual({ rank: 2 });
+
+        const [url, options] = fetchMock.mock.calls[0];
+        expect(url).toBe('http://scores.test/scores');
+        expect(options.method).toBe('POST');
+        expect(JSON.parse(options.body)).toEqual({ name: 'ACE', mode: 'classic', replay: { seed: 1 } });
+    });
+
+    test('fails when the server is unreachable', async () => {
+        const client = new LeaderboardClient('http://scores.test', () => Promise.reject(new TypeError('fetch failed')));
+
+        await expect(client.getTopScores()).rejects.toThrow('fetch failed');
+    });
+});
@@ -0,0 +1,81 @@
+/**
+ * @jest-environment node
+ */
+
+import Menu from '../src/menu.js';
+
+describe('Menu', () => {
+    let chosen;
+    let level;
+    let menu;
+
+    beforeEach(() => {
+        chosen = null;
+        level = 1;
+        menu = new Menu('TEST', [
+            { label: 'START', action: () => { chosen = 'start'; } },
+            { label: 'LEVEL', value: () => level, change: direction => { level += direction; } },
+            { label: 'QUIT', action: () => { chosen = 'quit'; } }
+        ]);
+    });
+
+    test('moves the selection and wraps around', () => {
+        menu.handleKey('ArrowUp');
+        expect(menu.current.label).toBe('QUIT');
+
+        menu.handleKey('ArrowDown');
+        menu.handleKey('ArrowDown');
+        expect(menu.current.label).toBe('LEVEL');
+    });
+
+    test('runs the selected action on enter', () => {
+        menu.handleKey('Enter');
+
+        expect(chosen).toBe('start');
+    });
+
+    test('steps options with left, right and enter', () => {
+        menu.move(1);
+
+        menu.handleKey('ArrowRight');
+        menu.handleKey('ArrowRight');
+        menu.handleKey('ArrowLeft');
+        menu.handleKey(' ');
+
+        expect(level).toBe(3);
+        expect(menu.getText(menu.current)).toBe('LEVEL: 3');
+    });
+
+    test('ignores other keys', () => {
+        expect(menu.handleKey('x')).toBe(false);
+        expect(menu.handleKey('ArrowLeft')).toBe(true);
+        expect(chosen).toBeNull();
+    });
+
+    test('marks the selected item', () => {
+        const ctx = { fillText: jest.fn() };
+        menu.move(2);
+
+        menu.render(ctx, 100, 50);
+
+        expect(ctx.fillText).toHaveBeenCalledWith('TEST', 100, 50);
+        expect(ctx.fillText).toHaveBeenCalledWith('LEVEL: 1', 100, 174);
+        expect(ctx.fillText).toHaveBeenCalledWith('> QUIT <', 100, 218);
+    });
+
+    test('finds the item drawn under a point', () => {
+        // Items are drawn at 130, 174 and 218 from a top of 50
+        expect(menu.itemAt(120, 50)).toBe(0);
+        expect(menu.itemAt(170, 50)).toBe(1);
+        expect(menu.itemAt(225, 50)).toBe(2);
+        expect(menu.itemAt(60, 50)).toBeNull();
+        expect(menu.itemAt(300, 50)).toBeNull();
+    });
+
+    test('measures from the title to the last line', () => {
+        expect(menu.height).toBe(80 + 2 * 44);
+
+        menu.hint = 'PRESS ENTER';
+        expect(menu.height).toBe(80 + 3 * 44);
+    });
+});
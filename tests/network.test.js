@@ -0,0 +1,55 @@
+import NetworkInputSource, { sendInput } from '../src/network.js';
+
+describe('NetworkInputSource', () => {
+    let channel;
+    let input;
+
+    // Loops sent messages straight back, like the far end of a connection
+    beforeEach(() => {
+        channel = new EventTarget();
+        channel.send = data => channel.dispatchEvent(new MessageEvent('message', { data }));
+        input = new NetworkInputSource(channel).attach();
+    });
+
+    test('plays the input sent for each tick', () => {
+        sendInput(channel, 0, { up: true });
+        sendInput(channel, 1, { space: true, turn: -1 });
+
+        expect(input.read({ tick: 0 })).toMatchObject({ up: true, space: false });
+        expect(input.read({ tick: 1 })).toMatchObject({ up: false, space: true, turn: -1 });
+    });
+
+    test('holds the last input while the next is on its way', () => {
+        sendInput(channel, 0, { left: true });
+
+        input.read({ tick: 0 });
+
+        expect(input.read({ tick: 1 }).left).toBe(true);
+        expect(input.inputs.size).toBe(0);
+    });
+
+    test('catches up with input that arrives late', () => {
+        sendInput(channel, 2, { space: true });
+        sendInput(channel, 1, { up: true });
+
+        expect(input.read({ tick: 2 })).toMatchObject({ space: true, up: false });
+    });
+
+    test('ignores malformed messages', () => {
+        const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        channel.send('{"tick": -1, "input": 1}');
+        channel.send('not json');
+
+        expect(errorSpy).toHaveBeenCalledTimes(2);
+        expect(input.inputs.size).toBe(0);
+        errorSpy.mockRestore();
+    });
+
+    test('stops listening once detached', () => {
+        input.detach();
+        sendInput(channel, 0, { up: true });
+
+        expect(input.read({ tick: 0 }).up).toBe(false);
+    });
+});
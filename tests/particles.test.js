@@ -0,0 +1,127 @@
+/**
+ * @jest-environment node
+ */
+
+import ParticleSystem, { PARTICLE_EFFECTS } from '../src/particles.js';
+import Random from '../src/random.js';
+
+const WIDTH = 800;
+const HEIGHT = 600;
+
+function createContext() {
+    const alphas = [];
+    const context = {
+        save: jest.fn(),
+        restore: jest.fn(),
+        fillRect: jest.fn(() => alphas.push(context.globalAlpha)),
+        globalAlpha: 1,
+        fillStyle: ''
+    };
+    return { context, alphas };
+}
+
+describe('ParticleSystem', () => {
+    let particles;
+
+    beforeEach(() => {
+        particles = new ParticleSystem(100, new Random(1));
+    });
+
+    test('explosions grow with asteroid size', () => {
+        const counts = ['small', 'medium', 'large'].map(size => {
+            particles.clear();
+            particles.emitExplosion(400, 300, size, { x: 0, y: 0 });
+            return particles.count;
+        });
+
+        expect(counts).toEqual([
+            PARTICLE_EFFECTS.explosion.small.count,
+            PARTICLE_EFFECTS.explosion.medium.count,
+            PARTICLE_EFFECTS.explosion.large.count
+        ]);
+        expect(counts[0]).toBeLessThan(counts[2]);
+    });
+
+    test('particles move, fade and expire', () => {
+        particles.emit(400, 300, { count: 1, speed: [100, 100], lifetime: [1, 1], angle: 0, spread: 0 });
+        const { context, alphas } = createContext();
+
+        particles.update(0.5, WIDTH, HEIGHT);
+        particles.render(context);
+
+        expect(particles.particles[0].x).toBeCloseTo(450);
+        expect(alphas[0]).toBeCloseTo(0.5);
+
+        particles.update(0.5, WIDTH, HEIGHT);
+        expect(particles.count).toBe(0);
+    });
+
+    test('expired particles go back to the pool for reuse', () => {
+        particles.emit(400, 300, { count: 10, speed: [10, 10], lifetime: [0.1, 0.1] });
+        const emitted = [...particles.particles];
+
+        particles.update(0.2, WIDTH, HEIGHT);
+        particles.emit(400, 300, { count: 10, speed: [10, 10], lifetime: [0.1, 0.1] });
+
+        expect(particles.pool.length).toBe(90);
+        expect(particles.particles.every(particle => emitted.includes(particle))).toBe(true);
+    });
+
+    test('a full pool recycles the oldest particles', () => {
+        particles.emit(0, 0, { count: 100, speed: [0, 0], lifetime: [1, 1] });
+        const oldest = particles.particles[0];
+
+        particles.emit(200, 200, { count: 1, speed: [0, 0], lifetime: [1, 1] });
+
+        expect(particles.count).toBe(100);
+        expect(particles.particles[99]).toBe(oldest);
+        expect(oldest.x).toBe(200);
+    });
+
+    test('an empty pool emits nothing', () => {
+        const none = new ParticleSystem(0);
+
+        none.emitExplosion(400, 300, 'large', { x: 0, y: 0 });
+
+        expect(none.count).toBe(0);
+    });
+
+    test('particles wrap around the screen', () => {
+        particles.emit(795, 300, { count: 1, speed: [100, 100], lifetime: [1, 1], angle: 0, spread: 0 });
+
+        particles.update(0.1, WIDTH, HEIGHT);
+
+        expect(particles.particles[0].x).toBe(0);
+    });
+
+    test('exhaust flows at a steady rate whatever the tick length', () => {
+        const ship = { x: 400, y: 300, angle: 0, radius: 15, velocity: { x: 0, y: 0 } };
+
+        for (let i = 0; i < 120; i++) {
+            particles.emitExhaust(ship, 1 / 120);
+        }
+        const perSecond = particles.count;
+
+        expect(perSecond).toBe(PARTICLE_EFFECTS.exhaust.rate);
+
+        // Out of the back of a ship facing right
+        expect(particles.particles.every(particle => particle.x < ship.x)).toBe(true);
+    });
+
+    test('sparks fly back towards where the bullet came from', () => {
+        particles.emitSparks(400, 300, { x: 500, y: 0 });
+
+        expect(particles.count).toBe(PARTICLE_EFFECTS.spark.count);
+        expect(particles.particles.every(particle => particle.velocity.x < 0)).toBe(true);
+    });
+
+    test('debris slows down as it drifts', () => {
+        particles.emitDebris({ x: 400, y: 300 });
+        const [piece] = particles.particles;
+        const speed = Math.hypot(piece.velocity.x, piece.velocity.y);
+
+        particles.update(0.5, WIDTH, HEIGHT);
+
+        expect(Math.hypot(piece.velocity.x, piece.velocity.y)).toBeLessThan(speed);
+    });
+});
@@ -0,0 +1,137 @@
+/**
+ * @jest-environment node
+ */
+
+import Asteroid from '../src/asteroid.js';
+import Random from '../src/random.js';
+import { bounce, getMass, separateFragments } from '../src/physics.js';
+
+const WIDTH = 800;
+const HEIGHT = 600;
+
+function createAsteroid(x, y, size, vx, vy) {
+    const asteroid = new Asteroid(x, y, size, null, null, null, new Random(1));
+    asteroid.velocity = { x: vx, y: vy };
+    return asteroid;
+}
+
+function momentum(...asteroids) {
+    return asteroids.reduce((total, asteroid) => ({
+        x: total.x + getMass(asteroid) * asteroid.velocity.x,
+        y: total.y + getMass(asteroid) * asteroid.velocity.y
+    }), { x: 0, y: 0 });
+}
+
+function kineticEnergy(...asteroids) {
+    return asteroids.reduce((total, asteroid) =>
+        total + getMass(asteroid) * (asteroid.velocity.x ** 2 + asteroid.velocity.y ** 2) / 2, 0);
+}
+
+describe('Asteroid physics', () => {
+    test('mass follows asteroid size', () => {
+        const masses = ['large', 'medium', 'small'].map(size => getMass(createAsteroid(0, 0, size, 0, 0)));
+
+        expect(masses[0]).toBeGreaterThan(masses[1]);
+        expect(masses[1]).toBeGreaterThan(masses[2]);
+    });
+
+    test('equal masses swap velocities in a head-on collision', () => {
+        const a = createAsteroid(400, 300, 'medium', 50, 0);
+        const b = createAsteroid(435, 300, 'medium', -30, 0);
+
+        expect(bounce(a, b, WIDTH, HEIGHT)).toBe(true);
+
+        expect(a.velocity.x).toBeCloseTo(-30);
+        expect(b.velocity.x).toBeCloseTo(50);
+    });
+
+    test.each([
+        ['large', 'small', { x: 60, y: 10 }, { x: -80, y: 40 }, 25, 30],
+        ['medium', 'large', { x: 0, y: 0 }, { x: -100, y: -20 }, 50, 5],
+        ['small', 'small', { x: 70, y: -70 }, { x: 0, y: 90 }, 12, -15],
+        ['large', 'medium', { x: 30, y: 30 }, { x: -30, y: -30 }, 0, 55]
+    ])('conserves momentum and energy (%s hitting %s)', (sizeA, sizeB, velocityA, velocityB, offsetX, offsetY) => {
+        const a = createAsteroid(400, 300, sizeA, velocityA.x, velocityA.y);
+        const b = createAsteroid(400 + offsetX, 300 + offsetY, sizeB, velocityB.x, velocityB.y);
+        const momentumBefore = momentum(a, b);
+        const energyBefore = kineticEnergy(a, b);
+
+        expect(bounce(a, b, WIDTH, HEIGHT)).toBe(true);
+
+        const momentumAfter = momentum(a, b);
+        expect(momentumAfter.x).toBeCloseTo(momentumBefore.x, 6);
+        expect(momentumAfter.y).toBeCloseTo(momentumBefore.y, 6);
+        expect(kineticEnergy(a, b)).toBeCloseTo(energyBefore, 6);
+    });
+
+    test('a heavy asteroid barely slows when hitting a light one', () => {
+        const large = createAsteroid(400, 300, 'large', 100, 0);
+        const small = createAsteroid(448, 300, 'small', 0, 0);
+
+        bounce(large, small, WIDTH, HEIGHT);
+
+        expect(large.velocity.x).toBeGreaterThan(50);
+        expect(small.velocity.x).toBeGreaterThan(100);
+    });
+
+    test('pushes overlapping asteroids apart', () => {
+        const a = createAsteroid(400, 300, 'large', 0, 0);
+        const b = createAsteroid(410, 300, 'small', 0, 0);
+
+        bounce(a, b, WIDTH, HEIGHT);
+
+        expect(Math.hypot(b.x - a.x, b.y - a.y)).toBeCloseTo(a.radius + b.radius);
+        expect(b.x - 410).toBeGreaterThan(400 - a.x);
+    });
+
+    test('leaves asteroids that are already separating alone', () => {
+        const a = createAsteroid(400, 300, 'medium', -10, 0);
+        const b = createAsteroid(435, 300, 'medium', 10, 0);
+
+        bounce(a, b, WIDTH, HEIGHT);
+
+        expect(a.velocity).toEqual({ x: -10, y: 0 });
+        expect(b.velocity).toEqual({ x: 10, y: 0 });
+    });
+
+    test('ignores asteroids that are not touching', () => {
+        const a = createAsteroid(100, 100, 'medium', 50, 0);
+        const b = createAsteroid(300, 100, 'medium', -50, 0);
+
+        expect(bounce(a, b, WIDTH, HEIGHT)).toBe(false);
+        expect(a.velocity.x).toBe(50);
+    });
+
+    test('bounces across the screen edge', () => {
+        const a = createAsteroid(795, 300, 'small', 40, 0);
+        const b = createAsteroid(8, 300, 'small', -40, 0);
+
+        expect(bounce(a, b, WIDTH, HEIGHT)).toBe(true);
+
+        expect(a.velocity.x).toBeCloseTo(-40);
+        expect(b.velocity.x).toBeCloseTo(40);
+    });
+});
+
+describe('separateFragments', () => {
+    test('places fragments side by side along the way they are heading', () => {
+        const first = createAsteroid(400, 300, 'medium', -20, 50);
+        const second = createAsteroid(400, 300, 'medium', 20, 50);
+
+        separateFragments(first, second);
+
+        expect(first.x).toBeCloseTo(400 - first.radius);
+        expect(second.x).toBeCloseTo(400 + second.radius);
+        expect(first.y).toBeCloseTo(300);
+        expect(Math.hypot(second.x - first.x, second.y - first.y)).toBeCloseTo(first.radius + second.radius);
+    });
+
+    test('still separates fragments with identical velocities', () => {
+        const first = createAsteroid(400, 300, 'small', 30, 30);
+        const second = createAsteroid(400, 300, 'small', 30, 30);
+
+        separateFragments(first, second);
+
+        expect(bounce(first, second, WIDTH, HEIGHT)).toBe(false);
+    });
+});
@@ -0,0 +1,55 @@
+import Random from '../src/random.js';
+
+describe('Random', () => {
+    test('produces values in the range [0, 1)', () => {
+        const random = new Random(1234);
+        for (let i = 0; i < 1000; i++) {
+            const value = random.next();
+            expect(value).toBeGreaterThanOrEqual(0);
+            expect(value).toBeLessThan(1);
+        }
+    });
+
+    test('same seed produces the same sequence', () => {
+        const first = new Random(42);
+        const second = new Random(42);
+
+        for (let i = 0; i < 100; i++) {
+            expect(first.next()).toBe(second.next());
+        }
+    });
+
+    test('different seeds produce different sequences', () => {
+        const first = new Random(1);
+        const second = new Random(2);
+
+        const firstValues = Array.from({ length: 10 }, () => first.next());
+        const secondValues = Array.from({ length: 10 }, () => second.next());
+        expect(firstValues).not.toEqual(secondValues);
+    });
+
+    test('exposes its seed as an unsigned 32-bit integer', () => {
+        expect(new Random(42).seed).toBe(42);
+        expect(new Random(-1).seed).toBe(0xFFFFFFFF);
+    });
+
+    test('generates a seed when none is given', () => {
+        const random = new Random();
+        expect(Number.isInteger(random.seed)).toBe(true);
+        expect(random.seed).toBeGreaterThanOrEqual(0);
+    });
+
+    test('range and int stay within bounds', () => {
+        const random = new Random(7);
+        for (let i = 0; i < 100; i++) {
+            const value = random.range(50, 100);
+            expect(value).toBeGreaterThanOrEqual(50);
+            expect(value).toBeLessThan(100);
+
+            const index = random.int(4);
+            expect(Number.isInteger(index)).toBe(true);
+            expect(index).toBeGreaterThanOrEqual(0);
+            expect(index).toBeLessThan(4);
+        }
+    });
+});
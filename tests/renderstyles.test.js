@@ -0,0 +1,121 @@
+import {
+    FlatRenderStyle,
+    VectorRenderStyle,
+    createRenderStyle
+} from '../src/renderstyles.js';
+
+const canvas = { width: 800, height: 600 };
+
+// Records calls along with the drawing state at the time of each call
+function createContext() {
+    const calls = [];
+    const context = {
+        fillStyle: '',
+        globalAlpha: 1,
+        globalCompositeOperation: 'source-over',
+        shadowBlur: 0,
+        shadowColor: '',
+        calls
+    };
+    ['save', 'restore', 'fillRect', 'clearRect', 'drawImage'].forEach(method => {
+        context[method] = jest.fn((...args) => calls.push({
+            method,
+            args,
+            fillStyle: context.fillStyle,
+            globalAlpha: context.globalAlpha,
+            globalCompositeOperation: context.globalCompositeOperation
+        }));
+    });
+    return context;
+}
+
+describe('FlatRenderStyle', () => {
+    test('clears to solid black and draws frames untouched', () => {
+        const style = new FlatRenderStyle();
+        const ctx = createContext();
+        const drawFrame = jest.fn();
+
+        style.clear(ctx, canvas);
+        style.draw(ctx, drawFrame);
+        style.finish(ctx, canvas);
+
+        expect(ctx.fillRect).toHaveBeenCalledWith(0, 0, 800, 600);
+        expect(ctx.calls[0].fillStyle).toBe('black');
+        expect(drawFrame).toHaveBeenCalled();
+        expect(ctx.drawImage).not.toHaveBeenCalled();
+    });
+});
+
+describe('VectorRenderStyle', () => {
+    test('only partly clears the last frame to leave phosphor trails', () => {
+        const style = new VectorRenderStyle();
+        const ctx = createContext();
+
+        style.clear(ctx, canvas);
+
+        const clear = ctx.calls.find(call => call.method === 'fillRect');
+        const alpha = Number(clear.fillStyle.match(/rgba\(0, 0, 0, ([\d.]+)\)/)[1]);
+        expect(alpha).toBeGreaterThan(0);
+        expect(alpha).toBeLessThan(1);
+    });
+
+    test('draws with additive glow and restores the context afterwards', () => {
+        const style = new VectorRenderStyle();
+        const ctx = createContext();
+        let state;
+
+        style.draw(ctx, () => {
+            state = { composite: ctx.globalCompositeOperation, blur: ctx.shadowBlur };
+        });
+
+        expect(state.composite).toBe('lighter');
+        expect(state.blur).toBeGreaterThan(0);
+        expect(ctx.save).toHaveBeenCalledTimes(1);
+        expect(ctx.restore).toHaveBeenCalledTimes(1);
+    });
+
+    test('bullets flicker in brightness', () => {
+        const style = new VectorRenderStyle({ random: { next: jest.fn().mockReturnValueOnce(0).mockReturnValueOnce(0.99) } });
+        const ctx = createContext();
+        const brightness = [];
+
+        style.drawBullet(ctx, () => brightness.push(ctx.globalAlpha));
+        style.drawBullet(ctx, () => brightness.push(ctx.globalAlpha));
+
+        expect(brightness[0]).toBeLessThan(brightness[1]);
+        expect(brightness[0]).toBeGreaterThan(0);
+        expect(brightness[1]).toBeLessThanOrEqual(1);
+    });
+
+    test('adds bloom and scanlines when finishing a frame', () => {
+        const style = new VectorRenderStyle();
+        const bloomContext = createContext();
+        style.bloomCanvas = { width: 0, height: 0, getContext: () => bloomContext };
+        const ctx = createContext();
+
+        style.finish(ctx, canvas);
+
+        // The frame is shrunk onto the bloom canvas and stretched back over itself
+        expect(bloomContext.drawImage).toHaveBeenCalledWith(canvas, 0, 0, 200, 150);
+        expect(ctx.drawImage).toHaveBeenCalledWith(style.bloomCanvas, 0, 0, 800, 600);
+        expect(ctx.calls.find(call => call.method === 'drawImage').globalCompositeOperation).toBe('lighter');
+        expect(ctx.fillRect).toHaveBeenCalledTimes(200);
+    });
+
+    test('bloom and scanlines are optional', () => {
+        const style = new VectorRenderStyle({ bloom: false, scanlines: false });
+        const ctx = createContext();
+
+        style.finish(ctx, canvas);
+
+        expect(ctx.calls).toEqual([]);
+    });
+});
+
+describe('createRenderStyle', () => {
+    test('creates styles by name', () => {
+        expect(createRenderStyle('flat')).toBeInstanceOf(FlatRenderStyle);
+        expect(createRenderStyle('vector')).toBeInstanceOf(VectorRenderStyle);
+        expect(() => createRenderStyle('hologram')).toThrow('Unknown render style: hologram');
+    });
+});
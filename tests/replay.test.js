@@ -0,0 +1,212 @@
+import {
+    REPLAY_VERSION,
+    ReplayRecorder,
+    ReplayPlayer,
+    ReplayInputSource,
+    encodeInput,
+    decodeInput,
+    serializeReplay,
+    parseReplay
+} from '../src/replay.js';
+
+describe('Replay', () => {
+    const idle = { left: false, right: false, up: false, space: false, hyperspace: false };
+    const thrustAndFire = { ...idle, up: true, space: true };
+
+    describe('input encoding', () => {
+        test('round trips every input combination', () => {
+            for (let mask = 0; mask < 32; mask++) {
+                expect(encodeInput(decodeInput(mask))).toBe(mask);
+            }
+        });
+
+        test('encodes no keys as zero', () => {
+            expect(encodeInput(idle)).toBe(0);
+            expect(encodeInput({})).toBe(0);
+        });
+
+        test('keeps analog turning in whole steps', () => {
+            expect(decodeInput(encodeInput({ ...idle, turn: 0.4 })).turn).toBeCloseTo(0.4);
+            expect(decodeInput(encodeInput({ ...idle, turn: -1 })).turn).toBe(-1);
+            expect(decodeInput(encodeInput({ ...thrustAndFire, turn: 0 }))).toEqual(thrustAndFire);
+        });
+    });
+
+    describe('recording', () => {
+        test('run-length encodes repeated input', () => {
+            const recorder = new ReplayRecorder(42, 120);
+            recorder.record(idle);
+            recorder.record(idle);
+            recorder.record(thrustAndFire);
+            recorder.record(idle);
+
+            const replay = recorder.toReplay();
+
+            expect(replay.frames).toEqual([
+                [0, 2],
+                [encodeInput(thrustAndFire), 1],
+                [0, 1]
+            ]);
+            expect(replay.tickCount).toBe(4);
+            expect(replay.seed).toBe(42);
+            expect(replay.tickRate).toBe(120);
+            expect(replay.version).toBe(REPLAY_VERSION);
+        });
+
+        test('includes extra details in the replay', () => {
+            const recorder = new ReplayRecorder(1, 120);
+            const replay = recorder.toReplay({ score: 1200, wave: 3 });
+
+            expect(replay.score).toBe(1200);
+            expect(replay.wave).toBe(3);
+        });
+    });
+
+    describe('playback', () => {
+        test('plays back recorded input tick by tick', () => {
+            const recorder = new ReplayRecorder(42, 120);
+            recorder.record(idle);
+            recorder.record(thrustAndFire);
+            recorder.record(thrustAndFire);
+
+            const player = new ReplayPlayer(recorder.toReplay());
+
+            expect(player.nextInput()).toEqual(idle);
+            expect(player.nextInput()).toEqual(thrustAndFire);
+            expect(player.isFinished).toBe(false);
+            expect(player.nextInput()).toEqual(thrustAndFire);
+            expect(player.isFinished).toBe(true);
+            expect(player.nextInput()).toBeNull();
+        });
+
+        test('rewinds to the start', () => {
+            const recorder = new ReplayRecorder(42, 120);
+            recorder.record(thrustAndFire);
+            const player = new ReplayPlayer(recorder.toReplay());
+
+            player.nextInput();
+            player.rewind();
+
+            expect(player.tick).toBe(0);
+            expect(player.nextInput()).toEqual(thrustAndFire);
+        });
+    });
+
+    describe('as an input source', () => {
+        const hyperspace = { ...idle, hyperspace: true };
+
+        const record = (...inputs) => {
+            const recorder = new ReplayRecorder(42, 120);
+            inputs.forEach(input => recorder.record(input));
+            return recorder.toReplay();
+        };
+
+        test('jumps to hyperspace only on the tick the key goes down', () => {
+            const input = new ReplayInputSource(record(hyperspace, hyperspace));
+
+            expect(input.read().pressed.hyperspace).toBe(true);
+            expect(input.read().pressed.hyperspace).toBe(false);
+            expect(input.isFinished).toBe(true);
+        });
+
+        test('keeps jumping while held in replays from before version 3', () => {
+            const input = new ReplayInputSource({ ...record(hyperspace, hyperspace), version: 2 });
+
+            expect(input.read().pressed.hyperspace).toBe(true);
+            expect(input.read().pressed.hyperspace).toBe(true);
+        });
+
+        test('keeps firing while held in replays from before version 4', () => {
+            const fire = { ...idle, space: true };
+            const input = new ReplayInputSource({ ...record(fire, fire), version: 3 });
+
+            expect(input.read().pressed.space).toBe(true);
+            expect(input.read().pressed.space).toBe(true);
+        });
+
+        test('rewinding starts the edges over', () => {
+            const input = new ReplayInputSource(record(thrustAndFire));
+            input.read();
+
+            input.rewind();
+
+            expect(input.read().pressed.space).toBe(true);
+        });
+    });
+
+    describe('serialization', () => {
+        test('exported replays can be imported again', () => {
+            const recorder = new ReplayRecorder(42, 120);
+            recorder.record(thrustAndFire);
+            const replay = recorder.toReplay({ score: 100 });
+
+            expect(parseReplay(serializeReplay(replay))).toEqual(replay);
+        });
+
+        test('rejects a malformed player count', () => {
+            const recorder = new ReplayRecorder(42, 120);
+            const replay = recorder.toReplay({ players: 0 });
+
+            expect(() => parseReplay(serializeReplay(replay))).toThrow('malformed player count');
+        });
+
+        test('rejects results that do not match the player count', () => {
+            const recorder = new ReplayRecorder(42, 120);
+            const replay = recorder.toReplay({ players: 2, scores: [100], waves: [1, 1] });
+
+            expect(() => parseReplay(serializeReplay(replay))).toThrow('malformed player results');
+        });
+
+        test('keeps the rules changed part way through', () => {
+            const recorder = new ReplayRecorder(42, 120);
+            recorder.record(thrustAndFire);
+            recorder.recordSettings({ INITIAL_LIVES: 5 });
+            recorder.recordSettings({ INITIAL_LIVES: 4 });
+            const replay = recorder.toReplay();
+
+            expect(parseReplay(serializeReplay(replay)).settingChanges).toEqual([{ tick: 1, settings: { INITIAL_LIVES: 4 } }]);
+            expect(() => parseReplay(serializeReplay({ ...replay, settingChanges: [{ tick: -1, settings: {} }] })))
+                .toThrow('malformed setting changes');
+        });
+
+        test('rejects invalid JSON', () => {
+            expect(() => parseReplay('not json')).toThrow('not valid JSON');
+        });
+
+        test('rejects unsupported versions', () => {
+            const replay = new ReplayRecorder(42, 120).toReplay();
+            replay.version = REPLAY_VERSION + 1;
+
+            expect(() => parseReplay(JSON.stringify(replay))).toThrow('unsupported version');
+        });
+
+        test('plays version 1 replays from before analog turning', () => {
+            const replay = new ReplayRecorder(42, 120).toReplay();
+            replay.version = 1;
+
+            expect(parseReplay(JSON.stringify(replay)).version).toBe(1);
+        });
+
+        test('rejects replays without a seed', () => {
+            const replay = new ReplayRecorder(42, 120).toReplay();
+            delete replay.seed;
+
+            expect(() => new ReplayPlayer(replay)).toThrow('missing seed');
+        });
+
+        test('rejects malformed frames and mismatched tick counts', () => {
+            const replay = new ReplayRecorder(42, 120).toReplay();
+
+            expect(() => new ReplayPlayer({ ...replay, frames: [[0]] })).toThrow('malformed input frames');
+            expect(() => new ReplayPlayer({ ...replay, frames: [[0, 5]] })).toThrow('tick count');
+        });
+
+        test('rejects malformed settings', () => {
+            const replay = new ReplayRecorder(42, 120).toReplay();
+
+            expect(() => new ReplayPlayer({ ...replay, settings: { INITIAL_LIVES: 5 } })).not.toThrow();
+            expect(() => new ReplayPlayer({ ...replay, settings: [] })).toThrow('malformed settings');
+            expect(() => new ReplayPlayer({ ...replay, settings: { INITIAL_LIVES: 'many' } })).toThrow('malformed settings');
+        });
+    });
+});
@@ -0,0 +1,94 @@
+import Saucer from '../src/saucer.js';
+
+describe('Saucer', () => {
+    const width = 800;
+    const height = 600;
+
+    // Generator stub that always returns the same value
+    const fixedRandom = value => ({ next: () => value });
+
+    describe('initialization', () => {
+        test('large saucer is bigger and slower than small saucer', () => {
+            const large = new Saucer(0, 300, 'large', 1);
+            const small = new Saucer(0, 300, 'small', 1);
+
+            expect(large.radius).toBeGreaterThan(small.radius);
+            expect(Math.abs(large.velocity.x)).toBeLessThan(Math.abs(small.velocity.x));
+        });
+
+        test('moves horizontally in the given direction', () => {
+            const rightward = new Saucer(0, 300, 'large', 1);
+            const leftward = new Saucer(width, 300, 'large', -1);
+
+            expect(rightward.velocity.x).toBeGreaterThan(0);
+            expect(leftward.velocity.x).toBeLessThan(0);
+            expect(rightward.velocity.y).toBe(0);
+        });
+    });
+
+    describe('movement', () => {
+        test('crosses the screen and is removed after leaving it', () => {
+            const saucer = new Saucer(width - 1, 300, 'large', 1);
+            saucer.update(0.5, width, height);
+
+            expect(saucer.isDead).toBe(true);
+        });
+
+        test('wraps vertically while crossing the screen', () => {
+            const saucer = new Saucer(400, height + 30, 'large', 1);
+            saucer.update(0.01, width, height);
+
+            expect(saucer.isDead).toBe(false);
+            expect(saucer.y).toBeLessThan(height);
+        });
+
+        test('changes vertical course periodically', () => {
+            const saucer = new Saucer(100, 300, 'large', 1, fixedRandom(0.99));  // Always pick diagonal down
+
+            saucer.update(2, width * 10, height);
+
+            expect(saucer.velocity.y).toBeGreaterThan(0);
+        });
+    });
+
+    describe('combat', () => {
+        test('fires saucer-owned bullets after its shoot delay', () => {
+            const saucer = new Saucer(400, 300, 'large', 1);
+            expect(saucer.shoot()).toBeNull();
+
+            saucer.shootTimer = 0;
+            const bullet = saucer.shoot();
+            expect(bullet).toBeTruthy();
+            expect(bullet.owner).toBe('saucer');
+
+            // Cooldown is restarted after each shot
+            expect(saucer.shoot()).toBeNull();
+        });
+
+        test('small saucer aims directly at target with full accuracy', () => {
+            const saucer = new Saucer(400, 300, 'small', 1);
+            saucer.shootTimer = 0;
+
+            const bullet = saucer.shoot({ x: 400, y: 500 }, 1);
+
+            expect(bullet.velocity.x).toBeCloseTo(0);
+            expect(bullet.velocity.y).toBeGreaterThan(0);
+        });
+
+        test('small saucer aim spread shrinks as accuracy increases', () => {
+            const saucer = new Saucer(400, 300, 'small', 1, fixedRandom(0.999));  // Worst possible aim error
+            const target = { x: 600, y: 300 };
+
+            const sloppyAngle = saucer.getShotAngle(target, 0);
+            const sharpAngle = saucer.getShotAngle(target, 0.8);
+
+            expect(Math.abs(sharpAngle)).toBeLessThan(Math.abs(sloppyAngle));
+        });
+
+        test('large saucer ignores its target and fires at random', () => {
+            const saucer = new Saucer(400, 300, 'large', 1, fixedRandom(0.5));
+
+            expect(saucer.getShotAngle({ x: 600, y: 300 }, 1)).toBeCloseTo(Math.PI);
+        });
+    });
+});
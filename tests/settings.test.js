@@ -0,0 +1,162 @@
+/**
+ * @jest-environment node
+ */
+
+import SettingsStore, {
+    SETTINGS_STORAGE_KEY,
+    SETTINGS_VERSION,
+    DIFFICULTIES,
+    getDefaultSettings,
+    getGameplaySettings,
+    stepSetting
+} from '../src/settings.js';
+import { DEFAULT_BINDINGS, WASD_BINDINGS } from '../src/input.js';
+
+// In-memory stand-in for localStorage
+function createStorage(initial = {}) {
+    const data = { ...initial };
+    return {
+        data,
+        getItem: jest.fn(key => (key in data ? data[key] : null)),
+        setItem: jest.fn((key, value) => {
+            data[key] = String(value);
+        })
+    };
+}
+
+function storedSettings(settings, version = SETTINGS_VERSION) {
+    return { [SETTINGS_STORAGE_KEY]: JSON.stringify({ version, settings }) };
+}
+
+describe('SettingsStore', () => {
+    let consoleErrorSpy;
+
+    beforeEach(() => {
+        consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        consoleErrorSpy.mockRestore();
+    });
+
+    test('starts from the defaults without saved settings', () => {
+        const store = new SettingsStore(createStorage());
+
+        expect(store.values).toEqual(getDefaultSettings());
+        expect(store.get('difficulty')).toBe('normal');
+    });
+
+    test('saves changes with the schema version', () => {
+        const storage = createStorage();
+        const store = new SettingsStore(storage);
+
+        store.set('masterVolume', 0.4);
+
+        const saved = JSON.parse(storage.data[SETTINGS_STORAGE_KEY]);
+        expect(saved.version).toBe(SETTINGS_VERSION);
+        expect(saved.settings.masterVolume).toBe(0.4);
+        expect(new SettingsStore(storage).get('masterVolume')).toBe(0.4);
+    });
+
+    test('keeps valid saved values and drops the rest', () => {
+        const store = new SettingsStore(createStorage(storedSettings({
+            difficulty: 'hard',
+            startingLives: 99,
+            screenShake: 'yes',
+            unknown: 1
+        })));
+
+        expect(store.get('difficulty')).toBe('hard');
+        expect(store.get('startingLives')).toBe(3);
+        expect(store.get('screenShake')).toBe(true);
+        expect(store.values).not.toHaveProperty('unknown');
+    });
+
+    test('ignores settings from another schema version or corrupt data', () => {
+        const oldVersion = new SettingsStore(createStorage(storedSettings({ difficulty: 'hard' }, SETTINGS_VERSION + 1)));
+        const corrupt = new SettingsStore(createStorage({ [SETTINGS_STORAGE_KEY]: '{not json' }));
+
+        expect(oldVersion.get('difficulty')).toBe('normal');
+        expect(corrupt.values).toEqual(getDefaultSettings());
+        expect(consoleErrorSpy).toHaveBeenCalledTimes(2);
+    });
+
+    test('works without storage', () => {
+        const store = new SettingsStore(null);
+
+        store.set('bindings', WASD_BINDINGS);
+
+        expect(store.get('bindings')).toEqual(WASD_BINDINGS);
+    });
+
+    test('moves control schemes from version 1 settings to key bindings', () => {
+        const storage = createStorage(storedSettings({ difficulty: 'hard', controls: 'wasd' }, 1));
+        const store = new SettingsStore(storage);
+
+        expect(store.get('difficulty')).toBe('hard');
+        expect(store.get('bindings')).toEqual(WASD_BINDINGS);
+        expect(store.values).not.toHaveProperty('controls');
+    });
+
+    test('loaded bindings are copies that leave the defaults alone', () => {
+        const store = new SettingsStore(createStorage());
+
+        store.get('bindings').up.push('KeyW');
+
+        expect(DEFAULT_BINDINGS.up).toEqual(['ArrowUp']);
+    });
+
+    test('falls back to the default bindings when stored ones clash', () => {
+        const bindings = { ...DEFAULT_BINDINGS, space: ['ArrowUp'] };
+        const store = new SettingsStore(createStorage(storedSettings({ bindings })));
+
+        expect(store.get('bindings')).toEqual(DEFAULT_BINDINGS);
+    });
+
+    test('rejects invalid values', () => {
+        const store = new SettingsStore(null);
+
+        expect(() => store.set('difficulty', 'nightmare')).toThrow('Invalid value for setting difficulty: nightmare');
+        expect(() => store.set('masterVolume', 2)).toThrow('Invalid value for setting masterVolume: 2');
+    });
+
+    test('tells listeners about changes', () => {
+        const store = new SettingsStore(null);
+        const listener = jest.fn();
+        store.onChange(listener);
+
+        store.step('renderStyle', 1);
+        store.set('renderStyle', 'vector');
+
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(listener).toHaveBeenCalledWith('renderStyle', 'vector');
+    });
+});
+
+describe('stepSetting', () => {
+    test('steps ranges in whole steps and stops at the ends', () => {
+        expect(stepSetting('masterVolume', 0.7, -1)).toBe(0.6);
+        expect(stepSetting('masterVolume', 0.1, -1)).toBe(0);
+        expect(stepSetting('masterVolume', 0, -1)).toBe(0);
+        expect(stepSetting('masterVolume', 1, 1)).toBe(1);
+        expect(stepSetting('startingLives', 3, 1)).toBe(4);
+    });
+
+    test('cycles through options', () => {
+        expect(stepSetting('difficulty', 'hard', 1)).toBe('easy');
+        expect(stepSetting('difficulty', 'easy', -1)).toBe('hard');
+        expect(stepSetting('screenShake', true, 1)).toBe(false);
+    });
+});
+
+describe('getGameplaySettings', () => {
+    test('changes nothing for the default settings', () => {
+        expect(getGameplaySettings(getDefaultSettings())).toEqual({});
+    });
+
+    test('turns lives and difficulty into game settings', () => {
+        const settings = { ...getDefaultSettings(), startingLives: 5, difficulty: 'hard' };
+
+        expect(getGameplaySettings(settings)).toEqual({ ...DIFFICULTIES.hard, INITIAL_LIVES: 5 });
+    });
+});
@@ -12,6 +12,9 @@ class CanvasRenderingContext2D {
     fill() {}
     arc() {}
     fillRect() {}
+    rect() {}
+    clip() {}
+    setTransform() {}
     fillText() {}
 }
 
@@ -44,5 +47,8 @@ const mockElement = {
     clientHeight: 600
 };
 
-document.getElementById = jest.fn(() => mockElement);
-document.createElement = jest.fn(() => mockElement); 
\ No newline at end of file
+// Headless tests run in the node environment, which has no document
+if (typeof document !== 'undefined') {
+    document.getElementById = jest.fn(() => mockElement);
+    document.createElement = jest.fn(() => mockElement);
+} 
\ No newline at end of file
@@ -61,6 +61,21 @@ describe('Ship', () => {
             expect(ship.angle).toBeGreaterThan(0);
         });
         
+        test('turns in proportion to analog stick deflection', () => {
+            ship.update(0.1, { turn: 0.5 }, width, height);
+            const halfTurn = ship.angle;
+            expect(halfTurn).toBeGreaterThan(0);
+            
+            ship.angle = 0;
+            ship.update(0.1, { turn: -1 }, width, height);
+            expect(ship.angle).toBeCloseTo(-2 * halfTurn);
+        });
+        
+        test('rotate buttons take over from the stick', () => {
+            ship.update(0.1, { left: true, turn: 0.5 }, width, height);
+            expect(ship.angle).toBeLessThan(0);
+        });
+        
         test('tracks thrust state changes correctly', () => {
             // Initial state
             expect(ship.thrust).toBe(false);
@@ -103,6 +118,22 @@ describe('Ship', () => {
             expect(Math.abs(ship.velocity.y)).toBeLessThan(100);
         });
         
+        test('friction is independent of frame rate', () => {
+            const noKeys = { left: false, right: false, up: false, space: false };
+            const otherShip = new Ship(400, 300);
+            ship.velocity = { x: 100, y: 100 };
+            otherShip.velocity = { x: 100, y: 100 };
+            
+            // One long frame versus several short frames covering the same time
+            ship.update(0.1, noKeys, width, height);
+            for (let i = 0; i < 12; i++) {
+                otherShip.update(0.1 / 12, noKeys, width, height);
+            }
+            
+            expect(otherShip.velocity.x).toBeCloseTo(ship.velocity.x, 10);
+            expect(otherShip.velocity.y).toBeCloseTo(ship.velocity.y, 10);
+        });
+        
         test('wraps around screen edges', () => {
             // Test horizontal wrapping
             ship.x = -1;
@@ -145,6 +176,15 @@ describe('Ship', () => {
             expect(ship.isInvulnerable).toBe(false);
         });
 
+        test('cannot be hit while hidden waiting to respawn', () => {
+            ship.startDisintegration();
+            ship.update(2.5, {}, width, height);
+            
+            expect(ship.visible).toBe(false);
+            expect(ship.respawnTimer).toBeGreaterThan(0);
+            expect(ship.canBeHit()).toBe(false);
+        });
+
         test('properly disintegrates during game over', () => {
             ship.setGameOver(true);  // Set game over state first
             ship.startDisintegration();
@@ -174,6 +214,93 @@ describe('Ship', () => {
         });
     });
     
+    describe('hyperspace', () => {
+        const hyperspaceKeys = {
+            left: false, right: false, up: false, space: false, hyperspace: true,
+            pressed: { hyperspace: true }
+        };
+        const noKeys = { left: false, right: false, up: false, space: false, hyperspace: false };
+        
+        test('vanishes when the hyperspace key is pressed', () => {
+            ship.velocity = { x: 100, y: 50 };
+            ship.update(0.01, hyperspaceKeys, width, height);
+            
+            expect(ship.isInHyperspace).toBe(true);
+            expect(ship.visible).toBe(false);
+            expect(ship.velocity).toEqual({ x: 0, y: 0 });
+            expect(ship.canBeHit()).toBe(false);
+        });
+        
+        test('holding the hyperspace key does not jump again', () => {
+            ship.setHyperspaceFailureChance(0);
+            const heldKeys = { ...hyperspaceKeys, pressed: { hyperspace: false } };
+            
+            ship.update(0.01, heldKeys, width, height);
+            
+            expect(ship.isInHyperspace).toBe(false);
+        });
+        
+        test('cannot shoot while in hyperspace', () => {
+            ship.enterHyperspace();
+            expect(ship.shoot()).toBeNull();
+        });
+        
+        test('reappears at a random location after a short delay', () => {
+            ship = new Ship(400, 300, undefined, { next: () => 0.25 });
+            ship.setHyperspaceFailureChance(0);
+            ship.enterHyperspace();
+            
+            ship.update(0.6, noKeys, width, height);
+            
+            expect(ship.isInHyperspace).toBe(false);
+            expect(ship.visible).toBe(true);
+            expect(ship.x).toBe(width * 0.25);
+            expect(ship.y).toBe(height * 0.25);
+            expect(ship.hyperspaceFailed).toBe(false);
+        });
+        
+        test('can fail on re-entry depending on failure chance', () => {
+            ship.setHyperspaceFailureChance(1);
+            ship.enterHyperspace();
+            
+            ship.update(0.6, noKeys, width, height);
+            
+            expect(ship.visible).toBe(true);
+            expect(ship.hyperspaceFailed).toBe(true);
+        });
+        
+        test('respects hyperspace cooldown', () => {
+            ship.setHyperspaceFailureChance(0);
+            expect(ship.enterHyperspace()).toBe(true);
+            
+            // Re-enter the playfield, then try to jump again straight away
+            ship.update(0.6, noKeys, width, height);
+            expect(ship.enterHyperspace()).toBe(false);
+            
+            // Jump is available again once the cooldown has elapsed
+            ship.update(1.1, noKeys, width, height);
+            expect(ship.enterHyperspace()).toBe(true);
+        });
+        
+        test('cannot jump while disintegrating or after game over', () => {
+            ship.startDisintegration();
+            expect(ship.enterHyperspace()).toBe(false);
+            
+            ship.reset(400, 300);
+            ship.setGameOver(true);
+            expect(ship.enterHyperspace()).toBe(false);
+        });
+        
+        test('reset clears hyperspace state', () => {
+            ship.enterHyperspace();
+            ship.reset(200, 150);
+            
+            expect(ship.isInHyperspace).toBe(false);
+            expect(ship.hyperspaceCooldown).toBe(0);
+            expect(ship.visible).toBe(true);
+        });
+    });
+    
     describe('reset', () => {
         test('resets position and state correctly', () => {
             ship.velocity = { x: 100, y: 100 };
@@ -0,0 +1,136 @@
+/**
+ * @jest-environment node
+ */
+
+import StateMachine from '../src/statemachine.js';
+
+function createMachine(transitions = null) {
+    const log = [];
+    const hooks = name => ({
+        enter: data => log.push(`enter ${name}${data.note ? ` ${data.note}` : ''}`),
+        exit: () => log.push(`exit ${name}`),
+        update: deltaTime => log.push(`update ${name} ${deltaTime}`)
+    });
+    const machine = new StateMachine({
+        idle: hooks('idle'),
+        running: hooks('running'),
+        paused: hooks('paused')
+    }, transitions);
+    return { machine, log };
+}
+
+describe('StateMachine', () => {
+    test('runs exit and enter hooks on a transition', () => {
+        const { machine, log } = createMachine();
+
+        machine.start('idle');
+        machine.transition('running', { note: 'fast' });
+
+        expect(machine.current).toBe('running');
+        expect(machine.data).toEqual({ note: 'fast' });
+        expect(log).toEqual(['enter idle', 'exit idle', 'enter running fast']);
+    });
+
+    test('updates only the current state and counts its time', () => {
+        const { machine, log } = createMachine();
+        machine.start('idle');
+
+        machine.update(0.5);
+        machine.update(0.25);
+
+        expect(machine.time).toBe(0.75);
+        expect(log).toEqual(['enter idle', 'update idle 0.5', 'update idle 0.25']);
+    });
+
+    test('fires timers on simulated time', () => {
+        const { machine } = createMachine();
+        const callback = jest.fn();
+        machine.start('idle');
+        machine.after(1000, callback);
+
+        machine.update(0.9);
+        expect(callback).not.toHaveBeenCalled();
+
+        machine.update(0.1);
+        expect(callback).toHaveBeenCalledTimes(1);
+
+        machine.update(5);
+        expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    test('drops the timers of a state it leaves', () => {
+        const { machine } = createMachine();
+        const callback = jest.fn();
+        machine.start('idle');
+        machine.after(1000, callback);
+
+        machine.transition('running');
+        machine.update(2);
+
+        expect(callback).not.toHaveBeenCalled();
+    });
+
+    test('stops running due timers once one changes state', () => {
+        const { machine } = createMachine();
+        const second = jest.fn();
+        machine.start('idle');
+        machine.after(100, () => machine.transition('running'));
+        machine.after(100, second);
+
+        machine.update(1);
+
+        expect(machine.current).toBe('running');
+        expect(second).not.toHaveBeenCalled();
+    });
+
+    test('validates transitions against the table', () => {
+        const { machine } = createMachine({ idle: ['running'], running: ['idle'] });
+        machine.start('idle');
+
+        expect(machine.canTransition('running')).toBe(true);
+        expect(machine.canTransition('missing')).toBe(false);
+        expect(() => machine.transition('paused')).toThrow('Invalid state transition: idle -> paused');
+        expect(() => machine.start('missing')).toThrow('Unknown state: missing');
+    });
+
+    test('holds the state underneath an overlay', () => {
+        const { machine, log } = createMachine();
+        const callback = jest.fn();
+        machine.start('running');
+        machine.after(1000, callback);
+
+        machine.push('paused');
+        machine.update(2);
+
+        expect(machine.current).toBe('paused');
+        expect(machine.is('running')).toBe(false);
+        expect(machine.includes('running')).toBe(true);
+        expect(machine.dataFor('running')).toEqual({});
+        expect(callback).not.toHaveBeenCalled();
+
+        machine.pop();
+        machine.update(1);
+
+        expect(machine.current).toBe('running');
+        expect(callback).toHaveBeenCalled();
+        expect(log).not.toContain('exit running');
+    });
+
+    test('a transition closes overlays first', () => {
+        const { machine, log } = createMachine();
+        machine.start('running');
+        machine.push('paused');
+
+        machine.transition('idle');
+
+        expect(machine.stack).toHaveLength(1);
+        expect(log.slice(-3)).toEqual(['exit paused', 'exit running', 'enter idle']);
+    });
+
+    test('cannot pop the only state', () => {
+        const { machine } = createMachine();
+        machine.start('idle');
+
+        expect(() => machine.pop()).toThrow('Cannot pop the only state: idle');
+    });
+});
@@ -0,0 +1,167 @@
+import TouchControls, { isTouchDevice } from '../src/touch.js';
+
+// The shared setup stubs createElement, these tests need real elements
+beforeAll(() => {
+    delete document.createElement;
+});
+
+describe('TouchControls', () => {
+    let container;
+    let controls;
+    let onPause;
+    let elementsAt;
+
+    const button = action => controls.element.querySelector(`[data-action="${action}"]`);
+
+    // Fires a touch event for fingers given as [identifier, x, y]
+    function touch(type, ...fingers) {
+        const event = new Event(type, { cancelable: true });
+        event.changedTouches = fingers.map(([identifier, clientX, clientY]) => ({ identifier, clientX, clientY }));
+        controls.element.dispatchEvent(event);
+        return event;
+    }
+
+    beforeEach(() => {
+        container = document.createElement('div');
+        document.body.appendChild(container);
+        onPause = jest.fn();
+        controls = new TouchControls(container, { onPause }).attach();
+        controls.setVisible(true);
+
+        // jsdom has no layout, so each test says what lies under each point
+        elementsAt = new Map();
+        document.elementFromPoint = jest.fn((x, y) => elementsAt.get(`${x},${y}`) ?? null);
+    });
+
+    afterEach(() => {
+        delete document.elementFromPoint;
+        document.body.innerHTML = '';
+    });
+
+    test('holds an action while its button is touched', () => {
+        elementsAt.set('10,10', button('space'));
+
+        const event = touch('touchstart', [1, 10, 10]);
+        expect(controls.poll().space).toBe(true);
+        expect(event.defaultPrevented).toBe(true);
+        expect(button('space').classList.contains('active')).toBe(true);
+
+        touch('touchend', [1, 10, 10]);
+        expect(controls.poll().space).toBeFalsy();
+    });
+
+    test('follows several fingers at once', () => {
+        elementsAt.set('10,10', button('left'));
+        elementsAt.set('90,10', button('up'));
+        elementsAt.set('99,10', button('space'));
+
+        touch('touchstart', [1, 10, 10], [2, 90, 10]);
+        touch('touchstart', [3, 99, 10]);
+        expect(controls.poll()).toMatchObject({ left: true, up: true, space: true });
+
+        touch('touchend', [2, 90, 10]);
+        expect(controls.poll().left).toBe(true);
+        expect(controls.poll().up).toBeFalsy();
+        expect(controls.poll().space).toBe(true);
+    });
+
+    test('sliding a finger moves to the next button', () => {
+        elementsAt.set('10,10', button('left'));
+        elementsAt.set('30,10', button('right'));
+
+        touch('touchstart', [1, 10, 10]);
+        touch('touchmove', [1, 30, 10]);
+
+        expect(controls.poll().left).toBeFalsy();
+        expect(controls.poll().right).toBe(true);
+    });
+
+    test('the pause button asks to pause', () => {
+        elementsAt.set('5,5', controls.element.querySelector('.touch-pause'));
+
+        touch('touchstart', [1, 5, 5]);
+
+        expect(onPause).toHaveBeenCalled();
+    });
+
+    test('hiding lets go of every finger', () => {
+        elementsAt.set('10,10', button('up'));
+        touch('touchstart', [1, 10, 10]);
+
+        controls.setVisible(false);
+
+        expect(controls.poll().up).toBeFalsy();
+        expect(controls.element.classList.contains('hidden')).toBe(true);
+    });
+
+    describe('joystick layout', () => {
+        beforeEach(() => {
+            controls.setLayout('joystick');
+            elementsAt.set('100,300', controls.element.querySelector('.touch-joystick-zone'));
+        });
+
+        test('has no rotate or thrust buttons', () => {
+            expect(button('left')).toBeNull();
+            expect(button('up')).toBeNull();
+            expect(button('space')).not.toBeNull();
+        });
+
+        test('turns in proportion to how far the thumb moves', () => {
+            touch('touchstart', [1, 100, 300]);
+            expect(controls.poll().turn).toBe(0);
+
+            touch('touchmove', [1, 150, 300]);
+            expect(controls.poll().turn).toBe(1);
+
+            touch('touchmove', [1, 70, 300]);
+            expect(controls.poll().turn).toBeLessThan(0);
+            expect(controls.poll().turn).toBeGreaterThan(-1);
+            expect(controls.poll().up).toBeFalsy();
+        });
+
+        test('pushing up thrusts', () => {
+            touch('touchstart', [1, 100, 300]);
+            touch('touchmove', [1, 100, 250]);
+
+            expect(controls.poll().up).toBe(true);
+            expect(controls.element.querySelector('.touch-stick').classList.contains('hidden')).toBe(false);
+        });
+
+        test('letting go centres the stick', () => {
+            touch('touchstart', [1, 100, 300]);
+            touch('touchmove', [1, 150, 250]);
+            touch('touchend', [1, 150, 250]);
+
+            expect(controls.poll().turn).toBe(0);
+            expect(controls.poll().up).toBeFalsy();
+        });
+    });
+
+    test('is added to the page while attached', () => {
+        expect(container.contains(controls.element)).toBe(true);
+
+        controls.detach();
+
+        expect(container.contains(controls.element)).toBe(false);
+    });
+
+    test('rejects unknown layouts', () => {
+        expect(() => controls.setLayout('wheel')).toThrow('Unknown touch layout: wheel');
+    });
+});
+
+describe('isTouchDevice', () => {
+    test('goes by the number of touch points', () => {
+        const descriptor = Object.getOwnPropertyDescriptor(navigator, 'maxTouchPoints');
+        Object.defineProperty(navigator, 'maxTouchPoints', { configurable: true, get: () => 5 });
+        try {
+            expect(isTouchDevice()).toBe(true);
+        } finally {
+            if (descriptor) {
+                Object.defineProperty(navigator, 'maxTouchPoints', descriptor);
+            } else {
+                delete navigator.maxTouchPoints;
+            }
+        }
+    });
+});